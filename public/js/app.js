@@ -1,150 +1,97 @@
 import { insertSvg } from './utils/svg-loader.js';
 import * as viewerModule from './modules/viewer.js';
-import { createMediaItem, processMediaItem, renderMediaByDate } from './modules/item-renderer.js';
 import { loadAndFillTemplate } from './utils/template-loader.js';
 import { updateItemSelection } from './modules/item-renderer.js';
 import * as uploadModule from './modules/upload.js';
+import { renderDuplicates } from './modules/duplicates.js';
+import { createVirtualGallery } from './modules/virtual-gallery.js';
+import { createTimeline } from './modules/timeline.js';
+import { createFilterPanel } from './modules/filter-panel.js';
+import { renderAlbumList, renderAlbum, openAlbumPicker } from './modules/albums.js';
+import { openTagDialog } from './modules/tags.js';
+import { renderTrash } from './modules/trash.js';
+import { showToast } from './modules/toast.js';
+import { runBatch, describeBatch } from './modules/batch.js';
+import { openDateDialog } from './modules/date-dialog.js';
+import { updateRatingBadges } from './modules/ratings.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
     // DOM references
+    const app = document.getElementById('app');
     const gallery = document.getElementById('gallery');
     const allMediaBtn = document.getElementById('all-media-btn');
     const imagesBtn = document.getElementById('images-btn');
     const videosBtn = document.getElementById('videos-btn');
+    const duplicatesBtn = document.getElementById('duplicates-btn');
+    const albumsBtn = document.getElementById('albums-btn');
+    const trashBtn = document.getElementById('trash-btn');
     const uploadBtn = document.getElementById('upload-btn');
-    const prevPageBtn = document.getElementById('prev-page');
-    const nextPageBtn = document.getElementById('next-page');
-    const pageInfo = document.getElementById('page-info');
     
     // State
-    let currentPage = 1;
-    let pageSize = 100; // Increased from 50 to 100
-    let totalPages = 1;
     let currentFilter = '';
+    let currentView = 'gallery'; // 'gallery', 'duplicates', 'albums', 'album' or 'trash'
+    let currentAlbumId = null;
     let isSelectionMode = false;
     let selectedItems = new Set();
-
+    
+    // Continuously scrolling gallery, pages are fetched as the user scrolls
+    const virtualGallery = createVirtualGallery(gallery, {
+        ...getItemOptions(),
+        isSelected: id => selectedItems.has(id),
+        onScrollDate: dateKey => timeline.setActive(dateKey)
+    });
+    
+    // Year and month navigation beside the gallery
+    const timeline = createTimeline(document.getElementById('timeline'), {
+        onJump: cursor => virtualGallery.load(currentFilter, { cursor, query: filterPanel.getQuery() })
+    });
+    
+    // Search and filters in the sidebar, applied on top of the type buttons
+    const filterPanel = createFilterPanel(document.getElementById('filter-panel'), {
+        onChange: () => {
+            if (currentView === 'gallery') loadMedia();
+        }
+    });
+    
     // Define loadMedia function first, before it's used anywhere else
     const loadMedia = async () => {
-        gallery.textContent = ''; // Clear gallery
-        const loadingDiv = document.createElement('div');
-        loadingDiv.className = 'loading';
-        loadingDiv.textContent = 'Loading media library...';
-        gallery.appendChild(loadingDiv);
-        
-        try {
-            // Use the consolidated API endpoint with proper pagination and filtering
-            let url = `/api/media?page=${currentPage}&limit=${pageSize}`;
-            if (currentFilter) {
-                url += `&type=${currentFilter}`;
-            }
-            
-            const response = await fetch(url);
+        // The duplicates, album and trash views have their own loaders
+        if (currentView !== 'gallery') {
+            virtualGallery.destroy();
+            timeline.hide();
+            filterPanel.hide();
+            app.classList.remove('has-timeline');
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (currentView === 'albums') {
+                return renderAlbumList(gallery, { onOpen: openAlbum });
             }
-            
-            const data = await response.json();
-            
-            if (!data.data || data.data.length === 0) {
-                gallery.innerHTML = '<div class="loading">No media files found</div>';
-                return;
+            if (currentView === 'album') {
+                return renderAlbum(gallery, currentAlbumId, { ...getItemOptions(), onBack: showAlbums });
             }
-            
-            // Update pagination from API response
-            currentPage = data.page;
-            totalPages = data.totalPages;
-            updatePagination();
-            
-            // Sort the media items by creation date (newest first)
-            data.data.sort((a, b) => {
-                const dateA = new Date(a.created || a.modified);
-                const dateB = new Date(b.created || b.modified);
-                return dateB - dateA;
-            });
-            
-            // Collect IDs for batch information lookup
-            const mediaIds = data.data.map(item => item.id).join(',');
-            
-            // Fetch detailed file information and thumbnails in parallel
-            let fileInfos = {};
-            let thumbnailInfo = {};
-            if (mediaIds) {
-                try {
-                    console.log('Fetching file info and thumbnails for IDs:', mediaIds);
-                    
-                    // Parallel fetching for both file info and thumbnail info
-                    const [fileInfoResponse, thumbnailResponse] = await Promise.all([
-                        fetch(`/api/file-info?ids=${mediaIds}`),
-                        fetch(`/api/thumbnails/info?ids=${mediaIds}`)
-                    ]);
-                    
-                    if (fileInfoResponse.ok) {
-                        const fileData = await fileInfoResponse.json();
-                        fileInfos = fileData.files || {};
-                        console.log('File info received:', Object.keys(fileInfos).length);
-                    }
-                    
-                    if (thumbnailResponse.ok) {
-                        const thumbData = await thumbnailResponse.json();
-                        thumbnailInfo = thumbData.thumbnails || {};
-                    }
-                } catch (err) {
-                    console.warn('Error fetching additional information:', err);
-                }
+            if (currentView === 'trash') {
+                return renderTrash(gallery, getItemOptions());
             }
-            
-            // Group media by date
-            const mediaByDate = {};
-            
-            // Process media items and group by date
-            data.data.forEach(item => {
-                // Process media item paths and metadata
-                const processedItem = processMediaItem(item);
-                
-                // Add thumbnail ID from batch lookup if not already present
-                if (!processedItem.thumbnailId && thumbnailInfo[processedItem.id]) {
-                    processedItem.thumbnailId = thumbnailInfo[processedItem.id];
-                }
-                
-                // Get the detailed file info for this item
-                const fileInfo = fileInfos[processedItem.id] || null;
-                
-                // Get date in YYYY-MM-DD format for grouping
-                const itemDate = new Date(processedItem.created || processedItem.modified);
-                const dateKey = itemDate.toISOString().split('T')[0];
-                
-                if (!mediaByDate[dateKey]) {
-                    mediaByDate[dateKey] = [];
-                }
-                
-                // Add file info to the processed item for better metadata display
-                processedItem.fileInfo = fileInfo;
-                
-                mediaByDate[dateKey].push(processedItem);
-            });
-            
-            // Render media items grouped by date
-            renderMediaByDate(mediaByDate, gallery, {
-                onItemClick: handleItemClick,
-                onDeleteClick: deleteMedia,
-                onSelectClick: toggleItemSelection,
-                enterSelectionMode: enterSelectionMode,
-                isSelectionMode: () => isSelectionMode,
-                fileInfos: fileInfos // Pass file info to renderer
-            });
-            
-        } catch (error) {
-            console.error('Failed to load media:', error);
-            gallery.textContent = ''; // Clear gallery
-            const errorDiv = document.createElement('div');
-            errorDiv.className = 'loading';
-            errorDiv.textContent = 'Failed to load media. Please try again.';
-            gallery.appendChild(errorDiv);
+            return renderDuplicates(gallery, getItemOptions());
         }
+        
+        const query = filterPanel.getQuery();
+        app.classList.add('has-timeline');
+        timeline.load(currentFilter, query);
+        filterPanel.load(currentFilter);
+        return virtualGallery.load(currentFilter, { query });
     };
     
+    // Callbacks shared by every view that renders media items
+    function getItemOptions() {
+        return {
+            onItemClick: handleItemClick,
+            onDeleteClick: deleteMedia,
+            onSelectClick: toggleItemSelection,
+            enterSelectionMode: enterSelectionMode,
+            isSelectionMode: () => isSelectionMode
+        };
+    }
+    
     // Initialize modules - after loadMedia is defined
     viewerModule.init();
     const uploadController = uploadModule.init(loadMedia);
@@ -153,6 +100,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     insertSvg('/public/img/icons/all-media-icon.svg', document.querySelector('.all-media-icon'));
     insertSvg('/public/img/icons/image-icon.svg', document.querySelector('.images-icon'));
     insertSvg('/public/img/icons/video-icon.svg', document.querySelector('.videos-icon'));
+    insertSvg('/public/img/icons/duplicates-icon.svg', document.querySelector('.duplicates-icon'));
+    insertSvg('/public/img/icons/albums-icon.svg', document.querySelector('.albums-icon'));
+    insertSvg('/public/img/icons/trash.svg', document.querySelector('.trash-nav-icon'));
     insertSvg('/public/img/icons/upload-icon.svg', document.querySelector('.upload-icon'));
     
     // Add selection toolbar from template
@@ -162,10 +112,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Get references to selection toolbar elements
     const selectionToolbarElement = document.querySelector('.selection-toolbar');
     const selectionCount = document.querySelector('.selection-count');
+    const tagSelectedBtn = document.getElementById('tag-selected');
+    const addToAlbumBtn = document.getElementById('add-to-album');
+    const setDateSelectedBtn = document.getElementById('set-date-selected');
+    const archiveSelectedBtn = document.getElementById('archive-selected');
     const deleteSelectedBtn = document.getElementById('delete-selected');
     const cancelSelectionBtn = document.getElementById('cancel-selection');
     
     // Setup event listeners for selection toolbar
+    tagSelectedBtn.addEventListener('click', handleTagSelected);
+    addToAlbumBtn.addEventListener('click', handleAddSelectedToAlbum);
+    setDateSelectedBtn.addEventListener('click', handleSetDateSelected);
+    archiveSelectedBtn.addEventListener('click', handleArchiveSelected);
     deleteSelectedBtn.addEventListener('click', handleDeleteSelected);
     cancelSelectionBtn.addEventListener('click', exitSelectionMode);
     
@@ -177,63 +135,141 @@ document.addEventListener('DOMContentLoaded', async () => {
     allMediaBtn.addEventListener('click', () => handleFilterChange(''));
     imagesBtn.addEventListener('click', () => handleFilterChange('image'));
     videosBtn.addEventListener('click', () => handleFilterChange('video'));
+    duplicatesBtn.addEventListener('click', showDuplicates);
+    albumsBtn.addEventListener('click', showAlbums);
+    trashBtn.addEventListener('click', showTrash);
     
-    // Upload button click handler
-    uploadBtn.addEventListener('click', () => {
-        uploadController.openUploadModal();
+    // Show new ratings on the items they were set on in the viewer
+    document.addEventListener('media-ratings-changed', e => {
+        const { item } = e.detail;
+        if (currentView === 'gallery') {
+            virtualGallery.updateItem(item.id);
+            return;
+        }
+        document.querySelectorAll(`.media-item[data-id="${item.id}"]`).forEach(element => {
+            updateRatingBadges(element, item);
+        });
     });
     
-    // Pagination button click handlers
-    prevPageBtn.addEventListener('click', () => {
-        if (currentPage > 1) {
-            currentPage--;
-            loadMedia();
-        }
+    // Rejects trashed from the culling summary in the viewer
+    document.addEventListener('media-trash-requested', e => {
+        trashItems(e.detail.ids);
     });
     
-    nextPageBtn.addEventListener('click', () => {
-        if (currentPage < totalPages) {
-            currentPage++;
-            loadMedia();
-        }
+    // Album pages and the trash have their own URL so the browser history can return to them
+    window.addEventListener('popstate', () => showPath(location.pathname));
+    
+    // Upload button click handler
+    uploadBtn.addEventListener('click', () => {
+        uploadController.openUploadModal();
     });
     
     // Handle filter change
     function handleFilterChange(filter) {
         // Skip if this filter is already active
-        if (currentFilter === filter) return;
+        if (currentView === 'gallery' && currentFilter === filter) return;
         
-        // Remove active class from all filter buttons
-        allMediaBtn.classList.remove('active');
-        imagesBtn.classList.remove('active');
-        videosBtn.classList.remove('active');
+        currentView = 'gallery';
         
-        // Add active class to selected filter button
+        // Mark the selected filter button as active
         if (filter === '') {
-            allMediaBtn.classList.add('active');
+            setActiveButton(allMediaBtn);
         } else if (filter === 'image') {
-            imagesBtn.classList.add('active');
+            setActiveButton(imagesBtn);
         } else if (filter === 'video') {
-            videosBtn.classList.add('active');
+            setActiveButton(videosBtn);
         }
         
-        // Update current filter and reset pagination
+        // Update current filter and start from the newest items
         currentFilter = filter;
-        currentPage = 1;
+        setPath('/');
         
         // Load media with the new filter
         loadMedia();
     }
     
-    // Update pagination UI
-    function updatePagination() {
-        pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
-        prevPageBtn.disabled = currentPage <= 1;
-        nextPageBtn.disabled = currentPage >= totalPages;
+    // Switch to the view of visually similar images
+    function showDuplicates() {
+        if (currentView === 'duplicates') return;
+        
+        setActiveButton(duplicatesBtn);
+        
+        currentView = 'duplicates';
+        exitSelectionMode();
+        setPath('/');
+        
+        loadMedia();
+    }
+    
+    // Switch to the overview of all albums
+    function showAlbums() {
+        setActiveButton(albumsBtn);
+        
+        currentView = 'albums';
+        currentAlbumId = null;
+        exitSelectionMode();
+        setPath('/albums');
+        
+        loadMedia();
+    }
+    
+    // Open the page of one album
+    function openAlbum(albumId) {
+        setActiveButton(albumsBtn);
+        
+        currentView = 'album';
+        currentAlbumId = albumId;
+        exitSelectionMode();
+        setPath(`/albums/${albumId}`);
+        
+        loadMedia();
+    }
+    
+    // Switch to the media waiting in the trash
+    function showTrash() {
+        setActiveButton(trashBtn);
+        
+        currentView = 'trash';
+        exitSelectionMode();
+        setPath('/trash');
+        
+        loadMedia();
+    }
+    
+    // Show the view for a URL, used on startup and when going back in the history
+    function showPath(pathname) {
+        const albumMatch = pathname.match(/^\/albums\/([0-9a-f]{24})\/?$/);
+        if (albumMatch) {
+            openAlbum(albumMatch[1]);
+        } else if (/^\/albums\/?$/.test(pathname)) {
+            showAlbums();
+        } else if (/^\/trash\/?$/.test(pathname)) {
+            showTrash();
+        } else if (currentView !== 'gallery') {
+            handleFilterChange(currentFilter);
+        }
+    }
+    
+    function setPath(pathname) {
+        if (location.pathname !== pathname) {
+            history.pushState(null, '', pathname);
+        }
+    }
+    
+    function setActiveButton(button) {
+        [allMediaBtn, imagesBtn, videosBtn, duplicatesBtn, albumsBtn, trashBtn].forEach(btn => {
+            btn.classList.toggle('active', btn === button);
+        });
     }
     
     // Handler for media item click
     function handleItemClick(item, element) {
+        // Only part of a date section is rendered in the gallery, so take it from the loaded pages
+        if (currentView === 'gallery') {
+            viewerModule.openMediaViewer(item, virtualGallery.getSectionItems(item.id));
+            return;
+        }
+        
         // Get all media items in the same date group
         const dateGroup = element.closest('.date-group');
         const mediaItems = Array.from(dateGroup.querySelectorAll('.media-item'))
@@ -252,45 +288,81 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     // Handler for deleting a media item
-    async function deleteMedia(item) {
-        if (confirm(`Are you sure you want to delete "${item.name}"?`)) {
-            try {
-                const response = await fetch(`/api/media/${item.id}`, {
-                    method: 'DELETE'
-                });
-                
-                if (response.ok) {
-                    // Remove the item from the DOM and trigger a refresh
-                    const mediaItem = document.querySelector(`.media-item[data-id="${item.id}"]`);
-                    if (mediaItem) {
-                        mediaItem.remove();
-                        
-                        // Check if the date group is empty and remove if it is
-                        const dateGroup = document.querySelectorAll('.date-group');
-                        dateGroup.forEach(group => {
-                            if (group.childElementCount === 0) {
-                                const dateKey = group.dataset.dateKey;
-                                const header = document.querySelector(`.date-header[data-date-key="${dateKey}"]`);
-                                if (header) header.remove();
-                                group.remove();
-                            }
-                        });
-                    }
-                } else {
-                    throw new Error('Failed to delete media');
-                }
-            } catch (err) {
-                console.error('Error deleting media:', err);
-                alert('Failed to delete media. Please try again.');
+    function deleteMedia(item) {
+        trashItems([item.id]);
+    }
+    
+    // Move media to the trash, offering to undo it
+    async function trashItems(ids) {
+        const operation = await runSelectionBatch('delete', ids);
+        if (!operation) return;
+        
+        const trashedIds = getDoneIds(operation);
+        removeItemsFromView(trashedIds);
+        showToast(describeBatch(operation), trashedIds.length > 0 ? {
+            actionText: 'Undo',
+            onAction: () => restoreItems(trashedIds)
+        } : {});
+    }
+    
+    // Bring media back from the trash after an undo
+    async function restoreItems(ids) {
+        const operation = await runSelectionBatch('restore', ids);
+        if (!operation) return;
+        
+        showToast(describeBatch(operation));
+        loadMedia();
+    }
+    
+    // Run an action on several items as one batch operation
+    async function runSelectionBatch(action, ids, params = {}) {
+        try {
+            const operation = await runBatch(action, ids, params);
+            const failures = operation.results.filter(result => result.status === 'failed');
+            if (failures.length > 0) {
+                console.warn(`Batch ${action} failed for some items:`, failures);
             }
+            return operation;
+        } catch (err) {
+            console.error(`Batch ${action} failed:`, err);
+            alert(err.message || 'The action failed. Please try again.');
+            return null;
         }
     }
     
+    function getDoneIds(operation) {
+        return operation.results.filter(result => result.status === 'done').map(result => result.id);
+    }
+    
+    function removeItemsFromView(ids) {
+        if (currentView === 'gallery') {
+            virtualGallery.removeItems(ids);
+            return;
+        }
+        
+        // Remove the items from the DOM
+        ids.forEach(id => {
+            const mediaItem = document.querySelector(`.media-item[data-id="${id}"]`);
+            if (mediaItem) mediaItem.remove();
+        });
+        
+        // Check if a date group is empty and remove it if it is
+        document.querySelectorAll('.date-group').forEach(group => {
+            if (group.childElementCount === 0) {
+                const dateKey = group.dataset.dateKey;
+                const header = document.querySelector(`.date-header[data-date-key="${dateKey}"]`);
+                if (header) header.remove();
+                group.remove();
+            }
+        });
+    }
+    
     // Enter selection mode
     function enterSelectionMode() {
         isSelectionMode = true;
         document.body.classList.add('selection-mode');
         selectionToolbarElement.classList.remove('hidden');
+        archiveSelectedBtn.textContent = isArchiveView() ? 'Unarchive' : 'Archive';
         updateSelectionCount();
     }
     
@@ -332,53 +404,105 @@ document.addEventListener('DOMContentLoaded', async () => {
         const count = selectedItems.size;
         selectionCount.textContent = `${count} item${count !== 1 ? 's' : ''} selected`;
         deleteSelectedBtn.disabled = count === 0;
+        addToAlbumBtn.disabled = count === 0;
+        tagSelectedBtn.disabled = count === 0;
+        setDateSelectedBtn.disabled = count === 0;
+        archiveSelectedBtn.disabled = count === 0;
     }
     
-    // Handle delete selected items
-    async function handleDeleteSelected() {
+    function isArchiveView() {
+        return currentView === 'gallery' && filterPanel.isArchiveView();
+    }
+    
+    // Add or remove tags on the selected items
+    async function handleTagSelected() {
         if (selectedItems.size === 0) return;
         
-        const confirmMessage = selectedItems.size === 1 
-            ? 'Are you sure you want to delete the selected item?' 
-            : `Are you sure you want to delete ${selectedItems.size} selected items?`;
-            
-        if (confirm(confirmMessage)) {
-            try {
-                // Delete each selected item
-                const deletePromises = Array.from(selectedItems).map(async id => {
-                    try {
-                        const response = await fetch(`/api/media/${id}`, {
-                            method: 'DELETE'
-                        });
-                        return response.ok;
-                    } catch (err) {
-                        console.error(`Error deleting item ${id}:`, err);
-                        return false;
-                    }
-                });
-                
-                // Wait for all deletions to complete
-                const results = await Promise.all(deletePromises);
-                
-                // Count successful deletions
-                const successCount = results.filter(result => result).length;
-                
-                if (successCount > 0) {
-                    alert(`Successfully deleted ${successCount} item${successCount !== 1 ? 's' : ''}.`);
-                    
-                    // Reload media to refresh the gallery
-                    exitSelectionMode();
-                    loadMedia();
-                } else {
-                    alert('Failed to delete selected items.');
-                }
-            } catch (err) {
-                console.error('Error during batch delete:', err);
-                alert('Failed to delete selected items.');
-            }
+        const ids = Array.from(selectedItems);
+        const changes = await openTagDialog(ids);
+        if (!changes) return;
+        
+        const operation = await runSelectionBatch('tag', ids, changes);
+        if (!operation) return;
+        
+        exitSelectionMode();
+        showToast(describeBatch(operation));
+        
+        // Tag counts changed, and the items may no longer match a tag filter
+        if (currentView === 'gallery') {
+            loadMedia();
         }
     }
     
-    // Initial load
-    loadMedia();
+    // Add the selected items to an album chosen in the picker
+    async function handleAddSelectedToAlbum() {
+        if (selectedItems.size === 0) return;
+        
+        const ids = Array.from(selectedItems);
+        const album = await openAlbumPicker(ids);
+        if (!album) return;
+        
+        const operation = await runSelectionBatch('add-to-album', ids, { albumId: album.id });
+        if (!operation) return;
+        
+        exitSelectionMode();
+        showToast(`${describeBatch(operation)} "${album.name}"`);
+        if (currentView === 'album' && album.id === currentAlbumId) {
+            loadMedia();
+        }
+    }
+    
+    // Shift, set or restore the capture date of the selected items
+    async function handleSetDateSelected() {
+        if (selectedItems.size === 0) return;
+        
+        const ids = Array.from(selectedItems);
+        const result = await openDateDialog(ids);
+        if (!result) return;
+        
+        const operation = await runSelectionBatch(result.action, ids, result.params);
+        if (!operation) return;
+        
+        exitSelectionMode();
+        showToast(describeBatch(operation));
+        
+        // The items move to other date sections
+        loadMedia();
+    }
+    
+    // Move the selected items to the archive, or back out of it
+    async function handleArchiveSelected() {
+        if (selectedItems.size === 0) return;
+        
+        const ids = Array.from(selectedItems);
+        const action = isArchiveView() ? 'unarchive' : 'archive';
+        const operation = await runSelectionBatch(action, ids);
+        if (!operation) return;
+        
+        exitSelectionMode();
+        showToast(describeBatch(operation));
+        
+        // Albums keep showing archived media, the gallery shows either side of the archive
+        if (currentView === 'gallery') {
+            removeItemsFromView(getDoneIds(operation));
+            filterPanel.load(currentFilter);
+            timeline.load(currentFilter, filterPanel.getQuery());
+        }
+    }
+    
+    // Handle delete selected items
+    function handleDeleteSelected() {
+        if (selectedItems.size === 0) return;
+        
+        const ids = Array.from(selectedItems);
+        exitSelectionMode();
+        trashItems(ids);
+    }
+    
+    // Initial load, opening an album page or the trash when the URL points at one
+    if (location.pathname.startsWith('/albums') || location.pathname.startsWith('/trash')) {
+        showPath(location.pathname);
+    } else {
+        loadMedia();
+    }
 });
@@ -0,0 +1,427 @@
+import { createMediaItem, processMediaItem } from './item-renderer.js';
+
+/**
+ * Albums module
+ * Album overview, album pages with drag-and-drop ordering and a cover
+ * choice, and the picker used by the selection toolbar.
+ */
+
+/**
+ * Render the overview of all albums into the gallery
+ *
+ * @param {HTMLElement} galleryElement - The gallery element
+ * @param {Object} options - onOpen(albumId) opens an album page
+ */
+export async function renderAlbumList(galleryElement, options) {
+    showMessage(galleryElement, 'Loading albums...');
+    
+    try {
+        const { albums } = await request('/api/albums');
+        
+        galleryElement.textContent = '';
+        galleryElement.appendChild(createListToolbar(options, albums));
+        
+        if (albums.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'loading';
+            emptyDiv.textContent = 'No albums yet. Select media and choose "Add to album", or create one here.';
+            galleryElement.appendChild(emptyDiv);
+            return;
+        }
+        
+        const grid = document.createElement('div');
+        grid.className = 'album-grid';
+        albums.forEach(album => grid.appendChild(createAlbumCard(album, options)));
+        galleryElement.appendChild(grid);
+    } catch (error) {
+        console.error('Failed to load albums:', error);
+        showMessage(galleryElement, 'Failed to load albums. Please try again.');
+    }
+}
+
+/**
+ * Render the media of one album, in album order
+ *
+ * @param {HTMLElement} galleryElement - The gallery element
+ * @param {string} albumId - Album ID
+ * @param {Object} options - Item callbacks, as passed to createMediaItem, plus
+ *   onBack() to return to the album overview
+ */
+export async function renderAlbum(galleryElement, albumId, options) {
+    showMessage(galleryElement, 'Loading album...');
+    
+    try {
+        const [album, { data }] = await Promise.all([
+            request(`/api/albums/${albumId}`),
+            request(`/api/albums/${albumId}/items`)
+        ]);
+        
+        galleryElement.textContent = '';
+        galleryElement.appendChild(createAlbumHeader(album, options));
+        
+        if (data.length === 0) {
+            showEmptyAlbum(galleryElement);
+            return;
+        }
+        
+        // Reuse the date group layout so the viewer can navigate within the album
+        const group = document.createElement('div');
+        group.className = 'date-group album-items';
+        group.dataset.dateKey = `album-${album.id}`;
+        
+        data.forEach(item => {
+            group.appendChild(createAlbumItem(processMediaItem(item), album, group, options));
+        });
+        
+        enableReordering(group, album);
+        galleryElement.appendChild(group);
+    } catch (error) {
+        console.error('Failed to load album:', error);
+        showMessage(galleryElement, error.status === 404
+            ? 'This album no longer exists.'
+            : 'Failed to load album. Please try again.');
+    }
+}
+
+/**
+ * Let the user pick an album to add media to, or create one
+ *
+ * @param {string[]} ids - Media IDs to add
+ * @returns {Promise<Object|null>} - The chosen album, or null if cancelled
+ */
+export function openAlbumPicker(ids) {
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'modal album-picker';
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+        
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('h2');
+        title.textContent = `Add ${ids.length} item${ids.length !== 1 ? 's' : ''} to album`;
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'close-modal';
+        closeBtn.innerHTML = '&times;';
+        header.append(title, closeBtn);
+        
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        const list = document.createElement('div');
+        list.className = 'album-picker-list';
+        list.textContent = 'Loading albums...';
+        body.appendChild(list);
+        
+        // New album form
+        const form = document.createElement('form');
+        form.className = 'album-picker-new';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'New album name';
+        nameInput.required = true;
+        const createBtn = document.createElement('button');
+        createBtn.type = 'submit';
+        createBtn.className = 'upload-button';
+        createBtn.textContent = 'Create and add';
+        form.append(nameInput, createBtn);
+        body.appendChild(form);
+        
+        content.append(header, body);
+        modal.append(overlay, content);
+        document.body.appendChild(modal);
+        nameInput.focus();
+        
+        const close = result => {
+            modal.remove();
+            resolve(result);
+        };
+        
+        overlay.addEventListener('click', () => close(null));
+        closeBtn.addEventListener('click', () => close(null));
+        
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+            try {
+                const album = await request('/api/albums', {
+                    method: 'POST',
+                    body: { name: nameInput.value }
+                });
+                close(album);
+            } catch (err) {
+                console.error('Failed to create album:', err);
+                alert(err.message || 'Failed to create the album.');
+            }
+        });
+        
+        request('/api/albums')
+            .then(({ albums }) => {
+                list.textContent = '';
+                albums.forEach(album => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'album-picker-option';
+                    button.append(createCover(album), document.createTextNode(`${album.name} (${album.itemCount})`));
+                    button.addEventListener('click', () => close(album));
+                    list.appendChild(button);
+                });
+            })
+            .catch(err => {
+                console.error('Failed to load albums:', err);
+                list.textContent = 'Failed to load albums.';
+            });
+    });
+}
+
+// ======================== ALBUM OVERVIEW ========================
+
+function createListToolbar(options, albums) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'duplicates-toolbar album-toolbar';
+    
+    const summary = document.createElement('span');
+    summary.textContent = `${albums.length} album${albums.length !== 1 ? 's' : ''}`;
+    toolbar.appendChild(summary);
+    
+    const newBtn = document.createElement('button');
+    newBtn.className = 'keep-best-btn';
+    newBtn.textContent = 'New album';
+    newBtn.addEventListener('click', async () => {
+        const name = prompt('Album name');
+        if (!name || !name.trim()) return;
+        
+        try {
+            const album = await request('/api/albums', { method: 'POST', body: { name } });
+            options.onOpen(album.id);
+        } catch (err) {
+            console.error('Failed to create album:', err);
+            alert(err.message || 'Failed to create the album.');
+        }
+    });
+    toolbar.appendChild(newBtn);
+    
+    return toolbar;
+}
+
+function createAlbumCard(album, options) {
+    const card = document.createElement('div');
+    card.className = 'album-card';
+    card.dataset.id = album.id;
+    
+    const name = document.createElement('div');
+    name.className = 'album-card-name';
+    name.textContent = album.name;
+    
+    const count = document.createElement('div');
+    count.className = 'album-card-count';
+    count.textContent = `${album.itemCount} item${album.itemCount !== 1 ? 's' : ''}`;
+    
+    card.append(createCover(album), name, count);
+    card.addEventListener('click', () => options.onOpen(album.id));
+    return card;
+}
+
+function createCover(album) {
+    const cover = document.createElement('div');
+    cover.className = 'album-cover';
+    
+    if (album.coverId) {
+        const img = document.createElement('img');
+        img.src = `/api/thumbnails/${album.coverId}/400`;
+        img.alt = album.name;
+        img.loading = 'lazy';
+        cover.appendChild(img);
+    }
+    return cover;
+}
+
+// ======================== ALBUM PAGE ========================
+
+function createAlbumHeader(album, options) {
+    const header = document.createElement('div');
+    header.className = 'date-header album-header';
+    
+    const backBtn = document.createElement('button');
+    backBtn.className = 'album-back-btn';
+    backBtn.textContent = '← Albums';
+    backBtn.addEventListener('click', () => options.onBack());
+    
+    const heading = document.createElement('h2');
+    heading.textContent = album.name;
+    
+    const count = document.createElement('span');
+    count.className = 'album-card-count';
+    count.textContent = `${album.itemCount} item${album.itemCount !== 1 ? 's' : ''}`;
+    
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'keep-best-btn';
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', async () => {
+        const name = prompt('Album name', album.name);
+        if (!name || !name.trim() || name === album.name) return;
+        
+        try {
+            const updated = await request(`/api/albums/${album.id}`, { method: 'PATCH', body: { name } });
+            album.name = updated.name;
+            heading.textContent = updated.name;
+        } catch (err) {
+            console.error('Failed to rename album:', err);
+            alert(err.message || 'Failed to rename the album.');
+        }
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'keep-best-btn';
+    deleteBtn.textContent = 'Delete album';
+    deleteBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete the album "${album.name}"? The media in it is kept.`)) return;
+        
+        try {
+            await request(`/api/albums/${album.id}`, { method: 'DELETE' });
+            options.onBack();
+        } catch (err) {
+            console.error('Failed to delete album:', err);
+            alert('Failed to delete the album.');
+        }
+    });
+    
+    header.append(backBtn, heading, count, renameBtn, deleteBtn);
+    return header;
+}
+
+function createAlbumItem(item, album, group, options) {
+    const mediaItem = createMediaItem(item, options, item.fileInfo || null);
+    mediaItem.draggable = true;
+    
+    const actions = document.createElement('div');
+    actions.className = 'album-item-actions';
+    
+    const coverBtn = document.createElement('button');
+    coverBtn.className = 'album-item-btn album-cover-btn';
+    coverBtn.textContent = 'Cover';
+    coverBtn.title = 'Use as album cover';
+    coverBtn.addEventListener('click', async e => {
+        e.stopPropagation();
+        try {
+            const updated = await request(`/api/albums/${album.id}`, { method: 'PATCH', body: { coverId: item.id } });
+            album.coverId = updated.coverId;
+            markCover(group, album.coverId);
+        } catch (err) {
+            console.error('Failed to set album cover:', err);
+            alert('Failed to set the album cover.');
+        }
+    });
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'album-item-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.title = 'Remove from album';
+    removeBtn.addEventListener('click', async e => {
+        e.stopPropagation();
+        try {
+            const updated = await request(`/api/albums/${album.id}/items/remove`, {
+                method: 'POST',
+                body: { ids: [item.id] }
+            });
+            album.coverId = updated.coverId;
+            mediaItem.remove();
+            markCover(group, album.coverId);
+        } catch (err) {
+            console.error('Failed to remove media from album:', err);
+            alert('Failed to remove the item from the album.');
+        }
+    });
+    
+    actions.append(coverBtn, removeBtn);
+    mediaItem.querySelector('.thumbnail-container').appendChild(actions);
+    
+    if (item.id === album.coverId) {
+        mediaItem.classList.add('album-cover-item');
+    }
+    return mediaItem;
+}
+
+function markCover(group, coverId) {
+    group.querySelectorAll('.media-item').forEach(element => {
+        element.classList.toggle('album-cover-item', element.dataset.id === coverId);
+    });
+}
+
+/**
+ * Reorder album items by dragging them, saving the new order on drop
+ */
+function enableReordering(group, album) {
+    let dragged = null;
+    
+    group.addEventListener('dragstart', e => {
+        dragged = e.target.closest('.media-item');
+        if (!dragged) return;
+        dragged.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', dragged.dataset.id);
+    });
+    
+    group.addEventListener('dragover', e => {
+        if (!dragged) return;
+        e.preventDefault();
+        
+        const target = e.target.closest('.media-item');
+        if (!target || target === dragged) return;
+        
+        // Drop before or after the target depending on which half the pointer is in
+        const rect = target.getBoundingClientRect();
+        const after = e.clientX > rect.left + rect.width / 2;
+        group.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+    
+    group.addEventListener('dragend', async () => {
+        if (!dragged) return;
+        dragged.classList.remove('dragging');
+        dragged = null;
+        
+        const ids = Array.from(group.querySelectorAll('.media-item')).map(element => element.dataset.id);
+        try {
+            await request(`/api/albums/${album.id}/order`, { method: 'PUT', body: { ids } });
+        } catch (err) {
+            console.error('Failed to save album order:', err);
+            alert('Failed to save the new order.');
+        }
+    });
+}
+
+function showEmptyAlbum(galleryElement) {
+    const emptyDiv = document.createElement('div');
+    emptyDiv.className = 'loading';
+    emptyDiv.textContent = 'This album is empty. Select media in the gallery and choose "Add to album".';
+    galleryElement.appendChild(emptyDiv);
+}
+
+function showMessage(galleryElement, text) {
+    galleryElement.textContent = '';
+    const message = document.createElement('div');
+    message.className = 'loading';
+    message.textContent = text;
+    galleryElement.appendChild(message);
+}
+
+/**
+ * Call the albums API, throwing the server's error message on failure
+ */
+async function request(url, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        const error = new Error(result.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return result;
+}
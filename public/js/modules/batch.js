@@ -0,0 +1,82 @@
+/**
+ * Batch module
+ * Runs an action on many media files through the batch operations API and
+ * follows the operation until every item has a result.
+ */
+
+const POLL_INTERVAL_MS = 500;
+
+// What happened to each item, for the summary
+const ACTION_LABELS = {
+    delete: 'moved to the trash',
+    restore: 'restored',
+    tag: 'tagged',
+    'add-to-album': 'added to the album',
+    'set-date': 'given the new date',
+    'shift-date': 'moved in time',
+    'reset-date': 'reset to their recorded date',
+    archive: 'archived',
+    unarchive: 'taken out of the archive'
+};
+
+/**
+ * Apply an action to media files and wait for it to finish
+ *
+ * @param {string} action - delete, restore, tag, add-to-album, set-date, shift-date, reset-date, archive or unarchive
+ * @param {string[]} ids - Media IDs
+ * @param {Object} params - Parameters of the action, such as { add } for tag
+ * @param {Object} options - onProgress(operation) is called while the operation runs
+ * @returns {Promise<Object>} - The finished operation with a result per item
+ */
+export async function runBatch(action, ids, params = {}, { onProgress } = {}) {
+    let operation = await request('/api/batch', {
+        method: 'POST',
+        body: { action, ids, ...params }
+    });
+    
+    while (operation.status === 'running') {
+        if (onProgress) onProgress(operation);
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        operation = await request(`/api/batch/${operation.id}`);
+    }
+    
+    // Even a failed operation may have changed some of the items
+    document.dispatchEvent(new CustomEvent('media-metadata-changed', { detail: { ids } }));
+    
+    if (operation.status === 'failed') {
+        throw new Error(operation.error || 'The batch operation failed');
+    }
+    return operation;
+}
+
+/**
+ * Describe the outcome of a finished operation in one sentence
+ *
+ * @param {Object} operation - Finished operation
+ * @returns {string} - Summary such as "12 items tagged, 1 failed"
+ */
+export function describeBatch(operation) {
+    const { succeeded, skipped, failed } = operation;
+    const parts = [`${succeeded} item${succeeded !== 1 ? 's' : ''} ${ACTION_LABELS[operation.action] || operation.action}`];
+    
+    if (skipped > 0) parts.push(`${skipped} skipped`);
+    if (failed > 0) parts.push(`${failed} failed`);
+    return parts.join(', ');
+}
+
+/**
+ * Call the batch API, throwing the server's error message on failure
+ */
+async function request(url, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+}
@@ -0,0 +1,192 @@
+/**
+ * Date dialog module
+ * Asks how to correct the capture date of the media chosen in the selection
+ * toolbar: move it by an amount of time, set a new date, or go back to the
+ * date recorded in the files.
+ */
+
+const MODES = [
+    { value: 'shift', label: 'Shift by' },
+    { value: 'set', label: 'Set to' },
+    { value: 'reset', label: 'Restore the recorded date' }
+];
+
+// Fields of the shift, with the minutes in one unit
+const SHIFT_UNITS = [
+    { name: 'days', label: 'days', minutes: 24 * 60 },
+    { name: 'hours', label: 'hours', minutes: 60 },
+    { name: 'minutes', label: 'minutes', minutes: 1 }
+];
+
+/**
+ * Ask how to correct the capture date
+ *
+ * @param {string[]} ids - Media IDs the date is for
+ * @returns {Promise<Object|null>} - { action, params } for the batch API, or null if cancelled:
+ *   shift-date with { minutes }, set-date with { date, offset } or reset-date
+ */
+export function openDateDialog(ids) {
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'modal date-dialog';
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+        
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('h2');
+        title.textContent = `Correct the date of ${ids.length} item${ids.length !== 1 ? 's' : ''}`;
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'close-modal';
+        closeBtn.innerHTML = '&times;';
+        header.append(title, closeBtn);
+        
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        const form = document.createElement('form');
+        form.className = 'date-dialog-form';
+        
+        const modeInputs = {};
+        const modeRows = {};
+        MODES.forEach(({ value, label }) => {
+            const row = document.createElement('div');
+            row.className = 'date-dialog-mode';
+            const modeLabel = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'date-mode';
+            radio.value = value;
+            modeLabel.append(radio, ` ${label}`);
+            row.appendChild(modeLabel);
+            form.appendChild(row);
+            modeInputs[value] = radio;
+            modeRows[value] = row;
+        });
+        
+        // Shift: a direction and an amount in days, hours and minutes
+        const shiftFields = document.createElement('div');
+        shiftFields.className = 'date-dialog-fields';
+        const direction = document.createElement('select');
+        direction.innerHTML = '<option value="1">Later</option><option value="-1">Earlier</option>';
+        shiftFields.appendChild(direction);
+        const shiftInputs = SHIFT_UNITS.map(({ name, label }) => {
+            const unitLabel = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '1';
+            input.placeholder = '0';
+            input.name = name;
+            unitLabel.append(input, ` ${label}`);
+            shiftFields.appendChild(unitLabel);
+            return input;
+        });
+        modeRows.shift.appendChild(shiftFields);
+        
+        // Set: a date and time in the browser's zone
+        const dateInput = document.createElement('input');
+        dateInput.type = 'datetime-local';
+        dateInput.step = '1';
+        const setFields = document.createElement('div');
+        setFields.className = 'date-dialog-fields';
+        setFields.appendChild(dateInput);
+        modeRows.set.appendChild(setFields);
+        
+        const note = document.createElement('p');
+        note.className = 'date-dialog-note';
+        note.textContent = 'The dates the items had are kept in their date history.';
+        form.appendChild(note);
+        body.appendChild(form);
+        
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'cancel-button';
+        cancelBtn.textContent = 'Cancel';
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'upload-button';
+        applyBtn.textContent = 'Apply';
+        footer.append(cancelBtn, applyBtn);
+        
+        content.append(header, body, footer);
+        modal.append(overlay, content);
+        document.body.appendChild(modal);
+        
+        const getMode = () => MODES.map(({ value }) => value).find(value => modeInputs[value].checked);
+        
+        const selectMode = mode => {
+            modeInputs[mode].checked = true;
+            shiftFields.classList.toggle('disabled', mode !== 'shift');
+            setFields.classList.toggle('disabled', mode !== 'set');
+        };
+        
+        const close = result => {
+            modal.remove();
+            resolve(result);
+        };
+        
+        const applyShift = () => {
+            const minutes = SHIFT_UNITS.reduce((total, unit, i) => {
+                return total + (Number(shiftInputs[i].value) || 0) * unit.minutes;
+            }, 0);
+            if (!Number.isInteger(minutes) || minutes <= 0) {
+                shiftInputs[0].focus();
+                return;
+            }
+            close({ action: 'shift-date', params: { minutes: minutes * Number(direction.value) } });
+        };
+        
+        const applySet = () => {
+            // The input has no time zone, so it is read as local time
+            const date = new Date(dateInput.value);
+            if (!dateInput.value || Number.isNaN(date.getTime())) {
+                dateInput.focus();
+                return;
+            }
+            close({
+                action: 'set-date',
+                params: { date: date.toISOString(), offset: -date.getTimezoneOffset() }
+            });
+        };
+        
+        const apply = () => {
+            switch (getMode()) {
+                case 'shift':
+                    applyShift();
+                    break;
+                case 'set':
+                    applySet();
+                    break;
+                case 'reset':
+                    close({ action: 'reset-date', params: {} });
+                    break;
+            }
+        };
+        
+        Object.entries(modeInputs).forEach(([mode, radio]) => {
+            radio.addEventListener('change', () => selectMode(mode));
+        });
+        // Typing in a mode's fields chooses that mode
+        shiftFields.addEventListener('focusin', () => selectMode('shift'));
+        setFields.addEventListener('focusin', () => selectMode('set'));
+        
+        overlay.addEventListener('click', () => close(null));
+        closeBtn.addEventListener('click', () => close(null));
+        cancelBtn.addEventListener('click', () => close(null));
+        // The form has several fields, so Enter doesn't submit it by itself
+        form.addEventListener('keydown', e => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            apply();
+        });
+        form.addEventListener('submit', e => e.preventDefault());
+        applyBtn.addEventListener('click', apply);
+        
+        selectMode('shift');
+        shiftInputs[1].focus();
+    });
+}
@@ -0,0 +1,173 @@
+import { createMediaItem, processMediaItem } from './item-renderer.js';
+import { formatFileSize } from '../utils/helpers.js';
+import { moveToTrash, restoreFromTrash } from './trash.js';
+import { showToast } from './toast.js';
+
+/**
+ * Duplicates view module
+ * Shows groups of visually similar images so the best copy can be kept
+ */
+
+// Similarity levels offered in the view, as Hamming distance thresholds
+const SIMILARITY_LEVELS = [
+    { label: 'Strict', threshold: 5 },
+    { label: 'Normal', threshold: 10 },
+    { label: 'Loose', threshold: 16 }
+];
+
+let currentThreshold = 10;
+
+/**
+ * Render groups of similar images into the gallery
+ * 
+ * @param {HTMLElement} galleryElement - The gallery element
+ * @param {Object} options - Item callbacks, as passed to createMediaItem
+ */
+export async function renderDuplicates(galleryElement, options) {
+    galleryElement.textContent = '';
+    const loadingDiv = document.createElement('div');
+    loadingDiv.className = 'loading';
+    loadingDiv.textContent = 'Looking for similar images...';
+    galleryElement.appendChild(loadingDiv);
+    
+    try {
+        const response = await fetch(`/api/duplicates?threshold=${currentThreshold}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { groups } = await response.json();
+        
+        galleryElement.textContent = '';
+        galleryElement.appendChild(createToolbar(galleryElement, options, groups));
+        
+        if (groups.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'loading';
+            emptyDiv.textContent = 'No similar images found';
+            galleryElement.appendChild(emptyDiv);
+            return;
+        }
+        
+        groups.forEach((group, index) => {
+            renderGroup(group, index, galleryElement, options);
+        });
+    } catch (error) {
+        console.error('Failed to load duplicates:', error);
+        galleryElement.textContent = '';
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'loading';
+        errorDiv.textContent = 'Failed to load similar images. Please try again.';
+        galleryElement.appendChild(errorDiv);
+    }
+}
+
+/**
+ * Create the toolbar with the group count and similarity selector
+ */
+function createToolbar(galleryElement, options, groups) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'duplicates-toolbar';
+    
+    const summary = document.createElement('span');
+    const extraCopies = groups.reduce((count, group) => count + group.items.length - 1, 0);
+    summary.textContent = `${groups.length} group${groups.length !== 1 ? 's' : ''}, ${extraCopies} extra cop${extraCopies !== 1 ? 'ies' : 'y'}`;
+    toolbar.appendChild(summary);
+    
+    const label = document.createElement('label');
+    label.textContent = 'Similarity ';
+    
+    const select = document.createElement('select');
+    SIMILARITY_LEVELS.forEach(level => {
+        const option = document.createElement('option');
+        option.value = level.threshold;
+        option.textContent = level.label;
+        option.selected = level.threshold === currentThreshold;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+        currentThreshold = parseInt(select.value, 10);
+        renderDuplicates(galleryElement, options);
+    });
+    
+    label.appendChild(select);
+    toolbar.appendChild(label);
+    
+    return toolbar;
+}
+
+/**
+ * Render one group of similar images with a keep-best action
+ */
+function renderGroup(group, index, galleryElement, options) {
+    const header = document.createElement('div');
+    header.className = 'date-header duplicate-group-header';
+    
+    const heading = document.createElement('h2');
+    heading.textContent = `${group.items.length} similar images`;
+    header.appendChild(heading);
+    
+    const keepBestBtn = document.createElement('button');
+    keepBestBtn.className = 'keep-best-btn';
+    keepBestBtn.textContent = 'Keep best, delete others';
+    keepBestBtn.addEventListener('click', () => keepBest(group, galleryElement, options));
+    header.appendChild(keepBestBtn);
+    
+    galleryElement.appendChild(header);
+    
+    // Reuse the date group layout so the viewer can navigate within a group
+    const groupElement = document.createElement('div');
+    groupElement.className = 'date-group';
+    groupElement.dataset.dateKey = `duplicates-${index}`;
+    
+    group.items.forEach(item => {
+        const mediaItem = createMediaItem(processMediaItem(item), options);
+        
+        if (item.id === group.bestId) {
+            mediaItem.classList.add('best-copy');
+            
+            const badge = document.createElement('span');
+            badge.className = 'best-copy-badge';
+            badge.textContent = 'Best';
+            mediaItem.querySelector('.thumbnail-container').appendChild(badge);
+        }
+        
+        groupElement.appendChild(mediaItem);
+    });
+    
+    galleryElement.appendChild(groupElement);
+}
+
+/**
+ * Move every image in a group except the best copy to the trash
+ */
+async function keepBest(group, galleryElement, options) {
+    const others = group.items.filter(item => item.id !== group.bestId);
+    const freed = others.reduce((total, item) => total + (item.size || 0), 0);
+    
+    const ids = others.map(item => item.id);
+    
+    try {
+        await moveToTrash(ids);
+    } catch (err) {
+        console.error('Error moving copies to the trash:', err);
+        alert('The copies could not be deleted.');
+        return;
+    }
+    
+    // Deleting only moves the copies to the trash, so it can be undone
+    showToast(`Moved ${others.length} cop${others.length !== 1 ? 'ies' : 'y'} to the trash, freeing ${formatFileSize(freed)} once emptied.`, {
+        actionText: 'Undo',
+        onAction: async () => {
+            try {
+                await restoreFromTrash(ids);
+            } catch (err) {
+                console.error('Error restoring copies:', err);
+                alert('Failed to restore the copies.');
+            }
+            renderDuplicates(galleryElement, options);
+        }
+    });
+    
+    renderDuplicates(galleryElement, options);
+}
@@ -0,0 +1,464 @@
+import { formatFileSize, getDateDisplay, setDateDisplay } from '../utils/helpers.js';
+import { MAX_RATING } from './ratings.js';
+
+/**
+ * Filter panel module
+ * Search and filter controls in the sidebar. Every option shows how many
+ * media files it would match, counted by the catalog facets endpoint.
+ */
+
+const ORIENTATION_LABELS = {
+    landscape: 'Landscape',
+    portrait: 'Portrait',
+    square: 'Square',
+    panorama: 'Panorama'
+};
+
+const FLAG_LABELS = {
+    pick: 'Picks',
+    reject: 'Rejects',
+    none: 'Unflagged'
+};
+
+const SEARCH_DELAY_MS = 300; // Wait for the user to stop typing
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Create the filter panel inside a container element
+ *
+ * @param {HTMLElement} container - Element the panel is rendered into
+ * @param {Object} options - onChange() is called whenever a filter changes
+ * @returns {Object} - Filter panel controller
+ */
+export function createFilterPanel(container, options) {
+    const filters = {
+        q: '',
+        from: '',
+        to: '',
+        ext: new Set(),
+        camera: null, // { make, model }
+        minSize: '', // MB
+        maxSize: '', // MB
+        orientation: new Set(),
+        gps: '',
+        tags: new Set(),
+        favorite: false,
+        minRating: '',
+        flags: new Set(),
+        archived: false
+    };
+    let requestId = 0;
+    let searchTimer = null;
+    
+    const form = buildForm();
+    container.appendChild(form.element);
+    
+    /**
+     * Fetch the facet counts for a media type and show them
+     *
+     * @param {string} type - '' for all media, 'image' or 'video'
+     */
+    async function load(type = '') {
+        const currentRequest = ++requestId;
+        container.classList.remove('hidden');
+        
+        const params = new URLSearchParams(getQuery());
+        if (type) {
+            params.set('type', type);
+        }
+        
+        try {
+            const response = await fetch(`/api/catalog/facets?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const facets = await response.json();
+            if (currentRequest !== requestId) return;
+            renderFacets(facets);
+        } catch (err) {
+            console.error('Failed to load the filter counts:', err);
+        }
+    }
+    
+    /**
+     * Hide the panel, for views that can't be filtered
+     */
+    function hide() {
+        requestId++;
+        container.classList.add('hidden');
+    }
+    
+    /**
+     * Get the active filters as query string parameters for the catalog API
+     *
+     * @returns {string} - Query string without the leading '?'
+     */
+    function getQuery() {
+        const params = new URLSearchParams();
+        
+        if (filters.q.trim()) params.set('q', filters.q.trim());
+        if (filters.from) params.set('from', filters.from);
+        if (filters.to) params.set('to', filters.to);
+        if (filters.ext.size > 0) params.set('ext', [...filters.ext].join(','));
+        if (filters.camera) {
+            if (filters.camera.make) params.set('make', filters.camera.make);
+            if (filters.camera.model) params.set('model', filters.camera.model);
+        }
+        if (filters.minSize !== '') params.set('minSize', Math.round(filters.minSize * BYTES_PER_MB));
+        if (filters.maxSize !== '') params.set('maxSize', Math.round(filters.maxSize * BYTES_PER_MB));
+        if (filters.orientation.size > 0) params.set('orientation', [...filters.orientation].join(','));
+        if (filters.gps) params.set('gps', filters.gps);
+        if (filters.tags.size > 0) params.set('tag', [...filters.tags].join(','));
+        if (filters.favorite) params.set('favorite', 'true');
+        if (filters.minRating) params.set('minRating', filters.minRating);
+        if (filters.flags.size > 0) params.set('flag', [...filters.flags].join(','));
+        if (filters.archived) params.set('archived', 'true');
+        
+        return params.toString();
+    }
+    
+    /**
+     * Tell whether the archive is shown instead of the rest of the library
+     *
+     * @returns {boolean} - True when archived media is listed
+     */
+    function isArchiveView() {
+        return filters.archived;
+    }
+    
+    function hasActiveFilters() {
+        return getQuery() !== '';
+    }
+    
+    function changed() {
+        form.clearButton.disabled = !hasActiveFilters();
+        options.onChange();
+    }
+    
+    function clear() {
+        filters.q = '';
+        filters.from = '';
+        filters.to = '';
+        filters.ext.clear();
+        filters.camera = null;
+        filters.minSize = '';
+        filters.maxSize = '';
+        filters.orientation.clear();
+        filters.gps = '';
+        filters.tags.clear();
+        filters.favorite = false;
+        filters.minRating = '';
+        filters.flags.clear();
+        filters.archived = false;
+        
+        form.search.value = '';
+        form.from.value = '';
+        form.to.value = '';
+        form.minSize.value = '';
+        form.maxSize.value = '';
+        changed();
+    }
+    
+    // ======================== RENDERING ========================
+    
+    function buildForm() {
+        const element = document.createElement('div');
+        element.className = 'filter-panel';
+        
+        const heading = document.createElement('div');
+        heading.className = 'filter-panel-header';
+        const title = document.createElement('h3');
+        title.textContent = 'Filters';
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'filter-clear';
+        clearButton.textContent = 'Clear';
+        clearButton.disabled = true;
+        clearButton.addEventListener('click', clear);
+        heading.append(title, clearButton);
+        element.appendChild(heading);
+        
+        // Free text on the file name, matched against the start of its words
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.className = 'filter-search';
+        search.placeholder = 'Search words in file names';
+        search.title = 'Finds names with words starting with the text: "beach" or "2023" find ' +
+            'IMG_20230101_beach.jpg, "each" doesn\'t';
+        search.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                filters.q = search.value;
+                changed();
+            }, SEARCH_DELAY_MS);
+        });
+        element.appendChild(search);
+        
+        // Capture date range
+        const from = createInput('date', value => { filters.from = value; });
+        const to = createInput('date', value => { filters.to = value; });
+        element.appendChild(createGroup('Captured', createRange(from, to)));
+        
+        // Zone the days and times are shown in, remembered across visits
+        const dateDisplay = document.createElement('select');
+        dateDisplay.className = 'filter-select';
+        dateDisplay.appendChild(new Option('Local time where taken', 'capture'));
+        dateDisplay.appendChild(new Option('My time zone', 'browser'));
+        dateDisplay.value = getDateDisplay();
+        dateDisplay.addEventListener('change', () => {
+            setDateDisplay(dateDisplay.value);
+            options.onChange();
+        });
+        element.appendChild(createGroup('Show dates in', dateDisplay));
+        
+        // File size range
+        const minSize = createInput('number', value => { filters.minSize = value === '' ? '' : Number(value); });
+        const maxSize = createInput('number', value => { filters.maxSize = value === '' ? '' : Number(value); });
+        minSize.min = maxSize.min = '0';
+        minSize.step = maxSize.step = 'any';
+        minSize.placeholder = 'Min MB';
+        maxSize.placeholder = 'Max MB';
+        const sizeGroup = createGroup('Size', createRange(minSize, maxSize));
+        element.appendChild(sizeGroup);
+        
+        // Option lists, filled from the facet counts
+        const ratings = createGroup('Rating');
+        const flags = createGroup('Flag');
+        const tags = createGroup('Tags');
+        const extensions = createGroup('File type');
+        const orientations = createGroup('Orientation');
+        const cameras = createGroup('Camera');
+        const gps = createGroup('Location');
+        const archive = createGroup('Archive');
+        element.append(ratings, flags, tags, extensions, orientations, cameras, gps, archive);
+        
+        return {
+            element, clearButton, search, from, to, minSize, maxSize, sizeGroup,
+            ratings, flags, tags, extensions, orientations, cameras, gps, archive
+        };
+    }
+    
+    function renderFacets(facets) {
+        form.from.min = form.to.min = toDateValue(facets.captureDates.first);
+        form.from.max = form.to.max = toDateValue(facets.captureDates.last);
+        form.sizeGroup.title = facets.sizes.max
+            ? `${formatFileSize(facets.sizes.min)} to ${formatFileSize(facets.sizes.max)}`
+            : '';
+        
+        renderRatings(facets.favorites, facets.ratings);
+        renderCheckboxes(form.flags, facets.flags, filters.flags, value => FLAG_LABELS[value] || value);
+        renderCheckboxes(form.tags, facets.tags, filters.tags, value => value);
+        renderCheckboxes(form.extensions, facets.extensions, filters.ext, value => value.toUpperCase());
+        renderCheckboxes(form.orientations, facets.orientations, filters.orientation,
+            value => ORIENTATION_LABELS[value] || value);
+        renderCameras(facets.cameras);
+        renderGps(facets.gps);
+        renderArchive(facets.archived);
+    }
+    
+    function renderCheckboxes(group, facet, selected, formatLabel) {
+        const list = resetGroup(group);
+        
+        // Keep selected options that no longer match anything, so they can be unchecked
+        const values = new Map(facet.map(option => [option.value, option.count]));
+        selected.forEach(value => {
+            if (!values.has(value)) values.set(value, 0);
+        });
+        
+        group.classList.toggle('hidden', values.size === 0);
+        
+        values.forEach((count, value) => {
+            const label = document.createElement('label');
+            label.className = 'filter-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = selected.has(value);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    selected.add(value);
+                } else {
+                    selected.delete(value);
+                }
+                changed();
+            });
+            
+            label.append(checkbox, createOptionText(formatLabel(value), count));
+            list.appendChild(label);
+        });
+    }
+    
+    function renderRatings(favorites, ratings) {
+        const list = resetGroup(form.ratings);
+        const rated = ratings.filter(option => option.value > 0);
+        form.ratings.classList.toggle('hidden',
+            favorites === 0 && rated.length === 0 && !filters.favorite && !filters.minRating);
+        
+        const label = document.createElement('label');
+        label.className = 'filter-option';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = filters.favorite;
+        checkbox.addEventListener('change', () => {
+            filters.favorite = checkbox.checked;
+            changed();
+        });
+        
+        label.append(checkbox, createOptionText('Favorites', favorites));
+        list.appendChild(label);
+        
+        // Each option counts everything rated at least that many stars
+        const select = document.createElement('select');
+        select.className = 'filter-select';
+        select.appendChild(new Option('Any rating', ''));
+        for (let stars = MAX_RATING; stars >= 1; stars--) {
+            const count = rated
+                .filter(option => option.value >= stars)
+                .reduce((sum, option) => sum + option.count, 0);
+            const text = stars < MAX_RATING ? `${'★'.repeat(stars)} or more` : '★'.repeat(stars);
+            select.appendChild(new Option(`${text} (${count})`, String(stars)));
+        }
+        select.value = String(filters.minRating);
+        
+        select.addEventListener('change', () => {
+            filters.minRating = select.value;
+            changed();
+        });
+        
+        list.appendChild(select);
+    }
+    
+    function renderCameras(cameras) {
+        const list = resetGroup(form.cameras);
+        form.cameras.classList.toggle('hidden', cameras.length === 0 && !filters.camera);
+        
+        const select = document.createElement('select');
+        select.className = 'filter-select';
+        select.appendChild(new Option('Any camera', ''));
+        
+        // Keep the selected camera even when nothing matches it any more
+        const selected = filters.camera;
+        if (selected && !cameras.some(camera => camera.make === selected.make && camera.model === selected.model)) {
+            cameras = [...cameras, { ...selected, count: 0 }];
+        }
+        
+        cameras.forEach(({ make, model, count }) => {
+            const name = [make, model].filter(Boolean).join(' ');
+            const value = JSON.stringify([make, model]);
+            const option = new Option(`${name} (${count})`, value);
+            option.selected = Boolean(filters.camera) &&
+                filters.camera.make === make && filters.camera.model === model;
+            select.appendChild(option);
+        });
+        
+        select.addEventListener('change', () => {
+            if (select.value) {
+                const [make, model] = JSON.parse(select.value);
+                filters.camera = { make, model };
+            } else {
+                filters.camera = null;
+            }
+            changed();
+        });
+        
+        list.appendChild(select);
+    }
+    
+    function renderGps(gps) {
+        const list = resetGroup(form.gps);
+        
+        const select = document.createElement('select');
+        select.className = 'filter-select';
+        select.appendChild(new Option('Any', ''));
+        select.appendChild(new Option(`With location (${gps.with})`, 'true'));
+        select.appendChild(new Option(`Without location (${gps.without})`, 'false'));
+        select.value = filters.gps;
+        
+        select.addEventListener('change', () => {
+            filters.gps = select.value;
+            changed();
+        });
+        
+        list.appendChild(select);
+    }
+    
+    function renderArchive(archivedCount) {
+        const list = resetGroup(form.archive);
+        form.archive.classList.toggle('hidden', archivedCount === 0 && !filters.archived);
+        
+        const select = document.createElement('select');
+        select.className = 'filter-select';
+        select.appendChild(new Option('Library', ''));
+        select.appendChild(new Option(`Archived (${archivedCount})`, 'true'));
+        select.value = filters.archived ? 'true' : '';
+        
+        select.addEventListener('change', () => {
+            filters.archived = select.value === 'true';
+            changed();
+        });
+        
+        list.appendChild(select);
+    }
+    
+    function createGroup(titleText, content = null) {
+        const group = document.createElement('div');
+        group.className = 'filter-group';
+        
+        const title = document.createElement('h4');
+        title.textContent = titleText;
+        group.appendChild(title);
+        
+        const list = document.createElement('div');
+        list.className = 'filter-options';
+        if (content) list.appendChild(content);
+        group.appendChild(list);
+        
+        return group;
+    }
+    
+    function resetGroup(group) {
+        const list = group.querySelector('.filter-options');
+        list.textContent = '';
+        return list;
+    }
+    
+    function createRange(start, end) {
+        const range = document.createElement('div');
+        range.className = 'filter-range';
+        range.append(start, end);
+        return range;
+    }
+    
+    function createInput(type, onValue) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.addEventListener('change', () => {
+            onValue(input.value);
+            changed();
+        });
+        return input;
+    }
+    
+    function createOptionText(text, count) {
+        const fragment = document.createDocumentFragment();
+        
+        const name = document.createElement('span');
+        name.className = 'filter-option-name';
+        name.textContent = text;
+        
+        const countSpan = document.createElement('span');
+        countSpan.className = 'filter-count';
+        countSpan.textContent = count;
+        
+        fragment.append(name, countSpan);
+        return fragment;
+    }
+    
+    function toDateValue(date) {
+        return date ? new Date(date).toISOString().split('T')[0] : '';
+    }
+    
+    return { load, hide, getQuery, isArchiveView };
+}
@@ -1,5 +1,6 @@
-import { formatFileSize, formatDate, getMediaResolution, formatDateHeader as formatHeaderDate } from '../utils/helpers.js';
+import { formatFileSize, formatDate, getMediaResolution, formatDateHeader as formatHeaderDate, parseDateKey } from '../utils/helpers.js';
 import { insertSvg } from '../utils/svg-loader.js';
+import { createRatingBadges } from './ratings.js';
 
 /**
  * Media item renderer module
@@ -38,6 +39,25 @@ export function processMediaItem(item) {
 
 // ======================== THUMBNAIL HANDLING ========================
 
+// Grid cells are between 200 and 400 CSS pixels wide, a single column on phones
+const THUMBNAIL_SIZES = '(max-width: 440px) 100vw, 400px';
+
+/**
+ * Let the browser pick a thumbnail rendition matching the cell size and pixel density
+ * @param {HTMLImageElement} thumbnail - The thumbnail element
+ * @param {Object} item - The media item
+ */
+function setThumbnailSrcset(thumbnail, item) {
+    const widths = item.metadata && item.metadata.renditionSizes;
+    if (!Array.isArray(widths) || widths.length === 0) {
+        return;
+    }
+    
+    // The server negotiates AVIF, WebP or JPEG from the Accept header
+    thumbnail.srcset = widths.map(width => `/api/thumbnails/${item.id}/${width} ${width}w`).join(', ');
+    thumbnail.sizes = THUMBNAIL_SIZES;
+}
+
 /**
  * Set the appropriate thumbnail for an image item
  * @param {HTMLImageElement} thumbnail - The thumbnail element
@@ -48,6 +68,7 @@ function setImageThumbnail(thumbnail, item, fileInfo) {
     // Use thumbnail API if thumbnailId exists or if we previously set thumbnailPath
     if (item.id) {
         thumbnail.src = `/api/thumbnails/${item.id}`;
+        setThumbnailSrcset(thumbnail, item);
         
         // Store fileInfo for potential later use
         if (fileInfo) {
@@ -67,6 +88,7 @@ function setImageThumbnail(thumbnail, item, fileInfo) {
     // Add error handler - use placeholder instead of loading full image
     thumbnail.onerror = function() {
         this.onerror = null; // Prevent infinite error loop
+        this.removeAttribute('srcset');
         this.src = '/public/img/image-placeholder.svg';
     };
 }
@@ -81,6 +103,7 @@ function setVideoThumbnail(thumbnail, item, fileInfo) {
     // Use thumbnail API if thumbnailId exists or if we previously set thumbnailPath
     if ((item.thumbnailId || (item.metadata && item.metadata.thumbnailId)) || item.thumbnailPath) {
         thumbnail.src = `/api/thumbnails/${item.id}`;
+        setThumbnailSrcset(thumbnail, item);
         
         // Store fileInfo for potential later use
         if (fileInfo) {
@@ -100,6 +123,7 @@ function setVideoThumbnail(thumbnail, item, fileInfo) {
     // Add error handler
     thumbnail.onerror = function() {
         this.onerror = null; // Prevent infinite error loop
+        this.removeAttribute('srcset');
         this.src = '/public/img/video-placeholder.svg';
     };
 }
@@ -455,6 +479,7 @@ export function createMediaItem(item, options, fileInfo = null) {
     
     // Create and add thumbnail container
     const thumbnailContainer = createThumbnailContainer(item, fileInfo);
+    thumbnailContainer.appendChild(createRatingBadges(item));
     mediaItem.appendChild(thumbnailContainer);
     
     // Create info section with metadata and actions
@@ -500,15 +525,13 @@ export function updateItemSelection(element, id, isSelected) {
 export const formatDateHeader = formatHeaderDate;
 
 /**
- * Create date section elements for gallery
+ * Create the header element of a date section
  * 
  * @param {string} dateKey - The date key in YYYY-MM-DD format
  * @param {Date} date - The date object
- * @param {HTMLElement} galleryElement - The gallery element where sections should be added
- * @returns {Object} - Object containing the created header and group elements
+ * @returns {HTMLElement} - The header element
  */
-export function createDateSection(dateKey, date, galleryElement) {
-    // Create a header for this date group
+export function createDateHeader(dateKey, date) {
     const dateHeader = document.createElement('div');
     dateHeader.className = 'date-header';
     dateHeader.dataset.dateKey = dateKey;
@@ -517,6 +540,20 @@ export function createDateSection(dateKey, date, galleryElement) {
     dateHeading.textContent = formatDateHeader(date);
     dateHeader.appendChild(dateHeading);
     
+    return dateHeader;
+}
+
+/**
+ * Create date section elements for gallery
+ * 
+ * @param {string} dateKey - The date key in YYYY-MM-DD format
+ * @param {Date} date - The date object
+ * @param {HTMLElement} galleryElement - The gallery element where sections should be added
+ * @returns {Object} - Object containing the created header and group elements
+ */
+export function createDateSection(dateKey, date, galleryElement) {
+    // Create a header for this date group
+    const dateHeader = createDateHeader(dateKey, date);
     galleryElement.appendChild(dateHeader);
     
     // Create a container for this date's media items
@@ -549,7 +586,7 @@ export function renderMediaByDate(mediaByDate, galleryElement, options) {
     // Create date section headers and items for each date
     window.dateGroups.forEach(dateKey => {
         const items = mediaByDate[dateKey];
-        const date = new Date(dateKey);
+        const date = parseDateKey(dateKey);
         
         // Create the date section elements
         const { dateGroup } = createDateSection(dateKey, date, galleryElement);
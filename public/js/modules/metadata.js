@@ -1,10 +1,25 @@
-import { formatFileSize } from '../utils/helpers.js';
+import { formatFileSize, formatCaptureTime } from '../utils/helpers.js';
 import { loadAndFillTemplate } from '../utils/template-loader.js';
+import { createTagEditor } from './tags.js';
+import { createRatingControls } from './ratings.js';
 
 /**
  * Module for handling metadata display in the viewer
  */
 
+// Where the server found the capture time, see deriveCaptureTime
+const CAPTURE_SOURCE_LABELS = {
+    manual: 'Set by hand',
+    'exif-offset': 'Camera (EXIF)',
+    gps: 'Camera and GPS clock',
+    'default-zone': 'Camera (EXIF), zone assumed',
+    video: 'Video metadata',
+    container: 'Video container',
+    filename: 'File name',
+    file: 'File date',
+    upload: 'Upload date'
+};
+
 /**
  * Render metadata for a media item
  * 
@@ -62,6 +77,8 @@ export async function renderMetadata(item, container, fileInfo = null) {
         extension: extension,
         fileSize: fileSize,
         dateCreated: dateCreated,
+        captureTime: formatCaptureTime(item),
+        captureSource: describeCaptureSource(effectiveInfo.metadata || item.metadata || {}),
         path: item.path,
         fileHash: fileHash,
         resolution: resolution || 'Unknown'
@@ -79,6 +96,25 @@ export async function renderMetadata(item, container, fileInfo = null) {
         await renderVideoMetadata(item, additionalMetadataContainer, effectiveInfo);
     }
     
+    // Capture dates the item had before they were corrected
+    renderDateHistory(effectiveInfo.metadata?.captureHistory, additionalMetadataContainer);
+    
+    // Favorite, stars and flag, also set with the keyboard
+    const ratingGroup = document.createElement('div');
+    ratingGroup.className = 'metadata-group';
+    const ratingTitle = document.createElement('h4');
+    ratingTitle.textContent = 'Rating';
+    ratingGroup.append(ratingTitle, createRatingControls(item));
+    additionalMetadataContainer.appendChild(ratingGroup);
+    
+    // Tags can be edited right in the panel
+    const tagsGroup = document.createElement('div');
+    tagsGroup.className = 'metadata-group';
+    const tagsTitle = document.createElement('h4');
+    tagsTitle.textContent = 'Tags';
+    tagsGroup.append(tagsTitle, createTagEditor(item));
+    additionalMetadataContainer.appendChild(tagsGroup);
+    
     // Remove the code that tried to get resolution from the thumbnail
     // Never fall back to loading the full image just to determine resolution
 }
@@ -311,6 +347,14 @@ async function renderVideoMetadata(item, container, fileInfo = null) {
         addMetadataRow(group, 'Audio', metadata.audioCodec);
     }
     
+    if (metadata.bitrate) {
+        addMetadataRow(group, 'Bitrate', formatBitrate(metadata.bitrate));
+    }
+    
+    if (metadata.rotation) {
+        addMetadataRow(group, 'Rotation', `${metadata.rotation}°`);
+    }
+    
     // If we didn't add any rows, show a message
     if (group.querySelectorAll('.metadata-row').length === 0) {
         const note = document.createElement('div');
@@ -363,6 +407,73 @@ function formatDuration(seconds) {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Format a bitrate in bits per second
+ * @param {number} bitsPerSecond - Bitrate
+ * @returns {string} - Formatted bitrate
+ */
+function formatBitrate(bitsPerSecond) {
+    if (bitsPerSecond >= 1000000) {
+        return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
+    }
+    return `${Math.round(bitsPerSecond / 1000)} kbps`;
+}
+
+/**
+ * Render the edits of an item's capture date, oldest first
+ * 
+ * @param {Object[]} history - metadata.captureHistory, each with the capture time it replaced
+ * @param {HTMLElement} container - Container element
+ */
+function renderDateHistory(history, container) {
+    if (!Array.isArray(history) || history.length === 0) {
+        return;
+    }
+    
+    const group = document.createElement('div');
+    group.className = 'metadata-group';
+    const title = document.createElement('h4');
+    title.textContent = 'Date History';
+    group.appendChild(title);
+    
+    const [original] = history;
+    addMetadataRow(group, 'Original', formatCaptureTime({ created: original.captureTime, captureOffset: original.captureOffset }));
+    
+    history.forEach(entry => {
+        addMetadataRow(group, new Date(entry.editedAt).toLocaleDateString(), describeDateEdit(entry));
+    });
+    
+    container.appendChild(group);
+}
+
+function describeCaptureSource(metadata) {
+    const label = CAPTURE_SOURCE_LABELS[metadata.captureTimeSource];
+    if (!label) {
+        return 'Unknown';
+    }
+    return metadata.captureTimeConfidence ? `${label} (${metadata.captureTimeConfidence} confidence)` : label;
+}
+
+function describeDateEdit(entry) {
+    switch (entry.change) {
+        case 'shift': {
+            const minutes = Math.abs(entry.minutes);
+            const parts = [
+                [Math.floor(minutes / 1440), 'day'],
+                [Math.floor(minutes / 60) % 24, 'hour'],
+                [minutes % 60, 'minute']
+            ].filter(([count]) => count > 0).map(([count, unit]) => `${count} ${unit}${count !== 1 ? 's' : ''}`);
+            return `Shifted ${parts.join(' ')} ${entry.minutes < 0 ? 'earlier' : 'later'}`;
+        }
+        case 'set':
+            return `Set to ${new Date(entry.date).toLocaleString()}`;
+        case 'reset':
+            return 'Restored the recorded date';
+        default:
+            return entry.change;
+    }
+}
+
 /**
  * Helper function to add a metadata row to the group
  * @param {HTMLElement} group - The group element to add the row to
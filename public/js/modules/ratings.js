@@ -0,0 +1,209 @@
+/**
+ * Ratings module
+ * Favorite, star rating and pick/reject flag of media items: badges for the
+ * gallery, controls and keyboard shortcuts for the viewer. Every change is
+ * announced with a 'media-ratings-changed' event on the document.
+ */
+
+export const MAX_RATING = 5;
+
+const FLAG_LABELS = {
+    pick: 'Pick',
+    reject: 'Reject'
+};
+
+/**
+ * Get the ratings of a media item
+ *
+ * @param {Object} item - Media item
+ * @returns {Object} - favorite, rating (0 when unrated) and flag (null when unflagged)
+ */
+export function getRatings(item) {
+    const metadata = item.metadata || (item.fileInfo && item.fileInfo.metadata) || {};
+    return {
+        favorite: metadata.favorite === true,
+        rating: metadata.rating || 0,
+        flag: metadata.flag || null
+    };
+}
+
+/**
+ * Save new ratings for a media item and update the item in place
+ *
+ * @param {Object} item - Media item
+ * @param {Object} changes - favorite, rating and/or flag
+ * @returns {Promise<Object>} - The saved ratings
+ */
+export async function updateRatings(item, changes) {
+    const response = await fetch(`/api/media/${item.id}/ratings`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+    
+    const { favorite, rating, flag } = result;
+    item.metadata = { ...item.metadata, favorite, rating, flag };
+    if (item.fileInfo && item.fileInfo.metadata) {
+        item.fileInfo.metadata = { ...item.fileInfo.metadata, favorite, rating, flag };
+    }
+    
+    document.dispatchEvent(new CustomEvent('media-ratings-changed', { detail: { item } }));
+    return result;
+}
+
+/**
+ * Change the ratings of a media item from a key press:
+ * 0-5 set the stars, F toggles the favorite, P picks, X rejects and U unflags
+ *
+ * @param {string} key - Pressed key
+ * @param {Object} item - Media item
+ * @returns {boolean} - True if the key is a rating shortcut
+ */
+export function handleRatingKey(key, item) {
+    const changes = getKeyChanges(key.toLowerCase(), getRatings(item));
+    if (!changes) return false;
+    
+    updateRatings(item, changes).catch(err => {
+        console.error('Failed to update ratings:', err);
+    });
+    return true;
+}
+
+function getKeyChanges(key, current) {
+    if (/^[0-9]$/.test(key) && Number(key) <= MAX_RATING) {
+        return { rating: Number(key) };
+    }
+    switch (key) {
+        case 'f':
+            return { favorite: !current.favorite };
+        case 'p':
+            return { flag: 'pick' };
+        case 'x':
+            return { flag: 'reject' };
+        case 'u':
+            return { flag: null };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Create the badges shown on a gallery item, empty when it has no ratings
+ *
+ * @param {Object} item - Media item
+ * @returns {HTMLElement} - Badges element
+ */
+export function createRatingBadges(item) {
+    const { favorite, rating, flag } = getRatings(item);
+    const badges = document.createElement('div');
+    badges.className = 'rating-badges';
+    
+    if (flag) {
+        badges.appendChild(createBadge(`rating-badge flag-badge flag-${flag}`, FLAG_LABELS[flag]));
+    }
+    if (rating > 0) {
+        badges.appendChild(createBadge('rating-badge stars-badge', `★ ${rating}`, `${rating} star${rating !== 1 ? 's' : ''}`));
+    }
+    if (favorite) {
+        badges.appendChild(createBadge('rating-badge favorite-badge', '♥', 'Favorite'));
+    }
+    
+    return badges;
+}
+
+/**
+ * Replace the badges of a rendered gallery item after its ratings changed
+ *
+ * @param {HTMLElement} element - Media item element
+ * @param {Object} item - Media item
+ */
+export function updateRatingBadges(element, item) {
+    const badges = element.querySelector('.rating-badges');
+    if (badges) {
+        badges.replaceWith(createRatingBadges(item));
+    }
+    
+    // Keep the data the viewer reads from the element in step
+    const itemData = JSON.parse(element.dataset.itemData);
+    if (itemData.fileInfo) {
+        itemData.fileInfo.metadata = { ...itemData.fileInfo.metadata, ...getRatings(item) };
+        element.dataset.itemData = JSON.stringify(itemData);
+    }
+}
+
+/**
+ * Create the rating controls for the viewer's metadata panel
+ *
+ * @param {Object} item - Media item
+ * @returns {HTMLElement} - Controls element, kept up to date with keyboard changes
+ */
+export function createRatingControls(item) {
+    const controls = document.createElement('div');
+    controls.className = 'rating-controls';
+    
+    const save = changes => {
+        updateRatings(item, changes).catch(err => {
+            console.error('Failed to update ratings:', err);
+            alert(err.message || 'Failed to update ratings.');
+        });
+    };
+    
+    const render = () => {
+        const { favorite, rating, flag } = getRatings(item);
+        controls.textContent = '';
+        
+        const favoriteBtn = createControl('rating-favorite', favorite ? '♥' : '♡', 'Favorite (F)', favorite);
+        favoriteBtn.addEventListener('click', () => save({ favorite: !favorite }));
+        
+        const stars = document.createElement('div');
+        stars.className = 'rating-stars';
+        for (let value = 1; value <= MAX_RATING; value++) {
+            const star = createControl('rating-star', value <= rating ? '★' : '☆', `${value} star${value !== 1 ? 's' : ''} (${value})`, value <= rating);
+            // Choosing the current rating again clears it
+            star.addEventListener('click', () => save({ rating: value === rating ? 0 : value }));
+            stars.appendChild(star);
+        }
+        
+        const pickBtn = createControl('rating-flag flag-pick', 'Pick', 'Pick (P), unflag (U)', flag === 'pick');
+        pickBtn.addEventListener('click', () => save({ flag: flag === 'pick' ? null : 'pick' }));
+        const rejectBtn = createControl('rating-flag flag-reject', 'Reject', 'Reject (X), unflag (U)', flag === 'reject');
+        rejectBtn.addEventListener('click', () => save({ flag: flag === 'reject' ? null : 'reject' }));
+        
+        controls.append(favoriteBtn, stars, pickBtn, rejectBtn);
+    };
+    
+    const onChange = e => {
+        if (!controls.isConnected) {
+            document.removeEventListener('media-ratings-changed', onChange);
+            return;
+        }
+        if (e.detail.item.id === item.id) render();
+    };
+    document.addEventListener('media-ratings-changed', onChange);
+    
+    render();
+    return controls;
+}
+
+function createBadge(className, text, title = text) {
+    const badge = document.createElement('span');
+    badge.className = className;
+    badge.textContent = text;
+    badge.title = title;
+    return badge;
+}
+
+function createControl(className, text, title, active) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.classList.toggle('active', active);
+    button.textContent = text;
+    button.title = title;
+    return button;
+}
@@ -0,0 +1,234 @@
+/**
+ * Tags module
+ * Tag chips for the viewer's metadata panel, the bulk tag dialog of the
+ * selection toolbar and autocomplete from the tags already in use.
+ */
+
+const SUGGESTION_DELAY_MS = 150;
+let datalistCounter = 0;
+
+/**
+ * Create the tag chips of a media item, with an input to add more
+ *
+ * @param {Object} item - Media item; its tags are updated in place
+ * @returns {HTMLElement} - Tag editor element
+ */
+export function createTagEditor(item) {
+    const editor = document.createElement('div');
+    editor.className = 'tag-editor';
+    
+    const chips = document.createElement('div');
+    chips.className = 'tag-chips';
+    editor.appendChild(chips);
+    
+    const form = document.createElement('form');
+    form.className = 'tag-add-form';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Add tag';
+    attachAutocomplete(input, form);
+    form.appendChild(input);
+    editor.appendChild(form);
+    
+    const renderChips = () => {
+        chips.textContent = '';
+        getTags(item).forEach(tag => {
+            chips.appendChild(createChip(tag, () => save({ remove: [tag] })));
+        });
+    };
+    
+    const save = async changes => {
+        try {
+            const result = await updateTags([item.id], changes);
+            const removed = new Set(result.removed);
+            setTags(item, [...new Set([...getTags(item), ...result.added])].filter(tag => !removed.has(tag)));
+            document.dispatchEvent(new CustomEvent('media-metadata-changed', { detail: { ids: [item.id] } }));
+            renderChips();
+        } catch (err) {
+            console.error('Failed to update tags:', err);
+            alert(err.message || 'Failed to update tags.');
+        }
+    };
+    
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const tags = splitTags(input.value);
+        if (tags.length === 0) return;
+        input.value = '';
+        save({ add: tags });
+    });
+    
+    // Typing in the field must not trigger the viewer's keyboard shortcuts
+    input.addEventListener('keydown', e => e.stopPropagation());
+    
+    renderChips();
+    return editor;
+}
+
+/**
+ * Ask for tags to add to, or remove from, several media files
+ *
+ * @param {string[]} ids - Media IDs
+ * @returns {Promise<Object|null>} - { add } or { remove } with the tags, or null if cancelled
+ */
+export function openTagDialog(ids) {
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'modal tag-dialog';
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+        
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('h2');
+        title.textContent = `Tag ${ids.length} item${ids.length !== 1 ? 's' : ''}`;
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'close-modal';
+        closeBtn.innerHTML = '&times;';
+        header.append(title, closeBtn);
+        
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        const form = document.createElement('form');
+        form.className = 'tag-add-form';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Tags, separated by commas';
+        attachAutocomplete(input, form);
+        form.appendChild(input);
+        body.appendChild(form);
+        
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'cancel-button';
+        removeBtn.textContent = 'Remove tags';
+        const addBtn = document.createElement('button');
+        addBtn.className = 'upload-button';
+        addBtn.textContent = 'Add tags';
+        footer.append(removeBtn, addBtn);
+        
+        content.append(header, body, footer);
+        modal.append(overlay, content);
+        document.body.appendChild(modal);
+        input.focus();
+        
+        const close = result => {
+            modal.remove();
+            resolve(result);
+        };
+        
+        const apply = action => {
+            const tags = splitTags(input.value);
+            if (tags.length === 0) {
+                input.focus();
+                return;
+            }
+            close({ [action]: tags });
+        };
+        
+        overlay.addEventListener('click', () => close(null));
+        closeBtn.addEventListener('click', () => close(null));
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            apply('add');
+        });
+        addBtn.addEventListener('click', () => apply('add'));
+        removeBtn.addEventListener('click', () => apply('remove'));
+    });
+}
+
+/**
+ * Offer tags already in use while the user types
+ *
+ * @param {HTMLInputElement} input - Text input for tags
+ * @param {HTMLElement} parent - Element the datalist is added to
+ */
+function attachAutocomplete(input, parent) {
+    const datalist = document.createElement('datalist');
+    datalist.id = `tag-suggestions-${++datalistCounter}`;
+    input.setAttribute('list', datalist.id);
+    input.autocomplete = 'off';
+    parent.appendChild(datalist);
+    
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            // Complete the last tag of a comma separated list
+            const parts = input.value.split(',');
+            const typed = parts.pop().trim();
+            if (!typed) return;
+            
+            try {
+                const response = await fetch(`/api/tags/suggest?q=${encodeURIComponent(typed)}`);
+                if (!response.ok) return;
+                const { tags } = await response.json();
+                
+                const before = parts.length > 0 ? `${parts.join(',')}, ` : '';
+                datalist.textContent = '';
+                tags.forEach(({ name, count }) => {
+                    const option = document.createElement('option');
+                    option.value = `${before}${name}`;
+                    option.label = `${name} (${count})`;
+                    datalist.appendChild(option);
+                });
+            } catch (err) {
+                console.warn('Failed to load tag suggestions:', err);
+            }
+        }, SUGGESTION_DELAY_MS);
+    });
+}
+
+function createChip(tag, onRemove) {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip';
+    chip.textContent = tag;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'tag-chip-remove';
+    removeBtn.title = `Remove ${tag}`;
+    removeBtn.innerHTML = '&times;';
+    removeBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        onRemove();
+    });
+    
+    chip.appendChild(removeBtn);
+    return chip;
+}
+
+function getTags(item) {
+    return (item.metadata && item.metadata.tags) || item.tags || [];
+}
+
+function setTags(item, tags) {
+    item.tags = tags;
+    item.metadata = { ...item.metadata, tags };
+    if (item.fileInfo && item.fileInfo.metadata) {
+        item.fileInfo.metadata = { ...item.fileInfo.metadata, tags };
+    }
+}
+
+function splitTags(value) {
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+async function updateTags(ids, changes) {
+    const response = await fetch('/api/tags/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids, ...changes })
+    });
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+}
@@ -0,0 +1,134 @@
+/**
+ * Timeline module
+ * Vertical scrubber next to the gallery listing every year and month that
+ * has media. Choosing a month opens the gallery at its newest item, and the
+ * month in view is highlighted while scrolling.
+ */
+
+/**
+ * Create the timeline scrubber inside a container element
+ *
+ * @param {HTMLElement} container - Element the scrubber is rendered into
+ * @param {Object} options - onJump(cursor) opens the gallery at a month
+ * @returns {Object} - Timeline controller
+ */
+export function createTimeline(container, options) {
+    const monthLinks = new Map(); // 'YYYY-MM' -> month element
+    const yearLinks = new Map(); // year -> year element
+    let activeMonth = null;
+    let requestId = 0;
+    
+    /**
+     * Fetch the months of a media type and show them
+     *
+     * @param {string} type - '' for all media, 'image' or 'video'
+     * @param {string} query - Search filters as query string parameters
+     */
+    async function load(type = '', query = '') {
+        const currentRequest = ++requestId;
+        
+        const params = new URLSearchParams(query);
+        if (type) {
+            params.set('type', type);
+        }
+        
+        try {
+            const response = await fetch(`/api/catalog/timeline?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const { years } = await response.json();
+            if (currentRequest !== requestId) return;
+            render(years);
+        } catch (err) {
+            console.error('Failed to load the timeline:', err);
+            if (currentRequest === requestId) {
+                render([]);
+            }
+        }
+    }
+    
+    /**
+     * Highlight the month of a date section
+     *
+     * @param {string} dateKey - Date in YYYY-MM-DD format
+     */
+    function setActive(dateKey) {
+        const monthKey = dateKey ? dateKey.slice(0, 7) : null;
+        if (monthKey === activeMonth) return;
+        
+        if (activeMonth) {
+            const previous = monthLinks.get(activeMonth);
+            if (previous) previous.classList.remove('active');
+            const previousYear = yearLinks.get(activeMonth.slice(0, 4));
+            if (previousYear) previousYear.classList.remove('active');
+        }
+        
+        activeMonth = monthKey;
+        const month = monthLinks.get(monthKey);
+        if (!month) return;
+        
+        month.classList.add('active');
+        const year = yearLinks.get(monthKey.slice(0, 4));
+        if (year) year.classList.add('active');
+        
+        // Keep the highlighted month visible in a long timeline
+        month.scrollIntoView({ block: 'nearest' });
+    }
+    
+    /**
+     * Hide the scrubber, for views that are not ordered by date
+     */
+    function hide() {
+        requestId++;
+        render([]);
+    }
+    
+    function render(years) {
+        container.textContent = '';
+        monthLinks.clear();
+        yearLinks.clear();
+        activeMonth = null;
+        container.classList.toggle('hidden', years.length === 0);
+        
+        years.forEach(({ year, count, months }) => {
+            const yearButton = createButton('timeline-year', String(year), `${year}: ${formatCount(count)}`);
+            // The year starts at its newest month
+            yearButton.addEventListener('click', () => options.onJump(months[0].cursor));
+            container.appendChild(yearButton);
+            yearLinks.set(String(year), yearButton);
+            
+            const monthList = document.createElement('div');
+            monthList.className = 'timeline-months';
+            
+            months.forEach(({ month, count: monthCount, cursor }) => {
+                const date = new Date(Date.UTC(year, month - 1, 1));
+                const label = date.toLocaleDateString(undefined, { month: 'short', timeZone: 'UTC' });
+                const fullLabel = date.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+                
+                const monthButton = createButton('timeline-month', label, `${fullLabel}: ${formatCount(monthCount)}`);
+                monthButton.addEventListener('click', () => options.onJump(cursor));
+                monthList.appendChild(monthButton);
+                monthLinks.set(`${year}-${String(month).padStart(2, '0')}`, monthButton);
+            });
+            
+            container.appendChild(monthList);
+        });
+    }
+    
+    function createButton(className, text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        button.title = title;
+        return button;
+    }
+    
+    function formatCount(count) {
+        return `${count} ${count === 1 ? 'item' : 'items'}`;
+    }
+    
+    return { load, setActive, hide };
+}
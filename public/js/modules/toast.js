@@ -0,0 +1,65 @@
+/**
+ * Toast module
+ * Short notices at the bottom of the screen that go away on their own,
+ * optionally with an action such as undoing a delete.
+ */
+
+const DEFAULT_DURATION_MS = 8000;
+
+let container = null;
+
+/**
+ * Show a toast
+ *
+ * @param {string} message - Text of the toast
+ * @param {Object} options - actionText and onAction() for an action button, and
+ *   how long the toast stays in milliseconds
+ * @returns {Object} - Controller with dismiss()
+ */
+export function showToast(message, { actionText = null, onAction = null, duration = DEFAULT_DURATION_MS } = {}) {
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'toast-container';
+        container.setAttribute('role', 'status');
+        document.body.appendChild(container);
+    }
+    
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    let timer = null;
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+    
+    if (actionText && onAction) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = actionText;
+        actionBtn.addEventListener('click', () => {
+            dismiss();
+            onAction();
+        });
+        toast.appendChild(actionBtn);
+    }
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'toast-close';
+    closeBtn.title = 'Dismiss';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', dismiss);
+    toast.appendChild(closeBtn);
+    
+    container.appendChild(toast);
+    timer = setTimeout(dismiss, duration);
+    
+    return { dismiss };
+}
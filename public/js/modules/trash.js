@@ -0,0 +1,208 @@
+import { createMediaItem, processMediaItem } from './item-renderer.js';
+
+/**
+ * Trash module
+ * Deleted media waits in the trash until it is purged. The trash view lists
+ * it with the time left before it is deleted for good, and lets the user
+ * restore it or delete it right away.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move media to the trash
+ *
+ * @param {string[]} ids - Media IDs
+ * @returns {Promise<Object>} - Number of files moved to the trash
+ */
+export function moveToTrash(ids) {
+    return request('/api/trash', { method: 'POST', body: { ids } });
+}
+
+/**
+ * Put trashed media back in the library
+ *
+ * @param {string[]} ids - Media IDs
+ * @returns {Promise<Object>} - Number of files restored
+ */
+export function restoreFromTrash(ids) {
+    return request('/api/trash/restore', { method: 'POST', body: { ids } });
+}
+
+/**
+ * Render the trash into the gallery
+ *
+ * @param {HTMLElement} galleryElement - The gallery element
+ * @param {Object} options - onItemClick(item, element) to open the viewer
+ */
+export async function renderTrash(galleryElement, options) {
+    showMessage(galleryElement, 'Loading trash...');
+    
+    try {
+        const trash = await request('/api/trash');
+        const reload = () => renderTrash(galleryElement, options);
+        
+        galleryElement.textContent = '';
+        galleryElement.appendChild(createToolbar(trash, reload));
+        
+        if (trash.items.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'loading';
+            emptyDiv.textContent = 'The trash is empty.';
+            galleryElement.appendChild(emptyDiv);
+            return;
+        }
+        
+        // Reuse the date group layout so the viewer can navigate within the trash
+        const group = document.createElement('div');
+        group.className = 'date-group trash-items';
+        group.dataset.dateKey = 'trash';
+        
+        // Trashed items can't be selected, deleting asks first because it can't be undone
+        const itemOptions = {
+            onItemClick: options.onItemClick,
+            onDeleteClick: item => purge([item.id], reload),
+            onSelectClick: () => {},
+            enterSelectionMode: () => {},
+            isSelectionMode: () => false
+        };
+        
+        trash.items.forEach(item => {
+            group.appendChild(createTrashItem(processMediaItem(item), itemOptions, reload));
+        });
+        galleryElement.appendChild(group);
+    } catch (error) {
+        console.error('Failed to load the trash:', error);
+        showMessage(galleryElement, 'Failed to load the trash. Please try again.');
+    }
+}
+
+function createToolbar(trash, reload) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'duplicates-toolbar trash-toolbar';
+    
+    const summary = document.createElement('span');
+    summary.textContent = `${trash.total} item${trash.total !== 1 ? 's' : ''} in the trash. ` +
+        `Items are deleted for good after ${trash.retentionDays} day${trash.retentionDays !== 1 ? 's' : ''}.`;
+    toolbar.appendChild(summary);
+    
+    if (trash.total > 0) {
+        const actions = document.createElement('div');
+        actions.className = 'trash-toolbar-actions';
+        
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'keep-best-btn';
+        restoreBtn.textContent = 'Restore all';
+        restoreBtn.addEventListener('click', () => restore(trash.items.map(item => item.id), reload));
+        
+        const emptyBtn = document.createElement('button');
+        emptyBtn.className = 'keep-best-btn';
+        emptyBtn.textContent = 'Empty trash';
+        emptyBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete ${trash.total} item${trash.total !== 1 ? 's' : ''} for good? This can't be undone.`)) return;
+            
+            try {
+                await request('/api/trash', { method: 'DELETE' });
+            } catch (err) {
+                console.error('Failed to empty the trash:', err);
+                alert('Failed to empty the trash.');
+            }
+            reload();
+        });
+        
+        actions.append(restoreBtn, emptyBtn);
+        toolbar.appendChild(actions);
+    }
+    
+    return toolbar;
+}
+
+function createTrashItem(item, options, reload) {
+    const mediaItem = createMediaItem(item, options, item.fileInfo || null);
+    
+    const actions = document.createElement('div');
+    actions.className = 'trash-item-actions';
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'album-item-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        restore([item.id], reload);
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'album-item-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.title = 'Delete for good';
+    deleteBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        purge([item.id], reload);
+    });
+    
+    actions.append(restoreBtn, deleteBtn);
+    
+    const remaining = document.createElement('div');
+    remaining.className = 'trash-remaining';
+    remaining.textContent = formatRemaining(new Date(item.purgeAt));
+    
+    const thumbnailContainer = mediaItem.querySelector('.thumbnail-container');
+    thumbnailContainer.append(actions, remaining);
+    return mediaItem;
+}
+
+async function restore(ids, reload) {
+    try {
+        await restoreFromTrash(ids);
+    } catch (err) {
+        console.error('Failed to restore media:', err);
+        alert('Failed to restore the media.');
+    }
+    reload();
+}
+
+async function purge(ids, reload) {
+    const message = ids.length === 1
+        ? 'Delete this item for good? This can\'t be undone.'
+        : `Delete ${ids.length} items for good? This can't be undone.`;
+    if (!confirm(message)) return;
+    
+    try {
+        await request('/api/trash/purge', { method: 'POST', body: { ids } });
+    } catch (err) {
+        console.error('Failed to delete media:', err);
+        alert('Failed to delete the media.');
+    }
+    reload();
+}
+
+function formatRemaining(purgeAt) {
+    const days = Math.ceil((purgeAt.getTime() - Date.now()) / DAY_MS);
+    if (days <= 1) return 'Deleted within a day';
+    return `${days} days left`;
+}
+
+function showMessage(galleryElement, text) {
+    galleryElement.textContent = '';
+    const message = document.createElement('div');
+    message.className = 'loading';
+    message.textContent = text;
+    galleryElement.appendChild(message);
+}
+
+/**
+ * Call the trash API, throwing the server's error message on failure
+ */
+async function request(url, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+}
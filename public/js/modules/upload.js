@@ -19,11 +19,19 @@ let loadMediaCallback;
 let uploadInProgress = false;
 let escKeyListener = null; // Track ESC key listener for proper removal
 
+// localStorage key for sessions that can be resumed after a reload
+const UPLOAD_SESSIONS_KEY = 'mediaLibrary.uploadSessions';
+const MAX_CHUNK_RETRIES = 5;
+
+// Smaller files are streamed into the library in one request; larger ones go
+// through a resumable upload session, which stages them on the server first
+const RESUMABLE_UPLOAD_THRESHOLD = 64 * 1024 * 1024;
+
 // Initialize upload functionality
 export function init(refreshCallback) {
     // Store reference to the media reload function
     loadMediaCallback = refreshCallback;
-
+    
     // Get DOM elements
     uploadModal = document.getElementById('upload-modal');
     closeUploadModal = document.getElementById('close-upload-modal');
@@ -119,6 +127,11 @@ export function openUploadModal() {
     uploadModal.classList.remove('hidden');
     document.body.style.overflow = 'hidden'; // Prevent scrolling behind modal
     
+    // Offer to continue uploads interrupted by a reload or lost connection,
+    // leaving out those the server has let expire since
+    showInterruptedUploads();
+    pruneStoredSessions().then(showInterruptedUploads);
+    
     // Add ESC key listener when modal opens
     if (escKeyListener) {
         // Remove existing listener to avoid duplicates
@@ -147,7 +160,7 @@ function closeModal() {
             return;
         }
     }
-
+    
     uploadModal.classList.add('hidden');
     document.body.style.overflow = '';
     
@@ -177,7 +190,7 @@ function handleSelectedFiles(files) {
         if (selectedFiles.some(f => f.name === file.name && f.size === f.size)) {
             return;
         }
-
+        
         // Validate file type
         const fileExt = file.name.split('.').pop().toLowerCase();
         const supportedImageTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp'];
@@ -187,9 +200,10 @@ function handleSelectedFiles(files) {
             alert(`File type not supported: ${fileExt}`);
             return;
         }
-
+        
         // Add file to list
         selectedFiles.push(file);
+        const canResume = Boolean(loadStoredSessions()[getFileFingerprint(file)]);
         
         // Create file item in UI with DOM methods
         const fileItem = document.createElement('div');
@@ -217,6 +231,9 @@ function handleSelectedFiles(files) {
         
         const fileStatus = document.createElement('div');
         fileStatus.className = 'file-status';
+        if (canResume) {
+            fileStatus.textContent = 'Will resume';
+        }
         fileControls.appendChild(fileStatus);
         
         const errorMessage = document.createElement('div');
@@ -243,7 +260,7 @@ function handleSelectedFiles(files) {
         
         fileList.appendChild(fileItem);
     });
-
+    
     // Enable upload button if files are selected
     uploadSubmitBtn.disabled = selectedFiles.length === 0;
 }
@@ -359,16 +376,6 @@ async function uploadFiles() {
                 const metadata = await extractFileMetadata(file);
                 console.log('Extracted metadata:', metadata);
                 
-                // Create a dedicated FormData for this single file
-                const formData = new FormData();
-                formData.append('file', file);
-                
-                // Stringify metadata to ensure proper transmission
-                const metadataStr = JSON.stringify(metadata);
-                formData.append('metadata', metadataStr);
-                
-                console.log('Uploading file with metadata:', metadataStr);
-                
                 // Start the upload
                 if (fileItem) {
                     updateFileStatus(fileItem, 'Uploading', 'pending');
@@ -377,7 +384,7 @@ async function uploadFiles() {
                 
                 // Upload the file
                 try {
-                    const uploadResult = await uploadSingleFile(formData, (progress) => {
+                    const uploadResult = await uploadFile(file, metadata, (progress) => {
                         if (fileItem) updateProgress(fileItem, 20 + Math.floor(progress * 0.6));
                     });
                     
@@ -385,7 +392,7 @@ async function uploadFiles() {
                     
                     if (uploadResult.success) {
                         if (fileItem) {
-                            updateFileStatus(fileItem, 'Success', 'success');
+                            updateFileStatus(fileItem, uploadResult.restored ? 'Restored from the trash' : 'Success', 'success');
                             updateProgress(fileItem, 100);
                         }
                         completedUploads++;
@@ -487,6 +494,28 @@ function updateProgress(fileItem, percent) {
     }
 }
 
+/**
+ * Upload a single file, in one request or through a resumable session when it
+ * is large or an earlier attempt can be continued
+ * @param {File} file - The file to upload
+ * @param {Object} metadata - Metadata extracted from the file
+ * @param {Function} progressCallback - Callback for progress updates (0-1)
+ * @returns {Promise<Object>} - The upload result
+ */
+function uploadFile(file, metadata, progressCallback) {
+    const canResume = Boolean(loadStoredSessions()[getFileFingerprint(file)]);
+    if (canResume || file.size >= RESUMABLE_UPLOAD_THRESHOLD) {
+        return uploadFileResumable(file, metadata, progressCallback);
+    }
+    
+    // Metadata must come before the file: the server streams the file part and only sees earlier fields
+    const formData = new FormData();
+    formData.append('metadata', JSON.stringify(metadata));
+    formData.append('file', file);
+    
+    return uploadSingleFile(formData, progressCallback);
+}
+
 /**
  * Upload a single file with progress tracking
  * @param {FormData} formData - The form data containing the file
@@ -555,6 +584,255 @@ function uploadSingleFile(formData, progressCallback) {
     });
 }
 
+/**
+ * Upload a single file through the resumable upload API
+ * @param {File} file - The file to upload
+ * @param {Object} metadata - Metadata extracted from the file
+ * @param {Function} progressCallback - Callback for progress updates (0-1)
+ * @returns {Promise<Object>} - The upload result
+ */
+async function uploadFileResumable(file, metadata, progressCallback) {
+    let session = await resumeOrCreateSession(file, metadata);
+    
+    if (session.receivedBytes > 0) {
+        console.log(`Resuming ${file.name} from byte ${session.receivedBytes}`);
+    }
+    
+    // Send the remaining chunks in order
+    while (session.nextChunk < session.totalChunks) {
+        const start = session.nextChunk * session.chunkSize;
+        const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size));
+        
+        session = await putChunkWithRetry(session, chunk);
+        saveStoredSession(file, session); // Every chunk pushes back the expiry
+        progressCallback(session.receivedBytes / file.size);
+    }
+    
+    const response = await fetch(`/api/uploads/${session.sessionId}/complete`, { method: 'POST' });
+    const result = await response.json().catch(() => ({}));
+    
+    if (response.ok) {
+        removeStoredSession(file);
+        if (result.thumbnailId) {
+            console.log(`Thumbnail created with ID: ${result.thumbnailId}`);
+        }
+        return result;
+    }
+    
+    if (response.status === 409 && result.duplicate) {
+        // Duplicate file detected - silently use the existing file
+        // without prompting the user
+        removeStoredSession(file);
+        console.log('Duplicate file detected, using existing file:', result.duplicate);
+        return {
+            success: true,
+            message: 'Using existing file',
+            file: result.duplicate,
+            isDuplicate: true
+        };
+    }
+    
+    throw new Error(result.message || result.error || `Server error (${response.status})`);
+}
+
+/**
+ * Continue a stored session for this file or start a new one
+ * @param {File} file - The file to upload
+ * @param {Object} metadata - Metadata extracted from the file
+ * @returns {Promise<Object>} - Session state from the server
+ */
+async function resumeOrCreateSession(file, metadata) {
+    const stored = loadStoredSessions()[getFileFingerprint(file)];
+    
+    if (stored) {
+        try {
+            const response = await fetch(`/api/uploads/${stored.sessionId}`);
+            if (response.ok) {
+                const session = await response.json();
+                if (session.status === 'uploading') {
+                    saveStoredSession(file, session);
+                    return session;
+                }
+            }
+        } catch (err) {
+            console.warn(`Could not resume upload of ${file.name}:`, err);
+        }
+        removeStoredSession(file);
+    }
+    
+    const response = await fetch('/api/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            filename: file.name,
+            size: file.size,
+            mimeType: file.type || null,
+            metadata
+        })
+    });
+    const session = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        throw new Error(session.error || `Server error (${response.status})`);
+    }
+    
+    saveStoredSession(file, session);
+    return session;
+}
+
+/**
+ * Upload one chunk, waiting out network drops and re-syncing with the server offset
+ * @param {Object} session - Current session state
+ * @param {Blob} chunk - Chunk contents
+ * @returns {Promise<Object>} - Updated session state
+ */
+async function putChunkWithRetry(session, chunk) {
+    for (let attempt = 0; attempt <= MAX_CHUNK_RETRIES; attempt++) {
+        if (attempt > 0) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000 * (2 ** attempt), 30000)));
+        }
+        
+        try {
+            const response = await fetch(`/api/uploads/${session.sessionId}/chunks/${session.nextChunk}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: chunk
+            });
+            const body = await response.json().catch(() => ({}));
+            
+            if (response.ok) {
+                return body;
+            }
+            
+            // The server has a different offset than we do - continue from its offset
+            if (response.status === 409 && body.session) {
+                return body.session;
+            }
+            
+            if (response.status < 500) {
+                throw new Error(body.error || `Server error (${response.status})`);
+            }
+        } catch (err) {
+            // fetch only throws TypeError for network failures
+            if (!(err instanceof TypeError)) {
+                throw err;
+            }
+            console.warn(`Chunk ${session.nextChunk} failed, retrying:`, err);
+        }
+        
+        // Ask the server where it stands before retrying
+        try {
+            const response = await fetch(`/api/uploads/${session.sessionId}`);
+            if (response.ok) {
+                const current = await response.json();
+                if (current.nextChunk !== session.nextChunk) {
+                    return current;
+                }
+            }
+        } catch (err) {
+            // Still offline, keep waiting
+        }
+    }
+    
+    throw new Error('Network error occurred');
+}
+
+/**
+ * Identify a file across page reloads
+ * @param {File} file - The file
+ * @returns {string} - Fingerprint made of name, size and modification time
+ */
+function getFileFingerprint(file) {
+    return `${file.name}|${file.size}|${file.lastModified}`;
+}
+
+function loadStoredSessions() {
+    try {
+        return JSON.parse(localStorage.getItem(UPLOAD_SESSIONS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveStoredSession(file, session) {
+    const sessions = loadStoredSessions();
+    sessions[getFileFingerprint(file)] = {
+        sessionId: session.sessionId,
+        name: file.name,
+        size: file.size,
+        expiresAt: session.expiresAt
+    };
+    localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+}
+
+function removeStoredSession(file) {
+    forgetStoredSession(getFileFingerprint(file));
+}
+
+function forgetStoredSession(fingerprint) {
+    const sessions = loadStoredSessions();
+    delete sessions[fingerprint];
+    localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+}
+
+/**
+ * Forget stored sessions the server no longer has: those past their expiry
+ * and those it doesn't know. Sessions that can't be checked are kept.
+ */
+async function pruneStoredSessions() {
+    const checks = Object.entries(loadStoredSessions()).map(async ([fingerprint, entry]) => {
+        if (entry.expiresAt && Date.parse(entry.expiresAt) < Date.now()) {
+            forgetStoredSession(fingerprint);
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/uploads/${entry.sessionId}`);
+            if (response.status === 404) {
+                forgetStoredSession(fingerprint);
+            }
+        } catch (err) {
+            // Offline, check again next time
+        }
+    });
+    
+    await Promise.all(checks);
+}
+
+/**
+ * List uploads interrupted in an earlier visit so the user can pick the files again
+ */
+function showInterruptedUploads() {
+    let notice = document.getElementById('resume-notice');
+    const interrupted = Object.values(loadStoredSessions());
+    
+    if (interrupted.length === 0) {
+        if (notice) notice.remove();
+        return;
+    }
+    
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'resume-notice';
+        notice.className = 'resume-notice';
+        fileList.parentNode.insertBefore(notice, fileList);
+    }
+    
+    notice.textContent = '';
+    
+    const title = document.createElement('div');
+    title.className = 'resume-notice-title';
+    title.textContent = `${interrupted.length} interrupted upload${interrupted.length !== 1 ? 's' : ''} - select the same file${interrupted.length !== 1 ? 's' : ''} again to continue:`;
+    notice.appendChild(title);
+    
+    interrupted.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'resume-notice-file';
+        row.textContent = `${entry.name} (${formatFileSize(entry.size)})`;
+        notice.appendChild(row);
+    });
+}
+
 // Reset upload form to initial state
 function resetUploadForm() {
     fileInput.value = '';
@@ -564,4 +842,5 @@ function resetUploadForm() {
     uploadSubmitBtn.textContent = 'Upload Files';
     cancelUploadBtn.textContent = 'Cancel';
     cancelUploadBtn.disabled = false;
+    showInterruptedUploads();
 }
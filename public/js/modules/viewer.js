@@ -3,6 +3,8 @@ import { formatFileSize } from '../utils/helpers.js';
 import { renderMetadata } from './metadata.js';
 import * as navigationModule from './navigation.js';
 import { loadAndFillTemplate } from '../utils/template-loader.js';
+import { handleRatingKey, getRatings, updateRatings } from './ratings.js';
+import { showToast } from './toast.js';
 
 /**
  * Media viewer module for displaying and navigating media files
@@ -14,6 +16,19 @@ let mediaContainer;
 let closeViewer;
 let mediaMetadataPanel;
 let viewerContent;
+let cullButton;
+
+// Culling walks through the items with a flag key for each, see startCulling
+let culling = null;
+const preloadedImages = new Map();
+const PRELOAD_COUNT = 3;
+// Full details fetched for the viewer, by media ID, until the metadata changes
+const itemDetails = new Map();
+const CULLING_FLAGS = {
+    p: 'pick',
+    x: 'reject',
+    u: null
+};
 
 // Initialize the viewer module
 export function init() {
@@ -23,6 +38,7 @@ export function init() {
     closeViewer = document.getElementById('close-viewer');
     mediaMetadataPanel = document.getElementById('media-metadata-panel');
     viewerContent = document.querySelector('.viewer-content');
+    cullButton = document.getElementById('cull-viewer');
     
     // Initialize the navigation module with the media viewer
     navigationModule.init(mediaViewer);
@@ -32,9 +48,45 @@ export function init() {
         closeViewerFunction();
     });
     
+    cullButton.addEventListener('click', () => {
+        // Drop the focus so Enter finishes the culling instead of pressing the button again
+        cullButton.blur();
+        toggleCulling();
+    });
+    
     // Set up keyboard navigation
     navigationModule.setupKeyboardNavigation(openMediaViewer);
     
+    // Rate the item on screen: 0-5 stars, F favorite, P pick, X reject, U unflag.
+    // While culling, the flag keys also move on to the next item
+    document.addEventListener('keydown', (e) => {
+        if (mediaViewer.classList.contains('hidden') || !mediaViewer.currentItem) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest('input, textarea, select')) return;
+        
+        if (e.key.toLowerCase() === 'c') {
+            toggleCulling();
+            e.preventDefault();
+            return;
+        }
+        if (culling && culling.summary) return;
+        
+        if ((culling && handleCullingKey(e.key)) || handleRatingKey(e.key, mediaViewer.currentItem)) {
+            e.preventDefault();
+        }
+    });
+    
+    // Keep the culling progress counts in step with the saved flags
+    document.addEventListener('media-ratings-changed', e => {
+        itemDetails.delete(e.detail.item.id);
+        if (culling) updateCullingProgress();
+    });
+    
+    // Details fetched before tags, dates or other metadata changed are out of date
+    document.addEventListener('media-metadata-changed', e => {
+        e.detail.ids.forEach(id => itemDetails.delete(id));
+    });
+    
     // Add ESC key listener at the document level to ensure it works globally
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' || e.key === 'Esc') {
@@ -61,6 +113,8 @@ export function closeViewerFunction() {
         zoomIndicator.remove();
     }
     
+    stopCulling();
+    
     // Hide the viewer
     mediaViewer.classList.add('hidden');
     
@@ -84,6 +138,30 @@ function ensureMediaPath(path) {
     }
 }
 
+/**
+ * Load the metadata a gallery page leaves out into a media item. Without it
+ * the panel shows what the item has.
+ * @param {Object} item - Media item
+ */
+async function loadItemDetails(item) {
+    let details = itemDetails.get(item.id);
+    
+    try {
+        if (!details) {
+            const response = await fetch(`/api/catalog/items/${item.id}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            details = await response.json();
+            itemDetails.set(item.id, details);
+        }
+        item.metadata = { ...item.metadata, ...details.metadata };
+        item.fileInfo = details.fileInfo;
+    } catch (err) {
+        console.error('Failed to load media details:', err);
+    }
+}
+
 // Open media viewer with a specific item
 export async function openMediaViewer(item, mediaItems = null, navigationContext = null) {
     mediaContainer.innerHTML = '';
@@ -91,6 +169,7 @@ export async function openMediaViewer(item, mediaItems = null, navigationContext
     
     // Store current item and all items for navigation
     mediaViewer.dataset.currentItemId = item.id;
+    mediaViewer.currentItem = item;
     
     // Store navigation context for cross-day navigation
     if (navigationContext) {
@@ -103,6 +182,16 @@ export async function openMediaViewer(item, mediaItems = null, navigationContext
         mediaViewer.mediaItems = mediaItems;
     }
     
+    // Moving back into the set from the culling summary carries on culling
+    if (culling) {
+        if (culling.summary) {
+            culling.summary.remove();
+            culling.summary = null;
+        }
+        updateCullingProgress();
+        preloadImages();
+    }
+    
     // Create metadata header container
     const metadataHeader = document.createElement('div');
     metadataHeader.className = 'metadata-header-container';
@@ -113,6 +202,9 @@ export async function openMediaViewer(item, mediaItems = null, navigationContext
     headerHighlight.className = 'metadata-header-highlight';
     mediaMetadataPanel.appendChild(headerHighlight);
     
+    // Gallery pages leave out EXIF, the date history and the like
+    await loadItemDetails(item);
+    
     // Check if item has fileInfo data and pass it to renderMetadata
     const fileInfo = item.fileInfo || null;
     
@@ -136,11 +228,14 @@ export async function openMediaViewer(item, mediaItems = null, navigationContext
     document.getElementById('next-media').addEventListener('click', 
         (e) => navigationModule.navigateToNextMedia(openMediaViewer, e));
     
-    // Show loading indicator before loading full-size media
+    // Show loading indicator before loading full-size media, unless it was preloaded
+    const preloaded = isPreloaded(item);
     const loadingIndicator = document.createElement('div');
     loadingIndicator.className = 'media-loading-indicator';
     loadingIndicator.innerHTML = '<div class="spinner"></div><span>Loading media...</span>';
-    mediaContainer.appendChild(loadingIndicator);
+    if (!preloaded) {
+        mediaContainer.appendChild(loadingIndicator);
+    }
     
     if (item.type === 'image') {
         const imgWrapper = document.createElement('div');
@@ -151,7 +246,7 @@ export async function openMediaViewer(item, mediaItems = null, navigationContext
         img.src = `/media${item.path}`;
         img.alt = item.name;
         img.className = 'zoomable-image';
-        img.style.opacity = '0'; // Start with invisible image
+        img.style.opacity = preloaded ? '1' : '0'; // Start with invisible image unless it's ready
         
         // Add error handling for image loading failures
         img.onerror = function() {
@@ -276,23 +371,245 @@ export async function openMediaViewer(item, mediaItems = null, navigationContext
     
     mediaViewer.classList.remove('hidden');
     
-    // Add keyboard shortcuts info from template
-    const keyboardHints = await loadAndFillTemplate('/public/templates/keyboard-hints.html');
-    mediaViewer.appendChild(keyboardHints);
-    
-    // Add fade-out class after delay
-    const hintElement = mediaViewer.querySelector('.keyboard-hints');
-    setTimeout(() => {
-        if (hintElement) {
-            hintElement.classList.add('fade-out');
-        }
-    }, 3000);
+    // The culling progress bar lists the keys, so the hints would only get in the way
+    if (!culling) {
+        // Add keyboard shortcuts info from template
+        const keyboardHints = await loadAndFillTemplate('/public/templates/keyboard-hints.html');
+        mediaViewer.appendChild(keyboardHints);
+        
+        // Add fade-out class after delay
+        const hintElement = mediaViewer.querySelector('.keyboard-hints');
+        setTimeout(() => {
+            if (hintElement) {
+                hintElement.classList.add('fade-out');
+            }
+        }, 3000);
+    }
     
     // Update close button to use our closeViewerFunction
     closeViewer.removeEventListener('click', closeViewerFunction);
     closeViewer.addEventListener('click', closeViewerFunction);
 }
 
+/**
+ * Start culling the items open in the viewer from the current one: P, X and U
+ * pick, reject or unflag the item and move on to the next. The next images are
+ * preloaded, and the last item leads to a summary that can trash the rejects.
+ */
+export function startCulling() {
+    const items = mediaViewer.mediaItems;
+    if (culling || !items || items.length === 0) return;
+    
+    culling = { items, saves: [], summary: null };
+    mediaViewer.classList.add('culling');
+    cullButton.classList.add('active');
+    
+    // Hints for the normal viewer don't apply while culling
+    const keyboardHints = mediaViewer.querySelector('.keyboard-hints');
+    if (keyboardHints) {
+        keyboardHints.remove();
+    }
+    
+    const progress = document.createElement('div');
+    progress.id = 'culling-progress';
+    progress.innerHTML = '<div class="culling-progress-bar"><div class="culling-progress-fill"></div></div>' +
+        '<div class="culling-progress-text"></div>';
+    mediaViewer.appendChild(progress);
+    
+    updateCullingProgress();
+    preloadImages();
+}
+
+/**
+ * Leave culling mode, keeping the flags set so far
+ */
+export function stopCulling() {
+    if (!culling) return;
+    
+    if (culling.summary) {
+        culling.summary.remove();
+    }
+    culling = null;
+    preloadedImages.clear();
+    
+    mediaViewer.classList.remove('culling');
+    cullButton.classList.remove('active');
+    
+    const progress = document.getElementById('culling-progress');
+    if (progress) {
+        progress.remove();
+    }
+}
+
+function toggleCulling() {
+    if (culling) {
+        stopCulling();
+    } else {
+        startCulling();
+    }
+}
+
+// Flag the item on screen and move on, Enter finishes early
+function handleCullingKey(key) {
+    const lowerKey = key.toLowerCase();
+    if (lowerKey === 'enter') {
+        showCullingSummary();
+        return true;
+    }
+    if (!Object.prototype.hasOwnProperty.call(CULLING_FLAGS, lowerKey)) return false;
+    
+    const item = mediaViewer.currentItem;
+    const saved = updateRatings(item, { flag: CULLING_FLAGS[lowerKey] })
+        .then(() => true)
+        .catch(err => {
+            console.error('Failed to flag media:', err);
+            showToast(`Could not save the flag of ${item.name}: ${err.message}`);
+            return false;
+        });
+    culling.saves.push({ item, saved });
+    
+    const index = getCullingIndex();
+    if (index < culling.items.length - 1) {
+        openMediaViewer(culling.items[index + 1], culling.items);
+    } else {
+        showCullingSummary();
+    }
+    return true;
+}
+
+function getCullingIndex() {
+    const currentId = mediaViewer.dataset.currentItemId;
+    return Math.max(0, culling.items.findIndex(item => item.id === currentId));
+}
+
+function updateCullingProgress() {
+    const progress = document.getElementById('culling-progress');
+    if (!progress) return;
+    
+    const { items } = culling;
+    const position = getCullingIndex() + 1;
+    const picks = items.filter(item => getRatings(item).flag === 'pick').length;
+    const rejects = items.filter(item => getRatings(item).flag === 'reject').length;
+    
+    progress.querySelector('.culling-progress-fill').style.width = `${(position / items.length) * 100}%`;
+    progress.querySelector('.culling-progress-text').textContent =
+        `${position} / ${items.length} · ${picks} picked · ${rejects} rejected · ` +
+        'P pick, X reject, U unflag, Enter to finish, C to stop';
+}
+
+// Load the next few images in the background so they show without a spinner
+function preloadImages() {
+    const { items } = culling;
+    const index = getCullingIndex();
+    const upcoming = items.slice(index, index + PRELOAD_COUNT + 1);
+    const upcomingIds = new Set(upcoming.map(item => item.id));
+    
+    // Only keep the images that are still ahead
+    preloadedImages.forEach((img, id) => {
+        if (!upcomingIds.has(id)) preloadedImages.delete(id);
+    });
+    
+    upcoming.forEach(item => {
+        if (item.type !== 'image' || preloadedImages.has(item.id)) return;
+        
+        const img = new Image();
+        img.src = `/media${item.path}`;
+        preloadedImages.set(item.id, img);
+    });
+}
+
+function isPreloaded(item) {
+    const img = preloadedImages.get(item.id);
+    return Boolean(img) && img.complete && img.naturalWidth > 0;
+}
+
+// Show how the set was culled once the last item is flagged
+async function showCullingSummary() {
+    if (culling.summary) return;
+    
+    const state = culling;
+    const summary = document.createElement('div');
+    summary.className = 'culling-summary';
+    summary.innerHTML = '<div class="spinner"></div>';
+    state.summary = summary;
+    mediaViewer.appendChild(summary);
+    
+    // Count the flags once every one of them is saved
+    const results = await Promise.all(state.saves.map(({ saved }) => saved));
+    if (culling !== state || state.summary !== summary) return;
+    
+    // The last flag given to an item decides whether it was saved
+    const failedIds = new Set();
+    state.saves.forEach(({ item }, index) => {
+        if (results[index]) {
+            failedIds.delete(item.id);
+        } else {
+            failedIds.add(item.id);
+        }
+    });
+    
+    // Items whose flag wasn't saved are never trashed as rejects
+    const counts = { pick: 0, reject: 0, none: 0 };
+    const rejectIds = [];
+    state.items.forEach(item => {
+        const { flag } = getRatings(item);
+        counts[flag || 'none']++;
+        if (flag === 'reject' && !failedIds.has(item.id)) rejectIds.push(item.id);
+    });
+    
+    summary.textContent = '';
+    
+    const title = document.createElement('h2');
+    title.textContent = 'Culling finished';
+    
+    const list = document.createElement('ul');
+    list.className = 'culling-summary-counts';
+    [
+        [counts.pick, 'picked', 'flag-pick'],
+        [counts.reject, 'rejected', 'flag-reject'],
+        [counts.none, 'unflagged', 'flag-none']
+    ].forEach(([count, label, className]) => {
+        const row = document.createElement('li');
+        row.className = className;
+        row.textContent = `${count} ${label}`;
+        list.appendChild(row);
+    });
+    if (failedIds.size > 0) {
+        const row = document.createElement('li');
+        row.className = 'flag-failed';
+        row.textContent = `${failedIds.size} flag${failedIds.size !== 1 ? 's' : ''} could not be saved`;
+        list.appendChild(row);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'culling-summary-actions';
+    
+    const trashBtn = document.createElement('button');
+    trashBtn.className = 'culling-summary-btn culling-trash-btn';
+    trashBtn.textContent = `Move ${rejectIds.length} reject${rejectIds.length !== 1 ? 's' : ''} to the trash`;
+    trashBtn.disabled = rejectIds.length === 0;
+    trashBtn.addEventListener('click', () => {
+        closeViewerFunction();
+        // The app trashes them so they leave the gallery and can be restored with undo
+        document.dispatchEvent(new CustomEvent('media-trash-requested', { detail: { ids: rejectIds } }));
+    });
+    
+    const reviewBtn = document.createElement('button');
+    reviewBtn.className = 'culling-summary-btn';
+    reviewBtn.textContent = 'Review again';
+    reviewBtn.addEventListener('click', () => {
+        openMediaViewer(state.items[0], state.items);
+    });
+    
+    const doneBtn = document.createElement('button');
+    doneBtn.className = 'culling-summary-btn';
+    doneBtn.textContent = 'Done';
+    doneBtn.addEventListener('click', closeViewerFunction);
+    
+    actions.append(trashBtn, reviewBtn, doneBtn);
+    summary.append(title, list, actions);
+}
+
 // Initialize image zoom functionality without fullscreen support
 function initializeImageZoom(imgElement, wrapperElement) {
     let currentScale = 1;
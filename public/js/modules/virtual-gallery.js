@@ -0,0 +1,652 @@
+import { createMediaItem, createDateHeader, processMediaItem, updateItemSelection } from './item-renderer.js';
+import { getDateKey, parseDateKey } from '../utils/helpers.js';
+
+/**
+ * Virtual gallery module
+ * Continuously scrolling gallery that only keeps the media items near the
+ * viewport in the DOM. Pages are fetched from the catalog as the user
+ * scrolls, always ending on a complete date section.
+ */
+
+const PAGE_SIZE = 100;
+const MIN_COLUMN_WIDTH = 200; // Same as the date-group grid
+const ITEM_GAP = 15;
+const HEADER_HEIGHT = 40;
+const SECTION_SPACING = 20; // Space above each date header
+const HEADER_SPACING = 10; // Space between a header and its items
+const DEFAULT_ITEM_HEIGHT = 230; // Until the first item has been measured
+const OVERSCAN_PX = 800; // Render this far above and below the viewport
+const LOAD_AHEAD_PX = 1500; // Fetch the next or previous page this close to either end
+const NODE_CACHE_SIZE = 300; // Detached item elements kept for reuse
+const POSITION_KEY = 'mediaLibrary.galleryPosition';
+
+/**
+ * Create a virtual gallery inside the gallery element
+ *
+ * @param {HTMLElement} galleryElement - The gallery element
+ * @param {Object} options - Item callbacks, as passed to createMediaItem, plus
+ *   isSelected(id) to restore the selection state of re-created items and
+ *   onScrollDate(dateKey) to follow the date section at the top of the viewport
+ * @returns {Object} - Gallery controller
+ */
+export function createVirtualGallery(galleryElement, options) {
+    let sections = []; // { dateKey, date, items, top, headerTop, itemsTop, bottom }
+    let loadedPages = []; // { cursor, direction } each loaded page was requested with, in gallery order
+    let nextCursor = null;
+    let prevCursor = null; // Set when the gallery was opened below the newest items
+    let hasMore = false;
+    let loading = null;
+    let currentType = '';
+    let currentQuery = ''; // Search filters as query string parameters
+    let generation = 0; // Bumped on every reset so stale responses are dropped
+    let restoreChecked = false; // Only the first load can be a return through the history
+    let scrollDateKey = null;
+    
+    let columns = 1;
+    let columnWidth = MIN_COLUMN_WIDTH;
+    let itemHeight = DEFAULT_ITEM_HEIGHT;
+    let itemHeightMeasured = false;
+    let totalHeight = 0;
+    
+    const renderedItems = new Map(); // id -> element in the DOM
+    const renderedHeaders = new Map(); // dateKey -> element in the DOM
+    const nodeCache = new Map(); // id -> detached element, oldest first
+    
+    let canvas = null;
+    let active = false;
+    let frameRequested = false;
+    let saveTimer = null;
+    
+    // The gallery restores the scroll position itself once the pages are back
+    if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+    
+    const onScroll = () => scheduleRender();
+    const onResize = () => {
+        updateColumns();
+        layout();
+        scheduleRender();
+    };
+    
+    /**
+     * Show the gallery for a media type, restoring the previous position
+     * when the user came back to the page through the browser history
+     *
+     * @param {string} type - '' for all media, 'image' or 'video'
+     * @param {Object} view - Optional search filters as a query string, and a
+     *   cursor to open the gallery at instead of the newest items, such as a
+     *   month of the timeline
+     */
+    async function load(type = '', { cursor = null, query = '' } = {}) {
+        reset(type);
+        currentQuery = query;
+        activate();
+        
+        const saved = readSavedPosition();
+        if (!cursor && saved && saved.type === type && (saved.query || '') === query && isBackNavigation()) {
+            await restore(saved);
+            return;
+        }
+        
+        nextCursor = cursor;
+        showMessage('Loading media library...');
+        await loadNextPage();
+        if (sections.length === 0) {
+            showMessage(query ? 'No media files match the filters' : 'No media files found');
+            return;
+        }
+        
+        // Start at the top of the gallery, the page above is fetched from there
+        if (cursor) {
+            window.scrollTo(0, galleryElement.getBoundingClientRect().top + window.scrollY);
+            scheduleRender();
+        }
+    }
+    
+    /**
+     * Reload the current media type and filters from the newest items
+     */
+    function refresh() {
+        return load(currentType, { query: currentQuery });
+    }
+    
+    /**
+     * Stop listening to scrolling and clear the gallery element
+     */
+    function destroy() {
+        if (!active) return;
+        active = false;
+        generation++;
+        
+        window.removeEventListener('scroll', onScroll);
+        window.removeEventListener('resize', onResize);
+        clearTimeout(saveTimer);
+        
+        renderedItems.clear();
+        renderedHeaders.clear();
+        nodeCache.clear();
+        galleryElement.classList.remove('virtual-gallery');
+        galleryElement.textContent = '';
+        canvas = null;
+    }
+    
+    /**
+     * Remove deleted items without reloading the gallery
+     *
+     * @param {string[]} ids - IDs of the removed items
+     */
+    function removeItems(ids) {
+        const removed = new Set(ids);
+        
+        sections.forEach(section => {
+            section.items = section.items.filter(item => !removed.has(item.id));
+        });
+        sections = sections.filter(section => section.items.length > 0);
+        
+        removed.forEach(id => {
+            const element = renderedItems.get(id);
+            if (element) element.remove();
+            renderedItems.delete(id);
+            nodeCache.delete(id);
+        });
+        
+        // Positions of everything after the removed items change
+        if (sections.length === 0 && !hasMore) {
+            showMessage('No media files found');
+            return;
+        }
+        layout();
+        scheduleRender();
+    }
+    
+    /**
+     * Redraw an item whose data changed, such as its rating
+     *
+     * @param {string} id - Media item ID
+     */
+    function updateItem(id) {
+        const element = renderedItems.get(id);
+        if (element) element.remove();
+        renderedItems.delete(id);
+        nodeCache.delete(id);
+        scheduleRender();
+    }
+    
+    /**
+     * Get the loaded items of the date section an item belongs to
+     *
+     * @param {string} id - Media item ID
+     * @returns {Object[]} - Items of the same date, in gallery order
+     */
+    function getSectionItems(id) {
+        const section = sections.find(s => s.items.some(item => item.id === id));
+        return section ? section.items : [];
+    }
+    
+    function reset(type) {
+        generation++;
+        currentType = type;
+        sections = [];
+        loadedPages = [];
+        nextCursor = null;
+        prevCursor = null;
+        hasMore = false;
+        loading = null;
+        renderedItems.clear();
+        renderedHeaders.clear();
+        nodeCache.clear();
+        totalHeight = 0;
+        scrollDateKey = null;
+    }
+    
+    function activate() {
+        galleryElement.textContent = '';
+        galleryElement.classList.add('virtual-gallery');
+        
+        canvas = document.createElement('div');
+        canvas.className = 'virtual-gallery-canvas';
+        galleryElement.appendChild(canvas);
+        
+        if (!active) {
+            active = true;
+            window.addEventListener('scroll', onScroll, { passive: true });
+            window.addEventListener('resize', onResize);
+        }
+        
+        updateColumns();
+    }
+    
+    function showMessage(text) {
+        if (!canvas) return;
+        canvas.textContent = '';
+        canvas.style.height = '';
+        renderedItems.clear();
+        renderedHeaders.clear();
+        
+        const message = document.createElement('div');
+        message.className = 'loading';
+        message.textContent = text;
+        canvas.appendChild(message);
+    }
+    
+    // ======================== DATA LOADING ========================
+    
+    async function fetchPage({ cursor, direction = 'next' }) {
+        let url = `/api/catalog/page?limit=${PAGE_SIZE}&wholeDays=true&direction=${direction}`;
+        if (cursor) {
+            url += `&cursor=${encodeURIComponent(cursor)}`;
+        }
+        if (currentType) {
+            url += `&type=${currentType}`;
+        }
+        if (currentQuery) {
+            url += `&${currentQuery}`;
+        }
+        
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    function loadNextPage() {
+        if (loading) return loading;
+        if (loadedPages.length > 0 && !hasMore) return Promise.resolve();
+        
+        const requestGeneration = generation;
+        const request = { cursor: nextCursor, direction: 'next' };
+        
+        loading = fetchPage(request)
+            .then(page => {
+                if (requestGeneration !== generation) return;
+                
+                // The first page replaces the loading message
+                if (loadedPages.length === 0) {
+                    canvas.textContent = '';
+                    prevCursor = page.prevCursor;
+                }
+                loadedPages.push(request);
+                appendPage(page);
+                savePosition();
+            })
+            .catch(err => {
+                console.error('Failed to load media:', err);
+                if (requestGeneration === generation && sections.length === 0) {
+                    showMessage('Failed to load media. Please try again.');
+                }
+            })
+            .finally(() => {
+                if (requestGeneration === generation) {
+                    loading = null;
+                    scheduleRender();
+                }
+            });
+        
+        return loading;
+    }
+    
+    /**
+     * Fetch the page above the first loaded one and keep the items on
+     * screen where they are
+     */
+    function loadPrevPage() {
+        if (loading) return loading;
+        if (!prevCursor) return Promise.resolve();
+        
+        const requestGeneration = generation;
+        const request = { cursor: prevCursor, direction: 'prev' };
+        
+        loading = fetchPage(request)
+            .then(page => {
+                if (requestGeneration !== generation) return;
+                
+                loadedPages.unshift(request);
+                const heightBefore = totalHeight;
+                prependPage(page);
+                
+                // Everything loaded so far moved down by the height of the new page
+                window.scrollBy(0, totalHeight - heightBefore);
+                savePosition();
+            })
+            .catch(err => {
+                console.error('Failed to load media:', err);
+            })
+            .finally(() => {
+                if (requestGeneration === generation) {
+                    loading = null;
+                    scheduleRender();
+                }
+            });
+        
+        return loading;
+    }
+    
+    /**
+     * Reload the pages that were loaded before leaving the page and scroll
+     * back to where the user was
+     */
+    async function restore(saved) {
+        const requestGeneration = generation;
+        showMessage('Loading media library...');
+        
+        try {
+            // Cursors are stable positions, so the pages can be fetched side by side
+            const pages = await Promise.all(saved.pages.map(fetchPage));
+            if (requestGeneration !== generation) return;
+            
+            canvas.textContent = '';
+            prevCursor = pages[0].prevCursor;
+            pages.forEach((page, index) => {
+                loadedPages.push(saved.pages[index]);
+                appendPage(page);
+            });
+            
+            if (sections.length === 0) {
+                showMessage('No media files found');
+                return;
+            }
+            
+            render();
+            window.scrollTo(0, saved.scrollY);
+            scheduleRender();
+        } catch (err) {
+            console.warn('Could not restore the gallery position:', err);
+            sessionStorage.removeItem(POSITION_KEY);
+            reset(currentType);
+            activate();
+            await loadNextPage();
+        }
+    }
+    
+    function appendPage(page) {
+        nextCursor = page.nextCursor;
+        hasMore = Boolean(page.nextCursor);
+        
+        groupByDate(page.data || [], sections);
+        layout();
+    }
+    
+    function prependPage(page) {
+        prevCursor = page.prevCursor;
+        
+        const newSections = groupByDate(page.data || [], []);
+        
+        // A day can continue across pages, and a day already shown can get items taken in another zone
+        newSections.forEach(newSection => {
+            const section = sections.find(s => s.dateKey === newSection.dateKey);
+            if (section) {
+                section.items = [...newSection.items, ...section.items];
+            } else {
+                insertSection(sections, newSection);
+            }
+        });
+        layout();
+    }
+    
+    function groupByDate(items, target) {
+        items.forEach(item => {
+            const processedItem = processMediaItem(item);
+            
+            // Get date in YYYY-MM-DD format for grouping
+            const dateKey = getDateKey(processedItem);
+            
+            // Pages are sorted by UTC time, so an item taken in another zone can
+            // belong to any day. Every day has a single section, wherever its items are.
+            let section = target[target.length - 1];
+            if (!section || section.dateKey !== dateKey) {
+                section = target.find(s => s.dateKey === dateKey);
+            }
+            if (!section) {
+                section = { dateKey, date: parseDateKey(dateKey), items: [] };
+                insertSection(target, section);
+            }
+            section.items.push(processedItem);
+        });
+        return target;
+    }
+    
+    // Sections are kept newest day first
+    function insertSection(target, section) {
+        const index = target.findIndex(s => s.dateKey < section.dateKey);
+        if (index === -1) {
+            target.push(section);
+        } else {
+            target.splice(index, 0, section);
+        }
+    }
+    
+    // ======================== LAYOUT ========================
+    
+    function updateColumns() {
+        const width = galleryElement.clientWidth || MIN_COLUMN_WIDTH;
+        columns = Math.max(1, Math.floor((width + ITEM_GAP) / (MIN_COLUMN_WIDTH + ITEM_GAP)));
+        columnWidth = (width - ITEM_GAP * (columns - 1)) / columns;
+    }
+    
+    function layout() {
+        let y = 0;
+        sections.forEach(section => {
+            const rows = Math.ceil(section.items.length / columns);
+            
+            section.top = y;
+            section.headerTop = y + SECTION_SPACING;
+            section.itemsTop = section.headerTop + HEADER_HEIGHT + HEADER_SPACING;
+            section.bottom = section.itemsTop + rows * itemHeight + Math.max(0, rows - 1) * ITEM_GAP;
+            
+            y = section.bottom;
+        });
+        
+        totalHeight = y + SECTION_SPACING;
+        if (canvas) {
+            canvas.style.height = `${totalHeight}px`;
+        }
+        
+        // Everything on screen has to move to its new place
+        renderedItems.forEach((element, id) => positionItem(element, id));
+        renderedHeaders.forEach((element, dateKey) => {
+            const section = sections.find(s => s.dateKey === dateKey);
+            if (section) element.style.top = `${section.headerTop}px`;
+        });
+    }
+    
+    function positionItem(element, id) {
+        for (const section of sections) {
+            const index = section.items.findIndex(item => item.id === id);
+            if (index !== -1) {
+                placeItem(element, section, index);
+                return;
+            }
+        }
+    }
+    
+    function placeItem(element, section, index) {
+        const row = Math.floor(index / columns);
+        const column = index % columns;
+        element.style.top = `${section.itemsTop + row * (itemHeight + ITEM_GAP)}px`;
+        element.style.left = `${column * (columnWidth + ITEM_GAP)}px`;
+        element.style.width = `${columnWidth}px`;
+        element.style.height = itemHeightMeasured ? `${itemHeight}px` : '';
+    }
+    
+    // ======================== RENDERING ========================
+    
+    function scheduleRender() {
+        if (frameRequested || !active) return;
+        frameRequested = true;
+        requestAnimationFrame(() => {
+            frameRequested = false;
+            render();
+        });
+    }
+    
+    function render() {
+        if (!active || !canvas || sections.length === 0) return;
+        
+        const canvasTop = canvas.getBoundingClientRect().top;
+        const viewTop = -canvasTop - OVERSCAN_PX;
+        const viewBottom = -canvasTop + window.innerHeight + OVERSCAN_PX;
+        
+        const wantedItems = new Map(); // id -> { section, index }
+        const wantedHeaders = new Set();
+        
+        for (const section of sections) {
+            if (section.bottom < viewTop) continue;
+            if (section.top > viewBottom) break;
+            
+            if (section.headerTop + HEADER_HEIGHT >= viewTop && section.headerTop <= viewBottom) {
+                wantedHeaders.add(section.dateKey);
+            }
+            
+            const rowHeight = itemHeight + ITEM_GAP;
+            const firstRow = Math.max(0, Math.floor((viewTop - section.itemsTop) / rowHeight));
+            const lastRow = Math.floor((viewBottom - section.itemsTop) / rowHeight);
+            const start = firstRow * columns;
+            const end = Math.min(section.items.length, (lastRow + 1) * columns);
+            
+            for (let index = start; index < end; index++) {
+                wantedItems.set(section.items[index].id, { section, index });
+            }
+        }
+        
+        // Detach what scrolled away, keeping it for when the user scrolls back
+        renderedItems.forEach((element, id) => {
+            if (!wantedItems.has(id)) {
+                element.remove();
+                renderedItems.delete(id);
+                cacheNode(id, element);
+            }
+        });
+        renderedHeaders.forEach((element, dateKey) => {
+            if (!wantedHeaders.has(dateKey)) {
+                element.remove();
+                renderedHeaders.delete(dateKey);
+            }
+        });
+        
+        wantedHeaders.forEach(dateKey => {
+            if (renderedHeaders.has(dateKey)) return;
+            const section = sections.find(s => s.dateKey === dateKey);
+            const header = createDateHeader(section.dateKey, section.date);
+            header.style.top = `${section.headerTop}px`;
+            canvas.appendChild(header);
+            renderedHeaders.set(dateKey, header);
+        });
+        
+        wantedItems.forEach(({ section, index }, id) => {
+            let element = renderedItems.get(id);
+            if (!element) {
+                element = takeNode(id) || createMediaItem(section.items[index], options, section.items[index].fileInfo || null);
+                element.dataset.dateKey = section.dateKey;
+                syncSelection(element, id);
+                canvas.appendChild(element);
+                renderedItems.set(id, element);
+            }
+            placeItem(element, section, index);
+        });
+        
+        measureItemHeight();
+        reportScrollDate(-canvasTop);
+        
+        if (hasMore && totalHeight - viewBottom < LOAD_AHEAD_PX) {
+            loadNextPage();
+        } else if (prevCursor && -canvasTop < LOAD_AHEAD_PX) {
+            loadPrevPage();
+        }
+        
+        savePositionSoon();
+    }
+    
+    /**
+     * Tell the options which date section is at the top of the viewport
+     *
+     * @param {number} offset - Scroll position within the canvas
+     */
+    function reportScrollDate(offset) {
+        if (!options.onScrollDate) return;
+        
+        const section = sections.find(s => s.bottom >= offset) || sections[sections.length - 1];
+        if (section.dateKey !== scrollDateKey) {
+            scrollDateKey = section.dateKey;
+            options.onScrollDate(scrollDateKey);
+        }
+    }
+    
+    /**
+     * Use the real height of a rendered item for the row height
+     */
+    function measureItemHeight() {
+        if (itemHeightMeasured || renderedItems.size === 0) return;
+        
+        const element = renderedItems.values().next().value;
+        const height = element.offsetHeight;
+        if (height > 0) {
+            itemHeightMeasured = true;
+            itemHeight = height;
+            layout();
+            scheduleRender();
+        }
+    }
+    
+    function syncSelection(element, id) {
+        const selected = options.isSelected ? options.isSelected(id) : false;
+        if (element.classList.contains('selected') !== selected) {
+            updateItemSelection(element, id, selected);
+        }
+    }
+    
+    function cacheNode(id, element) {
+        nodeCache.delete(id);
+        nodeCache.set(id, element);
+        if (nodeCache.size > NODE_CACHE_SIZE) {
+            const oldest = nodeCache.keys().next().value;
+            nodeCache.delete(oldest);
+        }
+    }
+    
+    function takeNode(id) {
+        const element = nodeCache.get(id);
+        nodeCache.delete(id);
+        return element || null;
+    }
+    
+    // ======================== POSITION RESTORE ========================
+    
+    function savePositionSoon() {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(savePosition, 200);
+    }
+    
+    function savePosition() {
+        try {
+            sessionStorage.setItem(POSITION_KEY, JSON.stringify({
+                type: currentType,
+                query: currentQuery,
+                pages: loadedPages,
+                scrollY: window.scrollY
+            }));
+        } catch (err) {
+            // Storage may be full or disabled; the position is just not kept
+        }
+    }
+    
+    function readSavedPosition() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(POSITION_KEY));
+            return saved && Array.isArray(saved.pages) && saved.pages.length > 0 ? saved : null;
+        } catch (err) {
+            return null;
+        }
+    }
+    
+    function isBackNavigation() {
+        if (restoreChecked) return false;
+        restoreChecked = true;
+        
+        const [navigation] = performance.getEntriesByType('navigation');
+        return Boolean(navigation) && navigation.type === 'back_forward';
+    }
+    
+    return { load, refresh, destroy, removeItems, updateItem, getSectionItems };
+}
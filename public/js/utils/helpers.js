@@ -168,3 +168,94 @@ export function getMediaResolution(item) {
     
     return null;
 }
+
+// localStorage key of the zone dates are shown in
+const DATE_DISPLAY_KEY = 'mediaLibrary.dateDisplay';
+
+/**
+ * Get the zone dates are shown in
+ * 
+ * @returns {string} - 'capture' for the local time where each item was taken, 'browser' for this browser's zone
+ */
+export function getDateDisplay() {
+    return localStorage.getItem(DATE_DISPLAY_KEY) === 'browser' ? 'browser' : 'capture';
+}
+
+/**
+ * Choose the zone dates are shown in
+ * 
+ * @param {string} display - 'capture' or 'browser'
+ */
+export function setDateDisplay(display) {
+    localStorage.setItem(DATE_DISPLAY_KEY, display === 'browser' ? 'browser' : 'capture');
+}
+
+/**
+ * Get the UTC offset where a media item was taken
+ * 
+ * @param {Object} item - Media item
+ * @returns {number|null} - Minutes east of UTC, or null if unknown
+ */
+export function getCaptureOffset(item) {
+    const offset = Number.isInteger(item.captureOffset) ? item.captureOffset : item.metadata?.captureOffset;
+    return Number.isInteger(offset) ? offset : null;
+}
+
+/**
+ * Get the day a media item is listed under, in the zone dates are shown in
+ * 
+ * @param {Object} item - Media item
+ * @returns {string} - Date key in YYYY-MM-DD format
+ */
+export function getDateKey(item) {
+    const date = new Date(item.created || item.modified);
+    const offset = getCaptureOffset(item);
+    
+    // Shifting by the offset puts the local time of capture in the UTC fields
+    if (getDateDisplay() === 'capture' && offset !== null) {
+        return new Date(date.getTime() + offset * 60000).toISOString().split('T')[0];
+    }
+    
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Turn a date key back into a date at local midnight, for formatDateHeader
+ * 
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {Date} - The date
+ */
+export function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Format when a media item was taken, in the zone dates are shown in
+ * 
+ * @param {Object} item - Media item
+ * @returns {string} - Date and time, with the UTC offset when it is the local time of capture
+ */
+export function formatCaptureTime(item) {
+    const date = new Date(item.created || item.modified);
+    const offset = getCaptureOffset(item);
+    
+    if (getDateDisplay() === 'capture' && offset !== null) {
+        const localTime = new Date(date.getTime() + offset * 60000);
+        return `${localTime.toLocaleString(undefined, { timeZone: 'UTC' })} (${formatUtcOffset(offset)})`;
+    }
+    return date.toLocaleString();
+}
+
+/**
+ * Format a UTC offset
+ * 
+ * @param {number} offset - Minutes east of UTC
+ * @returns {string} - Offset such as "UTC+02:00"
+ */
+export function formatUtcOffset(offset) {
+    const minutes = Math.abs(offset);
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `UTC${offset < 0 ? '-' : '+'}${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,117 @@
+'use strict';
+
+const albumService = require('../../services/album-service');
+
+/**
+ * Album routes
+ *
+ * GET    /albums                    - list albums
+ * POST   /albums                    - create an album ({ name, description })
+ * GET    /albums/:id                - get an album
+ * PATCH  /albums/:id                - rename, describe or choose the cover ({ name, description, coverId })
+ * DELETE /albums/:id                - delete an album, keeping its media
+ * GET    /albums/:id/items          - media of an album in album order
+ * POST   /albums/:id/items          - add media ({ ids })
+ * POST   /albums/:id/items/remove   - take media out ({ ids })
+ * PUT    /albums/:id/order          - reorder the media ({ ids }, every shown item once)
+ */
+async function routes(fastify, options) {
+  function sendError(reply, err, fallbackMessage) {
+    if (err.statusCode === 400 || err.statusCode === 409) {
+      return reply.code(err.statusCode).send({ error: err.message });
+    }
+    fastify.log.error(err);
+    return reply.code(500).send({ error: fallbackMessage, message: err.message });
+  }
+
+  function notFound(reply) {
+    return reply.code(404).send({ error: 'Album not found' });
+  }
+
+  fastify.get('/albums', async (request, reply) => {
+    try {
+      return { albums: await albumService.listAlbums() };
+    } catch (err) {
+      return sendError(reply, err, 'Failed to list albums');
+    }
+  });
+
+  fastify.post('/albums', async (request, reply) => {
+    try {
+      const { name, description } = request.body || {};
+      const album = await albumService.createAlbum({ name, description });
+      return reply.code(201).send(album);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to create album');
+    }
+  });
+
+  fastify.get('/albums/:id', async (request, reply) => {
+    try {
+      const album = await albumService.getAlbum(request.params.id);
+      return album || notFound(reply);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to load album');
+    }
+  });
+
+  fastify.patch('/albums/:id', async (request, reply) => {
+    try {
+      const { name, description, coverId } = request.body || {};
+      const album = await albumService.updateAlbum(request.params.id, { name, description, coverId });
+      return album || notFound(reply);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to update album');
+    }
+  });
+
+  fastify.delete('/albums/:id', async (request, reply) => {
+    try {
+      const deleted = await albumService.deleteAlbum(request.params.id);
+      return deleted ? { success: true } : notFound(reply);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to delete album');
+    }
+  });
+
+  fastify.get('/albums/:id/items', async (request, reply) => {
+    try {
+      const items = await albumService.getAlbumItems(request.params.id);
+      return items ? { data: items } : notFound(reply);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to load album items');
+    }
+  });
+
+  fastify.post('/albums/:id/items', async (request, reply) => {
+    try {
+      const { ids } = request.body || {};
+      const result = await albumService.addItems(request.params.id, ids);
+      return result || notFound(reply);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to add media to album');
+    }
+  });
+
+  fastify.post('/albums/:id/items/remove', async (request, reply) => {
+    try {
+      const { ids } = request.body || {};
+      const album = await albumService.removeItems(request.params.id, ids);
+      return album || notFound(reply);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to remove media from album');
+    }
+  });
+
+  fastify.put('/albums/:id/order', async (request, reply) => {
+    try {
+      const { ids } = request.body || {};
+      const album = await albumService.reorderItems(request.params.id, ids);
+      return album || notFound(reply);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to reorder album');
+    }
+  });
+}
+
+module.exports = routes;
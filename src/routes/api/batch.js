@@ -0,0 +1,53 @@
+'use strict';
+
+const batchService = require('../../services/batch-service');
+
+/**
+ * Batch operation routes
+ *
+ * POST /batch     - apply an action to many media files ({ action, ids, ...params });
+ *                   actions: delete, restore, tag ({ add, remove }), add-to-album
+ *                   ({ albumId }), set-date ({ date, offset }), shift-date
+ *                   ({ minutes }), reset-date, archive and unarchive
+ * GET  /batch     - the most recent operations
+ * GET  /batch/:id - progress and per-item results of an operation
+ */
+async function routes(fastify, options) {
+  function sendError(reply, err, fallbackMessage) {
+    if (err.statusCode === 400) {
+      return reply.code(400).send({ error: err.message });
+    }
+    fastify.log.error(err);
+    return reply.code(500).send({ error: fallbackMessage, message: err.message });
+  }
+
+  fastify.post('/batch', async (request, reply) => {
+    try {
+      return reply.code(202).send(await batchService.start(request.body || {}));
+    } catch (err) {
+      return sendError(reply, err, 'Failed to start the batch operation');
+    }
+  });
+
+  fastify.get('/batch', async (request, reply) => {
+    try {
+      return { operations: await batchService.listOperations() };
+    } catch (err) {
+      return sendError(reply, err, 'Failed to list batch operations');
+    }
+  });
+
+  fastify.get('/batch/:id', async (request, reply) => {
+    try {
+      const operation = await batchService.getOperation(request.params.id);
+      if (!operation) {
+        return reply.code(404).send({ error: 'Batch operation not found' });
+      }
+      return operation;
+    } catch (err) {
+      return sendError(reply, err, 'Failed to get the batch operation');
+    }
+  });
+}
+
+module.exports = routes;
@@ -0,0 +1,99 @@
+'use strict';
+
+const catalogService = require('../../services/catalog-service');
+
+/**
+ * Gallery catalog routes
+ *
+ * Every listing accepts the search filters of catalogService.parseFilters:
+ * type, from, to, ext, make, model, minSize, maxSize, orientation, gps and q
+ */
+async function routes(fastify, options) {
+  // One gallery page with everything the renderer needs, newest capture date first.
+  // Pass nextCursor or prevCursor from a previous response with direction=next|prev.
+  // wholeDays=true extends the page so its last date section is complete.
+  // The total is only counted for the first page, or any page with includeTotal=true.
+  fastify.get('/catalog/page', async (request, reply) => {
+    const { cursor } = request.query;
+    const direction = request.query.direction || 'next';
+    const limit = parseInt(request.query.limit, 10) || 100;
+    const wholeDays = request.query.wholeDays === 'true';
+    const includeTotal = !cursor || request.query.includeTotal === 'true';
+
+    if (direction !== 'next' && direction !== 'prev') {
+      return reply.code(400).send({ error: 'direction must be next or prev' });
+    }
+
+    try {
+      const filters = catalogService.parseFilters(request.query);
+      const page = await catalogService.getPage({ filters, cursor, direction, limit, wholeDays, includeTotal });
+      return {
+        data: page.items,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+        limit: page.limit,
+        total: page.total
+      };
+    } catch (err) {
+      if (err.statusCode === 400) {
+        return reply.code(400).send({ error: err.message });
+      }
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to load media', message: err.message });
+    }
+  });
+
+  // One media item with all of its metadata; page items only carry what the gallery shows
+  fastify.get('/catalog/items/:id', async (request, reply) => {
+    try {
+      const item = await catalogService.getItem(request.params.id);
+      if (!item) {
+        return reply.code(404).send({ error: 'Media not found' });
+      }
+      return item;
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to load media', message: err.message });
+    }
+  });
+
+  // Media counts per year and month of capture, for the timeline scrubber
+  fastify.get('/catalog/timeline', async (request, reply) => {
+    try {
+      const filters = catalogService.parseFilters(request.query);
+      return { years: await catalogService.getTimeline(filters) };
+    } catch (err) {
+      if (err.statusCode === 400) {
+        return reply.code(400).send({ error: err.message });
+      }
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to load the timeline', message: err.message });
+    }
+  });
+
+  // Counts for every option of the filter panel under the current filters
+  fastify.get('/catalog/facets', async (request, reply) => {
+    try {
+      const filters = catalogService.parseFilters(request.query);
+      return await catalogService.getFacets(filters);
+    } catch (err) {
+      if (err.statusCode === 400) {
+        return reply.code(400).send({ error: err.message });
+      }
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to load the filter counts', message: err.message });
+    }
+  });
+
+  // Recreate the catalog from GridFS
+  fastify.post('/catalog/rebuild', async (request, reply) => {
+    try {
+      return await catalogService.rebuild();
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to rebuild the media catalog', message: err.message });
+    }
+  });
+}
+
+module.exports = routes;
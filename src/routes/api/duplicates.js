@@ -0,0 +1,39 @@
+'use strict';
+
+const duplicateService = require('../../services/duplicate-service');
+
+/**
+ * Near-duplicate image routes
+ */
+async function routes(fastify, options) {
+  // Groups of visually similar images, best copy first in each group
+  fastify.get('/duplicates', async (request, reply) => {
+    try {
+      const threshold = request.query.threshold !== undefined
+        ? parseInt(request.query.threshold, 10)
+        : undefined;
+
+      if (threshold !== undefined && Number.isNaN(threshold)) {
+        return reply.code(400).send({ error: 'threshold must be a number' });
+      }
+
+      const groups = await duplicateService.findSimilarImages(threshold);
+      return { groups };
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to find duplicates', message: err.message });
+    }
+  });
+
+  // Compute perceptual hashes for images uploaded before they were stored
+  fastify.post('/duplicates/backfill', async (request, reply) => {
+    try {
+      return await duplicateService.backfillPerceptualHashes();
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to backfill perceptual hashes', message: err.message });
+    }
+  });
+}
+
+module.exports = routes;
@@ -0,0 +1,67 @@
+'use strict';
+
+const mediaService = require('../../services/media-service');
+const scannerService = require('../../services/scanner-service');
+
+/**
+ * Media library maintenance routes
+ */
+async function routes(fastify, options) {
+  // Scan MEDIA_PATH and import new files
+  fastify.post('/library/scan', async (request, reply) => {
+    try {
+      return await mediaService.refreshMediaLibrary();
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to scan media directory', message: err.message });
+    }
+  });
+
+  // Hash files that were stored without a SHA-256 content hash
+  fastify.post('/library/hashes/backfill', async (request, reply) => {
+    try {
+      return await mediaService.backfillFileHashes();
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to backfill file hashes', message: err.message });
+    }
+  });
+
+  // Probe videos that were stored without duration, codec and frame rate information
+  fastify.post('/library/videos/backfill', async (request, reply) => {
+    try {
+      return await mediaService.backfillVideoMetadata();
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to backfill video metadata', message: err.message });
+    }
+  });
+
+  // Create responsive thumbnail renditions for media stored before they existed
+  fastify.post('/library/thumbnails/backfill', async (request, reply) => {
+    try {
+      return await mediaService.backfillRenditions();
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to backfill thumbnail renditions', message: err.message });
+    }
+  });
+
+  // Derive capture times in UTC with their offset, for every file with { all: true }
+  fastify.post('/library/capture-times/backfill', async (request, reply) => {
+    try {
+      const all = Boolean(request.body && request.body.all === true);
+      return await mediaService.backfillCaptureTimes({ all });
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to backfill capture times', message: err.message });
+    }
+  });
+
+  // Report whether a scan is running and the result of the last one
+  fastify.get('/library/scan', async (request, reply) => {
+    return scannerService.getStatus();
+  });
+}
+
+module.exports = routes;
@@ -0,0 +1,23 @@
+'use strict';
+
+const maintenanceService = require('../../services/maintenance-service');
+
+/**
+ * Storage maintenance routes
+ *
+ * POST /admin/maintenance - regenerate missing thumbnails and remove orphaned
+ *                           thumbnails and GridFS chunks ({ "dryRun": true } only counts)
+ * GET  /admin/maintenance - progress and result of the current or last run
+ */
+async function routes(fastify, options) {
+  fastify.post('/admin/maintenance', async (request, reply) => {
+    const dryRun = Boolean(request.body && request.body.dryRun);
+    return reply.code(202).send(maintenanceService.start({ dryRun }));
+  });
+
+  fastify.get('/admin/maintenance', async (request, reply) => {
+    return maintenanceService.getStatus();
+  });
+}
+
+module.exports = routes;
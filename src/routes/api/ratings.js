@@ -0,0 +1,29 @@
+'use strict';
+
+const ratingService = require('../../services/rating-service');
+
+/**
+ * Rating routes
+ *
+ * PATCH /media/:id/ratings - set the favorite, star rating and/or pick/reject
+ *                            flag of a media file ({ favorite, rating, flag })
+ */
+async function routes(fastify, options) {
+  fastify.patch('/media/:id/ratings', async (request, reply) => {
+    try {
+      const ratings = await ratingService.updateRatings(request.params.id, request.body || {});
+      if (!ratings) {
+        return reply.code(404).send({ error: 'Media not found' });
+      }
+      return ratings;
+    } catch (err) {
+      if (err.statusCode === 400) {
+        return reply.code(400).send({ error: err.message });
+      }
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to update ratings', message: err.message });
+    }
+  });
+}
+
+module.exports = routes;
@@ -0,0 +1,50 @@
+'use strict';
+
+const tagService = require('../../services/tag-service');
+
+const MAX_SUGGESTIONS = 50;
+
+/**
+ * Tag routes
+ *
+ * GET  /tags                - every tag with the number of media carrying it
+ * GET  /tags/suggest?q=     - tags starting with q, for autocomplete
+ * POST /tags/bulk           - add and remove tags on media ({ ids, add, remove })
+ */
+async function routes(fastify, options) {
+  function sendError(reply, err, fallbackMessage) {
+    if (err.statusCode === 400) {
+      return reply.code(400).send({ error: err.message });
+    }
+    fastify.log.error(err);
+    return reply.code(500).send({ error: fallbackMessage, message: err.message });
+  }
+
+  fastify.get('/tags', async (request, reply) => {
+    try {
+      return { tags: await tagService.getTagCounts() };
+    } catch (err) {
+      return sendError(reply, err, 'Failed to count tags');
+    }
+  });
+
+  fastify.get('/tags/suggest', async (request, reply) => {
+    const limit = Math.min(MAX_SUGGESTIONS, parseInt(request.query.limit, 10) || 10);
+    try {
+      return { tags: await tagService.suggestTags(request.query.q || '', limit) };
+    } catch (err) {
+      return sendError(reply, err, 'Failed to suggest tags');
+    }
+  });
+
+  fastify.post('/tags/bulk', async (request, reply) => {
+    try {
+      const { ids, add, remove } = request.body || {};
+      return await tagService.updateTags(ids, { add, remove });
+    } catch (err) {
+      return sendError(reply, err, 'Failed to update tags');
+    }
+  });
+}
+
+module.exports = routes;
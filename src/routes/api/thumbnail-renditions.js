@@ -0,0 +1,51 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const mongodb = require('../../db/mongodb');
+const thumbnailService = require('../../services/thumbnail-service');
+
+/**
+ * Responsive thumbnail routes
+ *
+ * GET /thumbnails/:id/:width?format=avif|webp|jpeg
+ *
+ * Serves the smallest rendition at least :width pixels wide. Without a format
+ * the best one the browser accepts is chosen, so a plain srcset works. Media
+ * stored before renditions existed gets its single thumbnail instead.
+ */
+async function routes(fastify, options) {
+  fastify.get('/thumbnails/:id/:width', async (request, reply) => {
+    const { id } = request.params;
+    const width = parseInt(request.params.width, 10);
+
+    if (!ObjectId.isValid(id) || !Number.isInteger(width) || width <= 0) {
+      return reply.code(400).send({ error: 'A valid media ID and width are required' });
+    }
+
+    const format = thumbnailService.negotiateFormat(request.query.format, request.headers.accept);
+    if (!format) {
+      return reply.code(400).send({ error: `Unsupported format: ${request.query.format}` });
+    }
+
+    try {
+      const file = await thumbnailService.findRendition(id, width, format) ||
+        await thumbnailService.findThumbnail(id);
+      if (!file) {
+        return reply.code(404).send({ error: 'Thumbnail not found' });
+      }
+
+      reply
+        .header('Content-Type', file.contentType || 'image/jpeg')
+        .header('Content-Length', file.length)
+        .header('Cache-Control', 'public, max-age=86400')
+        .header('Vary', 'Accept');
+
+      return reply.send(mongodb.getThumbnailBucket().openDownloadStream(file._id));
+    } catch (err) {
+      fastify.log.error(err);
+      return reply.code(500).send({ error: 'Failed to load thumbnail', message: err.message });
+    }
+  });
+}
+
+module.exports = routes;
@@ -0,0 +1,64 @@
+'use strict';
+
+const trashService = require('../../services/trash-service');
+
+/**
+ * Trash routes
+ *
+ * GET    /trash          - trashed media, most recently deleted first
+ * POST   /trash          - move media to the trash ({ ids })
+ * POST   /trash/restore  - put trashed media back in the library ({ ids })
+ * POST   /trash/purge    - delete trashed media for good ({ ids })
+ * DELETE /trash          - empty the trash
+ */
+async function routes(fastify, options) {
+  function sendError(reply, err, fallbackMessage) {
+    if (err.statusCode === 400) {
+      return reply.code(400).send({ error: err.message });
+    }
+    fastify.log.error(err);
+    return reply.code(500).send({ error: fallbackMessage, message: err.message });
+  }
+
+  fastify.get('/trash', async (request, reply) => {
+    try {
+      return await trashService.listTrash();
+    } catch (err) {
+      return sendError(reply, err, 'Failed to list the trash');
+    }
+  });
+
+  fastify.post('/trash', async (request, reply) => {
+    try {
+      return await trashService.trashMedia((request.body || {}).ids);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to move media to the trash');
+    }
+  });
+
+  fastify.post('/trash/restore', async (request, reply) => {
+    try {
+      return await trashService.restoreMedia((request.body || {}).ids);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to restore media');
+    }
+  });
+
+  fastify.post('/trash/purge', async (request, reply) => {
+    try {
+      return await trashService.purgeMedia((request.body || {}).ids);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to delete media');
+    }
+  });
+
+  fastify.delete('/trash', async (request, reply) => {
+    try {
+      return await trashService.emptyTrash();
+    } catch (err) {
+      return sendError(reply, err, 'Failed to empty the trash');
+    }
+  });
+}
+
+module.exports = routes;
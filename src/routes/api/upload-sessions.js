@@ -0,0 +1,88 @@
+'use strict';
+
+const uploadSessionService = require('../../services/upload-session-service');
+
+/**
+ * Resumable upload routes
+ *
+ * POST   /uploads                     - start a session
+ * GET    /uploads/:id                 - query the received offset
+ * PUT    /uploads/:id/chunks/:index   - upload one chunk (application/octet-stream)
+ * POST   /uploads/:id/complete        - assemble the file and import it
+ * DELETE /uploads/:id                 - abort and discard the chunks
+ */
+async function routes(fastify, options) {
+  // Chunks arrive as raw bytes
+  fastify.addContentTypeParser('application/octet-stream', {
+    parseAs: 'buffer',
+    bodyLimit: uploadSessionService.chunkSize + 1024
+  }, (request, body, done) => done(null, body));
+
+  function sendError(reply, err, fallbackMessage) {
+    if (err.statusCode === 409) {
+      return reply.code(409).send({ error: err.message, session: err.session });
+    }
+    fastify.log.error(err);
+    return reply.code(400).send({ error: err.message || fallbackMessage });
+  }
+
+  fastify.post('/uploads', async (request, reply) => {
+    try {
+      const { filename, size, mimeType, metadata } = request.body || {};
+      const session = await uploadSessionService.createSession({ filename, size, mimeType, metadata });
+      return reply.code(201).send(session);
+    } catch (err) {
+      return sendError(reply, err, 'Failed to create upload session');
+    }
+  });
+
+  fastify.get('/uploads/:id', async (request, reply) => {
+    const session = await uploadSessionService.getSession(request.params.id);
+    if (!session) {
+      return reply.code(404).send({ error: 'Upload session not found' });
+    }
+    return session;
+  });
+
+  fastify.put('/uploads/:id/chunks/:index', async (request, reply) => {
+    try {
+      const index = parseInt(request.params.index, 10);
+      const session = await uploadSessionService.putChunk(request.params.id, index, request.body);
+      if (!session) {
+        return reply.code(404).send({ error: 'Upload session not found' });
+      }
+      return session;
+    } catch (err) {
+      return sendError(reply, err, 'Failed to store chunk');
+    }
+  });
+
+  fastify.post('/uploads/:id/complete', async (request, reply) => {
+    try {
+      const result = await uploadSessionService.completeSession(request.params.id);
+      if (!result) {
+        return reply.code(404).send({ error: 'Upload session not found' });
+      }
+
+      if (result.duplicate) {
+        return reply.code(409).send(result);
+      }
+      if (!result.success) {
+        return reply.code(500).send(result);
+      }
+      return result;
+    } catch (err) {
+      return sendError(reply, err, 'Failed to complete upload');
+    }
+  });
+
+  fastify.delete('/uploads/:id', async (request, reply) => {
+    const deleted = await uploadSessionService.abortSession(request.params.id);
+    if (!deleted) {
+      return reply.code(404).send({ error: 'Upload session not found' });
+    }
+    return { success: true };
+  });
+}
+
+module.exports = routes;
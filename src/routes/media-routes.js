@@ -11,6 +11,17 @@ async function routes(fastify, options) {
   fastify.register(require('./api/delete'), { prefix: '/api' });
   fastify.register(require('./api/thumbnails'), { prefix: '/api' });
   fastify.register(require('./api/file-info'), { prefix: '/api' }); // Add the new file info route
+  fastify.register(require('./api/library'), { prefix: '/api' });
+  fastify.register(require('./api/upload-sessions'), { prefix: '/api' });
+  fastify.register(require('./api/duplicates'), { prefix: '/api' });
+  fastify.register(require('./api/thumbnail-renditions'), { prefix: '/api' });
+  fastify.register(require('./api/maintenance'), { prefix: '/api' });
+  fastify.register(require('./api/catalog'), { prefix: '/api' });
+  fastify.register(require('./api/albums'), { prefix: '/api' });
+  fastify.register(require('./api/tags'), { prefix: '/api' });
+  fastify.register(require('./api/trash'), { prefix: '/api' });
+  fastify.register(require('./api/batch'), { prefix: '/api' });
+  fastify.register(require('./api/ratings'), { prefix: '/api' });
   
   // Register media serving routes
   fastify.register(require('./media/serve-media'));
@@ -20,6 +20,13 @@ const fastify = require('fastify')({
 
 const path = require('path');
 const mediaService = require('./services/media-service');
+const watcherService = require('./services/watcher-service');
+const uploadSessionService = require('./services/upload-session-service');
+const duplicateService = require('./services/duplicate-service');
+const catalogService = require('./services/catalog-service');
+const albumService = require('./services/album-service');
+const trashService = require('./services/trash-service');
+const batchService = require('./services/batch-service');
 const mongodb = require('./db/mongodb');
 
 // Register plugins
@@ -27,10 +34,12 @@ fastify.register(require('@fastify/cors'), {
   origin: true
 });
 
-// Register multipart for file uploads
+// Register multipart for file uploads - files are streamed to GridFS, so the limit
+// only guards disk usage, not memory
+const maxUploadSizeMb = parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 16 * 1024; // 16GB default
 fastify.register(require('@fastify/multipart'), {
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB max file size
+    fileSize: maxUploadSizeMb * 1024 * 1024,
   }
 });
 
@@ -85,6 +94,27 @@ const start = async () => {
     
     // Initialize the media scanning service
     await mediaService.init();
+    await catalogService.init();
+    await albumService.init();
+    await uploadSessionService.init();
+    await batchService.init();
+    
+    // Hash files, probe videos, extract EXIF and derive capture times for files
+    // stored before this was done on upload, without delaying startup
+    mediaService.backfillFileHashes()
+      .then(() => duplicateService.backfillPerceptualHashes())
+      .then(() => mediaService.backfillVideoMetadata())
+      .then(() => mediaService.backfillExif())
+      .then(() => mediaService.backfillCaptureTimes())
+      .catch(err => {
+        fastify.log.error(err, 'Metadata backfill failed');
+      });
+    
+    // Pick up files dropped into the media directory while we run
+    watcherService.start();
+    
+    // Delete trashed media once its retention period is over
+    trashService.start();
     
     // Start listening on port 3000 or whatever is in the environment variable
     await fastify.listen({ 
@@ -107,6 +137,10 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   try {
+    // Stop watching the media directory before closing the database
+    await watcherService.stop();
+    trashService.stop();
+    
     // Disconnect from MongoDB gracefully
     await mongodb.disconnect();
     process.exit(0);
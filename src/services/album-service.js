@@ -0,0 +1,367 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db/mongodb');
+const catalogService = require('./catalog-service');
+
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Albums are hand-picked, hand-ordered collections of media. An album only
+ * stores the IDs of its media in display order, so a file can be in any
+ * number of albums without being copied.
+ */
+class AlbumService {
+  _albums() {
+    return mongodb.getDb().collection('albums');
+  }
+
+  async init() {
+    await this._albums().createIndex({ items: 1 }); // Albums containing a media file
+    await this._albums().createIndex({ name: 1 });
+  }
+
+  /**
+   * List all albums by name
+   * @returns {Promise<Object[]>} - Albums with their item count and cover
+   */
+  async listAlbums() {
+    const albums = await this._albums().aggregate([
+      { $sort: { name: 1 } },
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          coverId: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          items: { $slice: ['$items', 1] }, // Enough for the default cover
+          itemCount: { $size: '$items' }
+        }
+      }
+    ]).toArray();
+
+    return albums.map(album => this._formatAlbum(album, album.itemCount));
+  }
+
+  /**
+   * Get an album
+   * @param {string} albumId - Album ID
+   * @returns {Promise<Object|null>} - Album or null if it doesn't exist
+   */
+  async getAlbum(albumId) {
+    const album = await this._findAlbum(albumId);
+    return album ? this._formatAlbum(album) : null;
+  }
+
+  /**
+   * Create an empty album
+   * @param {Object} fields - name and optional description
+   * @returns {Promise<Object>} - The new album
+   */
+  async createAlbum({ name, description = '' } = {}) {
+    const now = new Date();
+    const album = {
+      name: this._validateName(name),
+      description: String(description || ''),
+      coverId: null,
+      items: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await this._albums().insertOne(album);
+    return this._formatAlbum({ _id: result.insertedId, ...album });
+  }
+
+  /**
+   * Rename an album, change its description or choose its cover
+   * @param {string} albumId - Album ID
+   * @param {Object} fields - name, description and/or coverId (null for the first item)
+   * @returns {Promise<Object|null>} - Updated album or null if it doesn't exist
+   */
+  async updateAlbum(albumId, { name, description, coverId } = {}) {
+    const album = await this._findAlbum(albumId);
+    if (!album) {
+      return null;
+    }
+
+    const update = { updatedAt: new Date() };
+    if (name !== undefined) {
+      update.name = this._validateName(name);
+    }
+    if (description !== undefined) {
+      update.description = String(description || '');
+    }
+    if (coverId !== undefined) {
+      if (coverId === null) {
+        update.coverId = null;
+      } else {
+        const cover = this._toObjectId(coverId);
+        if (!cover || !album.items.some(id => id.equals(cover))) {
+          throw this._invalid('The cover must be one of the album items');
+        }
+        update.coverId = cover;
+      }
+    }
+
+    await this._albums().updateOne({ _id: album._id }, { $set: update });
+    return this._formatAlbum({ ...album, ...update });
+  }
+
+  /**
+   * Delete an album. Its media files are not touched.
+   * @param {string} albumId - Album ID
+   * @returns {Promise<boolean>} - False if the album doesn't exist
+   */
+  async deleteAlbum(albumId) {
+    const objectId = this._toObjectId(albumId);
+    if (!objectId) {
+      return false;
+    }
+    const { deletedCount } = await this._albums().deleteOne({ _id: objectId });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Get the media of an album in album order
+   * @param {string} albumId - Album ID
+   * @returns {Promise<Object[]|null>} - Media items or null if the album doesn't exist
+   */
+  async getAlbumItems(albumId) {
+    const album = await this._findAlbum(albumId);
+    if (!album) {
+      return null;
+    }
+
+    const entries = await mongodb.getDb().collection('media')
+      .find({ _id: { $in: album.items }, trashedAt: null }) // Trashed media comes back when restored
+      .toArray();
+    const entryById = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+    return album.items
+      .map(id => entryById.get(id.toString()))
+      .filter(Boolean)
+      .map(entry => catalogService.toMediaItem(entry));
+  }
+
+  /**
+   * Append media to an album, skipping files it already contains
+   * @param {string} albumId - Album ID
+   * @param {string[]} mediaIds - Media IDs
+   * @returns {Promise<Object|null>} - Updated album and the number added, or null if it doesn't exist
+   */
+  async addItems(albumId, mediaIds) {
+    const album = await this._findAlbum(albumId);
+    if (!album) {
+      return null;
+    }
+
+    // Only media that exists, in the order given
+    const requested = this._toObjectIds(mediaIds);
+    const existing = await mongodb.getDb().collection('media')
+      .find({ _id: { $in: requested }, trashedAt: null }, { projection: { _id: 1 } })
+      .toArray();
+    const existingIds = new Set(existing.map(entry => entry._id.toString()));
+    const candidates = requested.filter(id => existingIds.has(id.toString()));
+
+    // $addToSet skips items added by a parallel request; the album as it was tells what is new
+    const updatedAt = new Date();
+    const { value: before } = await this._albums().findOneAndUpdate(
+      { _id: album._id },
+      { $addToSet: { items: { $each: candidates } }, $set: { updatedAt } },
+      { returnDocument: 'before' }
+    );
+    if (!before) {
+      return null;
+    }
+
+    const present = new Set(before.items.map(id => id.toString()));
+    const added = [];
+    candidates.forEach(id => {
+      const key = id.toString();
+      if (!present.has(key)) {
+        present.add(key);
+        added.push(id);
+      }
+    });
+
+    return {
+      album: this._formatAlbum({ ...before, items: [...before.items, ...added], updatedAt }),
+      added: added.length
+    };
+  }
+
+  /**
+   * Take media out of an album. The files themselves are kept.
+   * @param {string} albumId - Album ID
+   * @param {string[]} mediaIds - Media IDs
+   * @returns {Promise<Object|null>} - Updated album or null if it doesn't exist
+   */
+  async removeItems(albumId, mediaIds) {
+    const album = await this._findAlbum(albumId);
+    if (!album) {
+      return null;
+    }
+
+    const removed = this._toObjectIds(mediaIds);
+    await this._albums().updateOne({ _id: album._id, coverId: { $in: removed } }, { $set: { coverId: null } });
+    const { value: updated } = await this._albums().findOneAndUpdate(
+      { _id: album._id },
+      { $pull: { items: { $in: removed } }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    return updated ? this._formatAlbum(updated) : null;
+  }
+
+  /**
+   * Put the media of an album in a new order. Items the album page doesn't show
+   * (trashed media) keep their current position.
+   * @param {string} albumId - Album ID
+   * @param {string[]} mediaIds - Every shown media ID of the album, in the new order
+   * @returns {Promise<Object|null>} - Updated album or null if it doesn't exist
+   */
+  async reorderItems(albumId, mediaIds) {
+    const album = await this._findAlbum(albumId);
+    if (!album) {
+      return null;
+    }
+
+    const hidden = await this._hiddenItems(album.items);
+    const items = this._withHiddenItems(album.items, this._toObjectIds(mediaIds), hidden);
+    const current = new Set(album.items.map(id => id.toString()));
+    const reordered = new Set(items.map(id => id.toString()));
+    if (items.length !== album.items.length || reordered.size !== current.size ||
+        [...reordered].some(id => !current.has(id))) {
+      throw this._invalid('The new order must contain every shown item of the album exactly once');
+    }
+
+    // Only if the items are still those the new order was checked against
+    const updatedAt = new Date();
+    const result = await this._albums().updateOne(
+      { _id: album._id, items: album.items },
+      { $set: { items, updatedAt } }
+    );
+    if (result.matchedCount === 0) {
+      throw this._conflict('The album changed in the meantime, reload it and try again');
+    }
+    return this._formatAlbum({ ...album, items, updatedAt });
+  }
+
+  /**
+   * Put a media file that took over from another in its place in every album
+   * @param {ObjectId} oldId - ID of the replaced media file
+   * @param {ObjectId} newId - ID of the media file replacing it
+   */
+  async replaceMedia(oldId, newId) {
+    await this._albums().updateMany({ coverId: oldId }, { $set: { coverId: newId } });
+    await this._albums().updateMany(
+      { items: oldId },
+      { $set: { 'items.$[item]': newId, updatedAt: new Date() } },
+      { arrayFilters: [{ item: oldId }] }
+    );
+  }
+
+  /**
+   * Drop a permanently deleted media file from every album
+   * @param {string|ObjectId} mediaId - Media ID
+   */
+  async removeMedia(mediaId) {
+    const objectId = typeof mediaId === 'string' ? new ObjectId(mediaId) : mediaId;
+    await this._albums().updateMany({ coverId: objectId }, { $set: { coverId: null } });
+    await this._albums().updateMany(
+      { items: objectId },
+      { $pull: { items: objectId }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * IDs of album items that getAlbumItems leaves out
+   * @param {ObjectId[]} items - Album items
+   * @returns {Promise<Set<string>>}
+   */
+  async _hiddenItems(items) {
+    const shown = await mongodb.getDb().collection('media')
+      .find({ _id: { $in: items }, trashedAt: null }, { projection: { _id: 1 } })
+      .toArray();
+    const shownIds = new Set(shown.map(entry => entry._id.toString()));
+    return new Set(items.map(id => id.toString()).filter(id => !shownIds.has(id)));
+  }
+
+  /**
+   * Put hidden items back at their positions; the shown ones fill the other slots
+   * in their new order. Leftover or missing IDs are kept for the caller to reject.
+   */
+  _withHiddenItems(current, shown, hidden) {
+    const queue = shown.filter(id => !hidden.has(id.toString()));
+    let next = 0;
+    const merged = current
+      .map(id => (hidden.has(id.toString()) ? id : queue[next++]))
+      .filter(Boolean);
+    return [...merged, ...queue.slice(next)];
+  }
+
+  async _findAlbum(albumId) {
+    const objectId = this._toObjectId(albumId);
+    return objectId ? this._albums().findOne({ _id: objectId }) : null;
+  }
+
+  _formatAlbum(album, itemCount = album.items.length) {
+    // Without a chosen cover the first item is shown
+    const coverId = album.coverId || album.items[0] || null;
+
+    return {
+      id: album._id.toString(),
+      name: album.name,
+      description: album.description,
+      itemCount,
+      coverId: coverId ? coverId.toString() : null,
+      coverChosen: Boolean(album.coverId),
+      createdAt: album.createdAt,
+      updatedAt: album.updatedAt
+    };
+  }
+
+  _validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw this._invalid('An album name is required');
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+      throw this._invalid(`Album names are limited to ${MAX_NAME_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+
+  _toObjectId(id) {
+    return ObjectId.isValid(id) ? new ObjectId(id) : null;
+  }
+
+  _toObjectIds(ids) {
+    if (!Array.isArray(ids)) {
+      throw this._invalid('ids must be an array of media IDs');
+    }
+    return ids.map(id => {
+      const objectId = this._toObjectId(id);
+      if (!objectId) {
+        throw this._invalid(`Invalid media ID: ${id}`);
+      }
+      return objectId;
+    });
+  }
+
+  _invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  _conflict(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+}
+
+module.exports = new AlbumService();
@@ -0,0 +1,316 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db/mongodb');
+const mediaService = require('./media-service');
+const tagService = require('./tag-service');
+const albumService = require('./album-service');
+const { normalizeTags } = require('../utils/tags');
+
+const MAX_BATCH_SIZE = 10000;
+
+// Finished operations are kept this long so their results can be looked up
+const OPERATION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Progress of a running operation is saved every this many items
+const PROGRESS_FLUSH_INTERVAL = 100;
+
+const RECENT_OPERATIONS_LIMIT = 20;
+
+// Largest capture time shift, a hundred years either way
+const MAX_SHIFT_MINUTES = 100 * 366 * 24 * 60;
+
+/**
+ * Actions on a single media file. Each gets the stored file document and the
+ * validated parameters, and returns a skip reason when there is nothing to do.
+ */
+const ACTIONS = {
+  delete: async file => {
+    if (file.metadata.trashedAt) return 'Already in the trash';
+    const result = await mediaService.deleteMedia(file._id.toString());
+    if (!result.success) throw new Error(result.error || 'Failed to move to the trash');
+    return null;
+  },
+
+  restore: async file => {
+    if (!file.metadata.trashedAt) return 'Not in the trash';
+    await mediaService.restoreMedia(file._id);
+    return null;
+  },
+
+  tag: async (file, { add, remove }) => {
+    const { updated } = await tagService.updateTags([file._id.toString()], { add, remove });
+    return updated > 0 ? null : 'Tags unchanged';
+  },
+
+  'add-to-album': async (file, { albumId }) => {
+    const result = await albumService.addItems(albumId, [file._id.toString()]);
+    if (!result) throw new Error('Album not found');
+    return result.added > 0 ? null : 'Already in the album';
+  },
+
+  'set-date': async (file, { date, offset }) => {
+    await mediaService.setCaptureDate(file._id, date, offset);
+    return null;
+  },
+
+  'shift-date': async (file, { minutes }) => {
+    await mediaService.shiftCaptureTime(file._id, minutes);
+    return null;
+  },
+
+  'reset-date': async file => {
+    if (!file.metadata.createdAt) return 'Date not edited';
+    await mediaService.resetCaptureTime(file._id);
+    return null;
+  },
+
+  archive: async file => {
+    if (file.metadata.archived) return 'Already archived';
+    await mediaService.updateMediaMetadata(file._id, { archived: true });
+    return null;
+  },
+
+  unarchive: async file => {
+    if (!file.metadata.archived) return 'Not archived';
+    await mediaService.updateMediaMetadata(file._id, {}, ['archived']);
+    return null;
+  }
+};
+
+/**
+ * Batch operations apply one action to many media files, for the selection
+ * toolbar. Each operation is recorded in `batchOperations` with a result per
+ * file and runs in the background; its progress can be polled while it runs.
+ */
+class BatchService {
+  constructor() {
+    this.running = new Map(); // Operation ID -> operation document, while it runs
+    this.queue = Promise.resolve(); // Operations run one after the other
+  }
+
+  _operations() {
+    return mongodb.getDb().collection('batchOperations');
+  }
+
+  async init() {
+    await this._operations().createIndex({ createdAt: 1 }, { expireAfterSeconds: OPERATION_TTL_SECONDS });
+
+    // The queue is lost on restart, so operations still running or waiting in it will never finish
+    const { modifiedCount } = await this._operations().updateMany(
+      { status: 'running' },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+    );
+    if (modifiedCount > 0) {
+      console.log(`Marked ${modifiedCount} interrupted batch operations as failed`);
+    }
+  }
+
+  /**
+   * Record a batch operation and start it in the background
+   * @param {Object} request - action, ids and the parameters of the action:
+   *   tag takes add and remove, add-to-album takes albumId, set-date takes date and
+   *   optionally offset (minutes east of UTC) and shift-date takes minutes
+   * @returns {Promise<Object>} - The operation, still running
+   */
+  async start({ action, ids, ...params } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(ACTIONS, action)) {
+      throw this._invalid(`Unknown action: ${action}. Use one of ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => ObjectId.isValid(id))) {
+      throw this._invalid('ids must be a non-empty array of media IDs');
+    }
+    if (ids.length > MAX_BATCH_SIZE) {
+      throw this._invalid(`A batch is limited to ${MAX_BATCH_SIZE} items`);
+    }
+
+    const uniqueIds = [...new Set(ids.map(id => id.toString()))];
+    const operation = {
+      action,
+      params: await this._validateParams(action, params),
+      ids: uniqueIds,
+      status: 'running',
+      total: uniqueIds.length,
+      processed: 0,
+      succeeded: 0,
+      skipped: 0,
+      failed: 0,
+      results: [],
+      error: null,
+      createdAt: new Date(),
+      finishedAt: null
+    };
+
+    const { insertedId } = await this._operations().insertOne(operation);
+    operation._id = insertedId;
+    this.running.set(insertedId.toString(), operation);
+
+    this.queue = this.queue
+      .then(() => this._run(operation))
+      .catch(err => {
+        console.error(`Batch operation ${insertedId} failed:`, err);
+        operation.status = 'failed';
+        operation.error = err.message;
+      })
+      .then(() => this._save(operation, true))
+      .catch(err => console.error(`Failed to save batch operation ${insertedId}:`, err))
+      .finally(() => this.running.delete(insertedId.toString()));
+
+    return this._formatOperation(operation);
+  }
+
+  /**
+   * Get a batch operation with its progress and per-item results
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<Object|null>} - The operation or null if it doesn't exist
+   */
+  async getOperation(operationId) {
+    if (this.running.has(operationId)) {
+      return this._formatOperation(this.running.get(operationId));
+    }
+    if (!ObjectId.isValid(operationId)) {
+      return null;
+    }
+    const operation = await this._operations().findOne({ _id: new ObjectId(operationId) });
+    return operation ? this._formatOperation(operation) : null;
+  }
+
+  /**
+   * List the most recent batch operations without their per-item results
+   * @returns {Promise<Object[]>} - Operations, newest first
+   */
+  async listOperations() {
+    const operations = await this._operations()
+      .find({}, { projection: { results: 0, ids: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_OPERATIONS_LIMIT)
+      .toArray();
+
+    return operations.map(operation => {
+      const running = this.running.get(operation._id.toString());
+      const { results, ...summary } = this._formatOperation(running || operation);
+      return summary;
+    });
+  }
+
+  async _run(operation) {
+    const apply = ACTIONS[operation.action];
+    const objectIds = operation.ids.map(id => new ObjectId(id));
+    const files = await mongodb.getDb().collection('mediaFiles.files')
+      .find({ _id: { $in: objectIds }, 'metadata.isThumb': { $ne: true } })
+      .toArray();
+    const fileById = new Map(files.map(file => [file._id.toString(), file]));
+
+    for (const id of operation.ids) {
+      const file = fileById.get(id);
+      let result;
+
+      if (!file) {
+        result = { id, status: 'failed', error: 'Media not found' };
+      } else {
+        try {
+          const skipReason = await apply({ ...file, metadata: file.metadata || {} }, operation.params);
+          result = skipReason ? { id, status: 'skipped', reason: skipReason } : { id, status: 'done' };
+        } catch (err) {
+          result = { id, status: 'failed', error: err.message };
+        }
+      }
+
+      operation.results.push(result);
+      operation.processed++;
+      if (result.status === 'done') operation.succeeded++;
+      else if (result.status === 'skipped') operation.skipped++;
+      else operation.failed++;
+
+      if (operation.processed % PROGRESS_FLUSH_INTERVAL === 0) {
+        await this._save(operation, false);
+      }
+    }
+
+    operation.status = 'finished';
+    console.log(`Batch ${operation.action} finished: ${operation.succeeded} done, ` +
+      `${operation.skipped} skipped, ${operation.failed} failed`);
+  }
+
+  async _save(operation, finished) {
+    if (finished) {
+      operation.finishedAt = new Date();
+    }
+
+    const { _id, ...fields } = operation;
+    await this._operations().updateOne({ _id }, { $set: fields });
+  }
+
+  async _validateParams(action, params) {
+    switch (action) {
+      case 'tag': {
+        const add = normalizeTags(params.add || []);
+        const remove = normalizeTags(params.remove || []);
+        if (add.length === 0 && remove.length === 0) {
+          throw this._invalid('Nothing to add or remove');
+        }
+        return { add, remove };
+      }
+
+      case 'add-to-album': {
+        const album = await albumService.getAlbum(params.albumId);
+        if (!album) {
+          throw this._invalid('Album not found');
+        }
+        return { albumId: album.id };
+      }
+
+      case 'set-date': {
+        const date = new Date(params.date);
+        if (!params.date || Number.isNaN(date.getTime())) {
+          throw this._invalid('date must be a date');
+        }
+        if (params.offset !== undefined && !this._isOffset(params.offset)) {
+          throw this._invalid('offset must be a UTC offset in minutes');
+        }
+        return params.offset !== undefined ? { date, offset: params.offset } : { date };
+      }
+
+      case 'shift-date': {
+        const minutes = Number(params.minutes);
+        if (!Number.isInteger(minutes) || minutes === 0 || Math.abs(minutes) > MAX_SHIFT_MINUTES) {
+          throw this._invalid(`minutes must be a whole number of minutes, at most ${MAX_SHIFT_MINUTES} either way`);
+        }
+        return { minutes };
+      }
+
+      default:
+        return {};
+    }
+  }
+
+  _formatOperation(operation) {
+    return {
+      id: operation._id.toString(),
+      action: operation.action,
+      params: operation.params,
+      status: operation.status,
+      total: operation.total,
+      processed: operation.processed,
+      succeeded: operation.succeeded,
+      skipped: operation.skipped,
+      failed: operation.failed,
+      results: operation.results,
+      error: operation.error,
+      createdAt: operation.createdAt,
+      finishedAt: operation.finishedAt
+    };
+  }
+
+  _isOffset(offset) {
+    return Number.isInteger(offset) && offset >= -12 * 60 && offset <= 14 * 60;
+  }
+
+  _invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new BatchService();
@@ -0,0 +1,777 @@
+'use strict';
+
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db/mongodb');
+const { normalizeTags } = require('../utils/tags');
+
+// Catalog entries are written in batches of this size during a rebuild
+const REBUILD_BATCH_SIZE = 500;
+
+const MAX_PAGE_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MEDIA_TYPES = ['image', 'video'];
+
+const ORIENTATIONS = ['portrait', 'landscape', 'square', 'panorama'];
+
+const MAX_RATING = 5;
+
+// Pick and reject flags, 'none' filters the unflagged media
+const FLAGS = ['pick', 'reject', 'none'];
+
+// Pictures at least this many times wider (or taller) than the other side are panoramas
+const PANORAMA_RATIO = 2;
+
+// Sides within this fraction of each other count as square
+const SQUARE_TOLERANCE = 0.02;
+
+// Most used tags offered in the filter panel
+const TAG_FACET_LIMIT = 30;
+
+// Metadata of the items in a page, which is what the gallery renders
+const GALLERY_METADATA_FIELDS = [
+  'thumbnailId', 'renditionSizes', 'width', 'height', 'resolution', 'duration',
+  'tags', 'favorite', 'rating', 'flag', 'captureOffset', 'missing'
+];
+
+/**
+ * Split a name into the lower-cased words it is searched by: runs of letters
+ * or digits, so "IMG_20230101.jpg" has the words img, 20230101 and jpg
+ * @param {string} name - File name or search text
+ * @returns {string[]} - Distinct words
+ */
+function toNameWords(name) {
+  return [...new Set(String(name || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+function pick(object, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (object[key] !== undefined) picked[key] = object[key];
+  });
+  return picked;
+}
+
+/**
+ * The `media` collection is a denormalized copy of the GridFS file documents,
+ * one entry per media file with the same _id. It carries the fields the
+ * gallery sorts and filters on as indexed top-level fields, so listing pages
+ * never touches mediaFiles.files. GridFS stays the source of truth: every
+ * metadata write in MediaService re-syncs the entry.
+ */
+class CatalogService {
+  constructor() {
+    this.version = 0; // Bumped on every change, for caches of what is derived from the media
+  }
+
+  _collection() {
+    return mongodb.getDb().collection('media');
+  }
+
+  /**
+   * Create indexes and rebuild the catalog if it is out of step with GridFS
+   */
+  async init() {
+    const media = this._collection();
+    await media.createIndex({ captureDate: -1, _id: -1 });
+    await media.createIndex({ type: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ tags: 1 });
+    await media.createIndex({ fileHash: 1 }, { sparse: true });
+
+    // Search filters
+    await media.createIndex({ extension: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ cameraMake: 1, cameraModel: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ orientation: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ hasGps: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ archived: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ favorite: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ rating: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ flag: 1, captureDate: -1, _id: -1 });
+    await media.createIndex({ size: 1 });
+    await media.createIndex({ name: 1 });
+    await media.createIndex({ nameWords: 1 });
+
+    // The trash, newest first
+    await media.createIndex({ trashedAt: -1 }, { partialFilterExpression: { trashedAt: { $type: 'date' } } });
+
+    const [catalogCount, fileCount, outdated] = await Promise.all([
+      media.estimatedDocumentCount(),
+      mongodb.getDb().collection('mediaFiles.files').countDocuments({ 'metadata.isThumb': { $ne: true } }),
+      // Entries written before the search fields, the archive, ratings, capture offsets, name words
+      // or duplicate marks existed
+      media.findOne(
+        {
+          $or: [
+            { orientation: { $exists: false } },
+            { archived: { $exists: false } },
+            { rating: { $exists: false } },
+            { captureOffset: { $exists: false } },
+            { nameWords: { $exists: false } },
+            { duplicateOf: { $exists: false } }
+          ]
+        },
+        { projection: { _id: 1 } }
+      )
+    ]);
+
+    if (catalogCount !== fileCount || outdated) {
+      console.log(`Media catalog has ${catalogCount} entries for ${fileCount} files, rebuilding`);
+      await this.rebuild();
+    }
+  }
+
+  /**
+   * Copy the current state of a GridFS file into the catalog, or drop its
+   * entry if the file no longer exists
+   * @param {string|ObjectId} id - Media ID
+   */
+  async syncMedia(id) {
+    const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+    const file = await mongodb.getDb().collection('mediaFiles.files').findOne({ _id: objectId });
+
+    if (!file) {
+      await this.removeMedia(objectId);
+      return;
+    }
+
+    await this._collection().replaceOne({ _id: objectId }, this._toEntry(file), { upsert: true });
+    this.version++;
+  }
+
+  /**
+   * Drop the catalog entry of a deleted file
+   * @param {string|ObjectId} id - Media ID
+   */
+  async removeMedia(id) {
+    const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+    await this._collection().deleteOne({ _id: objectId });
+    this.version++;
+  }
+
+  /**
+   * Recreate every catalog entry from GridFS and remove entries of files that are gone
+   * @returns {Promise<Object>} - Counts of synced and removed entries
+   */
+  async rebuild() {
+    const media = this._collection();
+    const startedAt = new Date();
+    let synced = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length > 0) {
+        await media.bulkWrite(batch, { ordered: false });
+        synced += batch.length;
+        batch = [];
+      }
+    };
+
+    const cursor = mongodb.getDb().collection('mediaFiles.files').find({ 'metadata.isThumb': { $ne: true } });
+    for await (const file of cursor) {
+      batch.push({
+        replaceOne: { filter: { _id: file._id }, replacement: this._toEntry(file), upsert: true }
+      });
+      if (batch.length >= REBUILD_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    // Everything not touched by this rebuild belongs to a deleted file
+    const { deletedCount } = await media.deleteMany({ syncedAt: { $lt: startedAt } });
+    this.version++;
+
+    console.log(`Media catalog rebuilt: ${synced} entries synced, ${deletedCount} removed`);
+    return { synced, removed: deletedCount };
+  }
+
+  /**
+   * Fetch one page of the gallery, newest capture date first. Pages are
+   * addressed by a cursor on (captureDate, _id) instead of an offset, so
+   * deep pages are as fast as the first and items never shift between pages.
+   * @param {Object} options - filters (see parseFilters), cursor, direction ('next' or 'prev'),
+   *   page size, wholeDays to extend the page to the end of its boundary day, the local day of capture,
+   *   and includeTotal to count every match, which costs a scan of the filtered catalog
+   * @returns {Promise<Object>} - Media items, cursors of the neighbouring pages and the total count (or null)
+   */
+  async getPage({ filters = {}, cursor = null, direction = 'next', limit = 100, wholeDays = false, includeTotal = false } = {}) {
+    const pageSize = Math.max(1, Math.min(MAX_PAGE_SIZE, limit));
+    const backwards = direction === 'prev';
+    const filter = this._buildQuery(filters);
+
+    let query = filter;
+    if (cursor) {
+      const { captureDate, id } = this.decodeCursor(cursor);
+      query = { $and: [filter, { $or: this._beyond({ captureDate, _id: id }, backwards) }] };
+    }
+
+    const order = backwards ? 1 : -1;
+    const [entries, total] = await Promise.all([
+      this._collection()
+        .find(query)
+        .sort({ captureDate: order, _id: order })
+        .limit(pageSize + 1) // One extra to tell whether there is another page
+        .toArray(),
+      includeTotal ? this._collection().countDocuments(filter) : null
+    ]);
+
+    let hasMore = entries.length > pageSize;
+    const page = entries.slice(0, pageSize);
+
+    // Pull in the rest of the boundary day so a date section never spans two pages
+    if (wholeDays && hasMore) {
+      const boundary = page[page.length - 1];
+      const dayStart = this._localDayStart(boundary);
+      const sameDay = backwards
+        ? { $lt: new Date(dayStart.getTime() + DAY_MS) }
+        : { $gte: dayStart };
+
+      const rest = await this._collection()
+        .find({ $and: [filter, { captureDate: sameDay }, { $or: this._beyond(boundary, backwards) }] })
+        .sort({ captureDate: order, _id: order })
+        .toArray();
+
+      if (rest.length > 0) {
+        page.push(...rest);
+        const beyond = await this._collection().findOne(
+          { $and: [filter, { $or: this._beyond(page[page.length - 1], backwards) }] },
+          { projection: { _id: 1 } }
+        );
+        hasMore = beyond !== null;
+      }
+    }
+
+    if (backwards) {
+      page.reverse();
+    }
+
+    const first = page[0];
+    const last = page[page.length - 1];
+
+    // Coming from a cursor there is always something on the side we came from
+    const hasNewer = backwards ? hasMore : Boolean(cursor);
+    const hasOlder = backwards ? Boolean(cursor) : hasMore;
+
+    return {
+      items: page.map(entry => this.toMediaItem(entry)),
+      nextCursor: hasOlder && last ? this.encodeCursor(last) : null,
+      prevCursor: hasNewer && first ? this.encodeCursor(first) : null,
+      total,
+      limit: pageSize
+    };
+  }
+
+  /**
+   * Count media per year and month of capture, newest first. Every month
+   * carries a cursor that opens the gallery at its newest item.
+   * @param {Object} filters - Search filters, see parseFilters
+   * @returns {Promise<Object[]>} - Years with their total and months
+   */
+  async getTimeline(filters = {}) {
+    // Months are those of the local time of capture, as in the gallery's date sections
+    const localDate = {
+      $add: ['$captureDate', { $multiply: [{ $ifNull: ['$captureOffset', 0] }, 60 * 1000] }]
+    };
+    const buckets = await this._collection().aggregate([
+      { $match: this._buildQuery(filters) },
+      {
+        $group: {
+          _id: { year: { $year: localDate }, month: { $month: localDate } },
+          count: { $sum: 1 },
+          newest: { $max: '$captureDate' }
+        }
+      },
+      { $sort: { '_id.year': -1, '_id.month': -1 } }
+    ]).toArray();
+
+    const years = [];
+    buckets.forEach(({ _id: { year, month }, count, newest }) => {
+      let entry = years[years.length - 1];
+      if (!entry || entry.year !== year) {
+        entry = { year, count: 0, months: [] };
+        years.push(entry);
+      }
+      entry.count += count;
+      entry.months.push({
+        month,
+        count,
+        // Everything from the newest item of the month on, which includes it
+        cursor: this.encodeCursor({
+          captureDate: newest,
+          _id: new ObjectId('ffffffffffffffffffffffff')
+        })
+      });
+    });
+
+    return years;
+  }
+
+  /**
+   * Count the media matching the filters for every option of the filter
+   * panel. Each facet ignores its own filter, so the counts show what
+   * choosing another option would give. Tags are the exception: they narrow
+   * down together, so their counts are within the current selection.
+   * @param {Object} filters - Search filters, see parseFilters
+   * @returns {Promise<Object>} - Counts per option and the ranges of dates and sizes
+   */
+  async getFacets(filters = {}) {
+    const media = this._collection();
+    const countBy = (key, ...ignored) => media.aggregate([
+      { $match: this._buildQuery(filters, ignored) },
+      { $group: { _id: key, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]).toArray();
+
+    const [types, extensions, cameras, orientations, gps, archived, favorites, ratings, flags, tags, ranges] = await Promise.all([
+      countBy('$type', 'type'),
+      countBy('$extension', 'extensions'),
+      countBy({ make: '$cameraMake', model: '$cameraModel' }, 'make', 'model'),
+      countBy('$orientation', 'orientations'),
+      countBy('$hasGps', 'hasGps'),
+      countBy('$archived', 'archived'),
+      countBy('$favorite', 'favorite'),
+      countBy('$rating', 'minRating'),
+      countBy('$flag', 'flags'),
+      media.aggregate([
+        { $match: this._buildQuery(filters) },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: TAG_FACET_LIMIT }
+      ]).toArray(),
+      media.aggregate([
+        { $match: this._buildQuery(filters, ['from', 'to', 'minSize', 'maxSize']) },
+        {
+          $group: {
+            _id: null,
+            firstCapture: { $min: '$captureDate' },
+            lastCapture: { $max: '$captureDate' },
+            minSize: { $min: '$size' },
+            maxSize: { $max: '$size' }
+          }
+        }
+      ]).toArray()
+    ]);
+
+    const options = buckets => buckets
+      .filter(bucket => bucket._id !== null)
+      .map(bucket => ({ value: bucket._id, count: bucket.count }));
+    const range = ranges[0] || {};
+
+    return {
+      total: await media.countDocuments(this._buildQuery(filters)),
+      types: options(types),
+      extensions: options(extensions),
+      cameras: cameras
+        .filter(bucket => bucket._id.make || bucket._id.model)
+        .map(bucket => ({ make: bucket._id.make, model: bucket._id.model, count: bucket.count })),
+      orientations: options(orientations),
+      tags: options(tags),
+      gps: {
+        with: (gps.find(bucket => bucket._id === true) || { count: 0 }).count,
+        without: (gps.find(bucket => bucket._id === false) || { count: 0 }).count
+      },
+      archived: (archived.find(bucket => bucket._id === true) || { count: 0 }).count,
+      favorites: (favorites.find(bucket => bucket._id === true) || { count: 0 }).count,
+      ratings: options(ratings).sort((a, b) => b.value - a.value),
+      flags: flags.map(bucket => ({ value: bucket._id || 'none', count: bucket.count })),
+      captureDates: { first: range.firstCapture || null, last: range.lastCapture || null },
+      sizes: { min: range.minSize || 0, max: range.maxSize || 0 }
+    };
+  }
+
+  /**
+   * Read search filters from query string parameters:
+   * type, from and to (ISO dates, a plain date includes that whole day),
+   * ext (comma separated), make, model, minSize and maxSize (bytes),
+   * orientation (comma separated), gps (true or false), tag (comma separated,
+   * all of them must be present), q (the start of words in the name),
+   * archived (true to list the archive instead of the rest of the library),
+   * favorite (true), minRating (1 to 5 stars) and flag (comma separated:
+   * pick, reject, none)
+   * @param {Object} query - Query string parameters
+   * @returns {Object} - Filters for getPage, getTimeline and getFacets
+   */
+  parseFilters(query = {}) {
+    const filters = {};
+    const invalid = message => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+    const list = value => String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+    if (query.type) {
+      if (!MEDIA_TYPES.includes(query.type)) {
+        throw invalid(`Unknown media type: ${query.type}`);
+      }
+      filters.type = query.type;
+    }
+
+    for (const key of ['from', 'to']) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        throw invalid(`${key} must be a date`);
+      }
+      // A date without a time covers the whole day
+      filters[key] = key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)
+        ? new Date(date.getTime() + DAY_MS)
+        : date;
+    }
+
+    if (query.ext) {
+      filters.extensions = list(query.ext).map(ext => ext.replace(/^\./, ''));
+    }
+
+    if (query.make) filters.make = String(query.make);
+    if (query.model) filters.model = String(query.model);
+
+    for (const key of ['minSize', 'maxSize']) {
+      if (query[key] === undefined || query[key] === '') continue;
+      const size = Number(query[key]);
+      if (!Number.isFinite(size) || size < 0) {
+        throw invalid(`${key} must be a number of bytes`);
+      }
+      filters[key] = size;
+    }
+
+    if (query.orientation) {
+      filters.orientations = list(query.orientation);
+      const unknown = filters.orientations.find(value => !ORIENTATIONS.includes(value));
+      if (unknown) {
+        throw invalid(`Unknown orientation: ${unknown}`);
+      }
+    }
+
+    if (query.gps !== undefined && query.gps !== '') {
+      if (query.gps !== 'true' && query.gps !== 'false') {
+        throw invalid('gps must be true or false');
+      }
+      filters.hasGps = query.gps === 'true';
+    }
+
+    if (query.tag) {
+      filters.tags = normalizeTags(String(query.tag).split(','));
+    }
+
+    if (query.q && String(query.q).trim()) {
+      filters.text = String(query.q).trim();
+    }
+
+    if (query.favorite !== undefined && query.favorite !== '') {
+      if (query.favorite !== 'true') {
+        throw invalid('favorite must be true');
+      }
+      filters.favorite = true;
+    }
+
+    if (query.minRating !== undefined && query.minRating !== '') {
+      const rating = Number(query.minRating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > MAX_RATING) {
+        throw invalid(`minRating must be a whole number from 1 to ${MAX_RATING}`);
+      }
+      filters.minRating = rating;
+    }
+
+    if (query.flag) {
+      filters.flags = list(query.flag);
+      const unknown = filters.flags.find(value => !FLAGS.includes(value));
+      if (unknown) {
+        throw invalid(`Unknown flag: ${unknown}`);
+      }
+    }
+
+    if (query.archived !== undefined && query.archived !== '') {
+      if (query.archived !== 'true' && query.archived !== 'false') {
+        throw invalid('archived must be true or false');
+      }
+      filters.archived = query.archived === 'true';
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build the catalog query for a set of filters
+   * @param {Object} filters - Filters from parseFilters
+   * @param {string[]} ignored - Filter keys to leave out, for facet counts
+   * @returns {Object} - MongoDB query
+   */
+  _buildQuery(filters = {}, ignored = []) {
+    const active = key => filters[key] !== undefined && filters[key] !== null && !ignored.includes(key);
+    // Trashed media is only listed in the trash, and copies the hash backfill found are never listed
+    const query = { trashedAt: null, duplicateOf: null };
+
+    // Archived media is kept out of the library unless the archive is asked for
+    if (!ignored.includes('archived')) {
+      query.archived = filters.archived === true;
+    }
+
+    if (active('type')) query.type = filters.type;
+
+    if (active('from') || active('to')) {
+      query.captureDate = {};
+      if (active('from')) query.captureDate.$gte = filters.from;
+      if (active('to')) query.captureDate.$lt = filters.to;
+    }
+
+    if (active('extensions') && filters.extensions.length > 0) {
+      query.extension = { $in: filters.extensions };
+    }
+    if (active('make')) query.cameraMake = filters.make;
+    if (active('model')) query.cameraModel = filters.model;
+
+    if (active('minSize') || active('maxSize')) {
+      query.size = {};
+      if (active('minSize')) query.size.$gte = filters.minSize;
+      if (active('maxSize')) query.size.$lte = filters.maxSize;
+    }
+
+    if (active('orientations') && filters.orientations.length > 0) {
+      query.orientation = { $in: filters.orientations };
+    }
+    if (active('hasGps')) query.hasGps = filters.hasGps;
+
+    if (active('tags') && filters.tags.length > 0) {
+      query.tags = { $all: filters.tags };
+    }
+
+    if (active('favorite')) query.favorite = true;
+    if (active('minRating')) query.rating = { $gte: filters.minRating };
+    if (active('flags') && filters.flags.length > 0) {
+      query.flag = { $in: filters.flags.map(flag => (flag === 'none' ? null : flag)) };
+    }
+
+    // Every word of the text starts a word of the name, which the nameWords index answers
+    if (active('text')) {
+      const words = toNameWords(filters.text);
+      if (words.length > 0) {
+        query.nameWords = { $all: words.map(word => new RegExp(`^${word}`)) };
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * First instant of the day an entry was captured on, in the zone it was
+   * captured in. Entries without a known offset count in UTC.
+   * @param {Object} entry - Catalog entry
+   * @returns {Date} - Local midnight of the capture day, as a UTC instant
+   */
+  _localDayStart(entry) {
+    const offsetMs = (entry.captureOffset || 0) * 60 * 1000;
+    const local = new Date(entry.captureDate.getTime() + offsetMs);
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offsetMs);
+  }
+
+  /**
+   * Query for the entries past a sort position
+   * @param {Object} position - captureDate and _id
+   * @param {boolean} newer - True for newer entries, false for older ones
+   * @returns {Object[]} - Conditions for $or
+   */
+  _beyond(position, newer) {
+    // Older means an earlier date, or the same date and a lower _id
+    const op = newer ? '$gt' : '$lt';
+    return [
+      { captureDate: { [op]: position.captureDate } },
+      { captureDate: position.captureDate, _id: { [op]: position._id } }
+    ];
+  }
+
+  /**
+   * Encode the sort position of a catalog entry as an opaque cursor
+   * @param {Object} entry - Catalog entry
+   * @returns {string} - URL safe cursor
+   */
+  encodeCursor(entry) {
+    const position = { d: entry.captureDate.toISOString(), i: entry._id.toString() };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor created by encodeCursor
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {Object} - captureDate and id of the position
+   */
+  decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      const captureDate = new Date(position.d);
+      if (Number.isNaN(captureDate.getTime()) || !ObjectId.isValid(position.i)) {
+        throw new Error('bad position');
+      }
+      return { captureDate, id: new ObjectId(position.i) };
+    } catch (err) {
+      const error = new Error('Invalid cursor');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Get one media item with all of its metadata, for the viewer
+   * @param {string} id - Media ID
+   * @returns {Promise<Object|null>} - Media item, or null if it doesn't exist
+   */
+  async getItem(id) {
+    if (!ObjectId.isValid(id)) {
+      return null;
+    }
+    const entry = await this._collection().findOne({ _id: new ObjectId(id) });
+    return entry ? this.toMediaItem(entry, { full: true }) : null;
+  }
+
+  /**
+   * Convert a catalog entry into the item format the gallery renders,
+   * including the file info it used to request separately
+   * @param {Object} entry - Catalog entry
+   * @param {Object} options - full to include all metadata, such as EXIF and the date history,
+   *   instead of only what the gallery shows
+   * @returns {Object} - Media item
+   */
+  toMediaItem(entry, { full = false } = {}) {
+    const id = entry._id.toString();
+    const metadata = full ? { ...entry.metadata } : pick(entry.metadata || {}, GALLERY_METADATA_FIELDS);
+    if (entry.width && entry.height) {
+      metadata.originalWidth = entry.width;
+      metadata.originalHeight = entry.height;
+    }
+
+    return {
+      id,
+      name: entry.name,
+      path: `/${id}`,
+      thumbnailPath: entry.thumbnailId ? `/${entry.thumbnailId}` : null,
+      thumbnailId: entry.thumbnailId,
+      type: entry.type,
+      mimeType: entry.mimeType,
+      size: entry.size,
+      modified: entry.uploadDate,
+      created: entry.captureDate,
+      captureOffset: entry.captureOffset,
+      fileHash: entry.fileHash,
+      tags: entry.tags,
+      metadata,
+      fileInfo: {
+        id,
+        filename: entry.filename,
+        contentType: entry.mimeType,
+        size: entry.size,
+        uploadDate: entry.uploadDate,
+        ...(full ? { metadata } : {})
+      }
+    };
+  }
+
+  /**
+   * Build the catalog entry of a GridFS file document
+   * @param {Object} file - Document from mediaFiles.files
+   * @returns {Object} - Catalog entry without _id
+   */
+  _toEntry(file) {
+    const metadata = file.metadata || {};
+    const exif = metadata.exif || {};
+    const contentType = file.contentType || 'application/octet-stream';
+    const dimensions = this._getDimensions(file);
+    const name = metadata.originalName || file.filename;
+
+    return {
+      name,
+      nameWords: toNameWords(name),
+      filename: file.filename,
+      type: this._getType(contentType),
+      mimeType: contentType,
+      size: file.length,
+      uploadDate: file.uploadDate,
+      captureDate: this._getCaptureDate(file),
+      captureOffset: Number.isInteger(metadata.captureOffset) ? metadata.captureOffset : null,
+      width: dimensions ? dimensions.width : null,
+      height: dimensions ? dimensions.height : null,
+      orientation: this._getOrientation(dimensions),
+      extension: path.extname(name).slice(1).toLowerCase() || null,
+      cameraMake: exif.make ? String(exif.make).trim() : null,
+      cameraModel: exif.model ? String(exif.model).trim() : null,
+      hasGps: exif.gpsLatitude !== undefined && exif.gpsLongitude !== undefined,
+      duration: metadata.duration || null,
+      thumbnailId: metadata.thumbnailId || null,
+      renditionSizes: metadata.renditionSizes || [],
+      fileHash: metadata.fileHash || null,
+      tags: metadata.tags || [],
+      path: metadata.path || null,
+      missing: metadata.missing === true,
+      trashedAt: metadata.trashedAt || null,
+      duplicateOf: metadata.duplicateOf || null,
+      archived: metadata.archived === true,
+      favorite: metadata.favorite === true,
+      rating: metadata.rating || 0,
+      flag: metadata.flag || null,
+      metadata,
+      syncedAt: new Date()
+    };
+  }
+
+  _getType(contentType) {
+    if (contentType.startsWith('image/')) return 'image';
+    if (contentType.startsWith('video/')) return 'video';
+    return 'document';
+  }
+
+  _getDimensions(file) {
+    const metadata = file.metadata || {};
+    if (metadata.width && metadata.height) {
+      return { width: metadata.width, height: metadata.height };
+    }
+
+    const exif = metadata.exif || {};
+    if (exif.imageWidth && exif.imageHeight) {
+      return { width: exif.imageWidth, height: exif.imageHeight };
+    }
+    if (exif.PixelXDimension && exif.PixelYDimension) {
+      return { width: exif.PixelXDimension, height: exif.PixelYDimension };
+    }
+    return null;
+  }
+
+  _getOrientation(dimensions) {
+    if (!dimensions) return null;
+
+    const { width, height } = dimensions;
+    const ratio = Math.max(width, height) / Math.min(width, height);
+    if (ratio >= PANORAMA_RATIO) return 'panorama';
+    if (ratio - 1 <= SQUARE_TOLERANCE) return 'square';
+    return width > height ? 'landscape' : 'portrait';
+  }
+
+  /**
+   * When the picture was taken, falling back to when the file was stored.
+   * Files stored before capture times were derived use their old date fields.
+   * @param {Object} file - Document from mediaFiles.files
+   * @returns {Date} - Capture date
+   */
+  _getCaptureDate(file) {
+    const metadata = file.metadata || {};
+    const candidates = [
+      metadata.captureTime,
+      metadata.createdAt,
+      metadata.dateTimeOriginal,
+      metadata.dateCreated,
+      metadata.gpsDateTime
+    ];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const date = new Date(candidate);
+      if (!Number.isNaN(date.getTime())) {
+        return date;
+      }
+    }
+    return file.uploadDate;
+  }
+}
+
+module.exports = new CatalogService();
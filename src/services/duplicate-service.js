@@ -0,0 +1,191 @@
+'use strict';
+
+const sharp = require('sharp');
+const mongodb = require('../db/mongodb');
+const mediaService = require('./media-service');
+const catalogService = require('./catalog-service');
+const {
+  computeDHash,
+  hammingDistance,
+  BKTree,
+  PERCEPTUAL_HASH_ALGORITHM
+} = require('../utils/perceptual-hash');
+
+// Hashes differing in at most this many of 64 bits are treated as the same picture
+const DEFAULT_THRESHOLD = 10;
+const MAX_THRESHOLD = 20;
+
+class DuplicateService {
+  constructor() {
+    this._backfill = null; // Promise of the running backfill, if any
+    this._hashIndex = null; // Perceptual hashes as of a catalog version, see _getHashIndex
+  }
+
+  /**
+   * Group images whose perceptual hashes are within a Hamming distance. The
+   * best copy of a group is its centre, and every other image in it is within
+   * the distance of that copy, so similar pairs don't chain into one group.
+   * @param {number} threshold - Largest Hamming distance between an image and the best copy of its group
+   * @returns {Promise<Object[]>} - Groups of similar images, best copy first
+   */
+  async findSimilarImages(threshold = DEFAULT_THRESHOLD) {
+    const maxDistance = Math.max(0, Math.min(MAX_THRESHOLD, threshold));
+    const { entries, tree } = await this._getHashIndex();
+
+    // Best copies first, so each group forms around the best image not taken yet
+    const order = entries.map((entry, index) => index)
+      .sort((a, b) => this._compareQuality(entries[b].quality, entries[a].quality));
+    const assigned = new Uint8Array(entries.length);
+    const clusters = [];
+
+    order.forEach(index => {
+      if (assigned[index]) return;
+      assigned[index] = 1;
+
+      const members = [index];
+      tree.search(entries[index].hash, maxDistance).forEach(match => {
+        if (!assigned[match.value]) {
+          assigned[match.value] = 1;
+          members.push(match.value);
+        }
+      });
+      if (members.length > 1) clusters.push(members);
+    });
+
+    // Only the images in a group are loaded in full
+    const ids = clusters.flat().map(index => entries[index].id);
+    const files = await mongodb.getDb().collection('mediaFiles.files')
+      .find({ _id: { $in: ids } })
+      .toArray();
+    const itemsById = new Map();
+    files.forEach(file => {
+      const item = mediaService._processMongoFile(file);
+      if (item) itemsById.set(item.id, item);
+    });
+
+    const groups = [];
+    clusters.forEach(cluster => {
+      const members = cluster
+        .map(index => itemsById.get(entries[index].id.toString()))
+        .filter(Boolean);
+      if (members.length < 2) return;
+
+      members.sort((a, b) => this._compareQuality(this._quality(b), this._quality(a)));
+      const best = members[0];
+
+      groups.push({
+        bestId: best.id,
+        items: members.map(item => ({
+          ...item,
+          distance: this._distance(best, item)
+        }))
+      });
+    });
+
+    // Largest groups first
+    groups.sort((a, b) => b.items.length - a.items.length);
+    return groups;
+  }
+
+  /**
+   * Perceptual hashes of the library in a BK-tree, kept until the catalog changes
+   * @returns {Promise<Object>} - entries with the id, hash and quality of each image, and
+   *   the tree with the entry indexes as values
+   */
+  async _getHashIndex() {
+    const version = catalogService.version;
+    if (this._hashIndex && this._hashIndex.version === version) {
+      return this._hashIndex;
+    }
+
+    const cursor = mongodb.getDb().collection('mediaFiles.files').find({
+      'metadata.perceptualHash': { $type: 'string' },
+      'metadata.perceptualHashAlgorithm': PERCEPTUAL_HASH_ALGORITHM,
+      'metadata.trashedAt': null,
+      'metadata.isThumb': { $ne: true }
+    }, {
+      projection: { length: 1, 'metadata.perceptualHash': 1, 'metadata.width': 1, 'metadata.height': 1 }
+    });
+
+    const entries = [];
+    const tree = new BKTree();
+    for await (const file of cursor) {
+      tree.add(file.metadata.perceptualHash, entries.length);
+      entries.push({
+        id: file._id,
+        hash: file.metadata.perceptualHash,
+        quality: this._quality({ metadata: file.metadata, size: file.length })
+      });
+    }
+
+    this._hashIndex = { version, entries, tree };
+    return this._hashIndex;
+  }
+
+  /**
+   * Compute perceptual hashes for images uploaded before they were stored
+   * @returns {Promise<Object>} - Counts of hashed and failed images
+   */
+  async backfillPerceptualHashes() {
+    if (this._backfill) {
+      return this._backfill;
+    }
+
+    this._backfill = this._runBackfill().finally(() => {
+      this._backfill = null;
+    });
+    return this._backfill;
+  }
+
+  async _runBackfill() {
+    const result = { hashed: 0, failed: 0 };
+
+    const cursor = mongodb.getDb().collection('mediaFiles.files').find({
+      contentType: { $regex: '^image/' },
+      'metadata.perceptualHashAlgorithm': { $ne: PERCEPTUAL_HASH_ALGORITHM }
+    }, { projection: { _id: 1 } });
+
+    for await (const file of cursor) {
+      try {
+        const perceptualHash = await computeDHash(mediaService.pipeStoredFile(file._id, sharp()));
+        await mediaService.updateMediaMetadata(file._id, {
+          perceptualHash,
+          perceptualHashAlgorithm: PERCEPTUAL_HASH_ALGORITHM
+        });
+        result.hashed++;
+      } catch (err) {
+        console.error(`Failed to compute perceptual hash for ${file._id}:`, err.message);
+        result.failed++;
+      }
+    }
+
+    console.log(`Perceptual hash backfill finished: ${result.hashed} hashed, ${result.failed} failed`);
+    return result;
+  }
+
+  /**
+   * What copies of the same picture are ranked by, see _compareQuality
+   * @param {Object} item - Media item
+   * @returns {Object} - pixels and size
+   */
+  _quality(item) {
+    return {
+      pixels: (item.metadata.width || 0) * (item.metadata.height || 0),
+      size: item.size || 0
+    };
+  }
+
+  /**
+   * Rank copies of the same picture: more pixels wins, then the larger file
+   * @returns {number} - Positive if a is better than b, negative if worse
+   */
+  _compareQuality(a, b) {
+    return a.pixels - b.pixels || a.size - b.size;
+  }
+
+  _distance(a, b) {
+    return hammingDistance(a.metadata.perceptualHash, b.metadata.perceptualHash);
+  }
+}
+
+module.exports = new DuplicateService();
@@ -0,0 +1,44 @@
+'use strict';
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The browser's EXIF parser, an ES module the server loads as is
+const EXIF_PARSER_PATH = path.join(__dirname, '../../public/js/utils/exif-parser.js');
+
+/**
+ * EXIF extraction on the server. It runs the same parser the upload page uses
+ * on the stored file, so media gets its metadata however it was imported, and
+ * what the server reads replaces what an uploader claims.
+ */
+class ExifService {
+  constructor() {
+    this._parser = null; // Promise of the loaded parser module
+  }
+
+  /**
+   * Extract the EXIF metadata of an image
+   * @param {Buffer} exif - EXIF block from sharp's metadata(), starting with "Exif\0\0" or the TIFF header
+   * @returns {Promise<Object>} - Metadata in the form the browser extracts it, with hasExif false without EXIF data
+   */
+  async parse(exif) {
+    if (!Buffer.isBuffer(exif) || exif.length === 0) {
+      return { hasExif: false };
+    }
+
+    const { parseExifBlock } = await this._loadParser();
+    return parseExifBlock(exif);
+  }
+
+  _loadParser() {
+    if (!this._parser) {
+      this._parser = import(pathToFileURL(EXIF_PARSER_PATH).href).catch(err => {
+        this._parser = null;
+        throw err;
+      });
+    }
+    return this._parser;
+  }
+}
+
+module.exports = new ExifService();
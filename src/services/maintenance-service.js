@@ -0,0 +1,237 @@
+'use strict';
+
+const mongodb = require('../db/mongodb');
+const mediaService = require('./media-service');
+const videoService = require('./video-service');
+
+// GridFS writes the files document after the last chunk, so a large upload in
+// progress looks orphaned. Anything younger than this is left alone.
+const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+class MaintenanceService {
+  constructor() {
+    this.currentRun = null; // Promise of the run in progress, if any
+    this.progress = null; // Progress of the current or last run
+  }
+
+  /**
+   * Start a maintenance run in the background. A run that is already in
+   * progress is reported instead of starting a second one.
+   * @param {Object} options - dryRun: only count what would be changed
+   * @returns {Object} - Progress of the run
+   */
+  start({ dryRun = false } = {}) {
+    if (!this.currentRun) {
+      this.progress = {
+        dryRun,
+        phase: 'starting',
+        processed: 0,
+        total: 0,
+        startedAt: new Date(),
+        finishedAt: null,
+        result: {
+          thumbnailsRegenerated: 0,
+          thumbnailsFailed: 0,
+          thumbnailsSkipped: 0,
+          orphanThumbnails: 0,
+          orphanChunks: 0
+        },
+        error: null
+      };
+
+      this.currentRun = this._run(this.progress)
+        .catch(err => {
+          console.error('Maintenance run failed:', err);
+          this.progress.error = err.message;
+        })
+        .finally(() => {
+          this.progress.phase = 'finished';
+          this.progress.finishedAt = new Date();
+          this.currentRun = null;
+        });
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Get the progress of the current or last maintenance run
+   * @returns {Object} - Maintenance status
+   */
+  getStatus() {
+    return {
+      running: this.currentRun !== null,
+      progress: this.progress
+    };
+  }
+
+  async _run(progress) {
+    await this._regenerateMissingThumbnails(progress);
+    await this._removeOrphanThumbnails(progress);
+    await this._removeOrphanChunks(progress, 'mediaFiles');
+    await this._removeOrphanChunks(progress, 'thumbnails');
+
+    const { result } = progress;
+    console.log(`Maintenance finished: ${result.thumbnailsRegenerated} thumbnails regenerated, ` +
+      `${result.thumbnailsFailed} failed, ${result.orphanThumbnails} orphan thumbnails and ` +
+      `${result.orphanChunks} orphan chunks ${progress.dryRun ? 'found' : 'removed'}`);
+  }
+
+  _setPhase(progress, phase, total) {
+    progress.phase = phase;
+    progress.processed = 0;
+    progress.total = total;
+  }
+
+  /**
+   * Create thumbnails for images and videos that have none, or whose
+   * thumbnailId points at a thumbnail that no longer exists
+   */
+  async _regenerateMissingThumbnails(progress) {
+    const db = mongodb.getDb();
+    const thumbnailIds = await this._collectFileIds(db.collection('thumbnails.files'));
+
+    const candidates = await db.collection('mediaFiles.files')
+      .find({ contentType: { $regex: '^(image|video)/' } }, { projection: { 'metadata.thumbnailId': 1 } })
+      .toArray();
+    const missing = candidates.filter(file => {
+      const thumbnailId = file.metadata && file.metadata.thumbnailId;
+      return !thumbnailId || !thumbnailIds.has(String(thumbnailId));
+    });
+
+    this._setPhase(progress, 'thumbnails', missing.length);
+    const canExtractFrames = await videoService.isFfmpegAvailable();
+
+    for (const { _id } of missing) {
+      // Read the full document now, the upload pipeline may have finished meanwhile
+      const file = await db.collection('mediaFiles.files').findOne({ _id });
+      progress.processed++;
+      if (!file) {
+        continue;
+      }
+
+      const metadata = file.metadata || {};
+      const fileType = mediaService._getMediaTypeFromMime(file.contentType);
+
+      if (fileType === 'video' && !canExtractFrames) {
+        progress.result.thumbnailsSkipped++;
+        continue;
+      }
+
+      if (progress.dryRun) {
+        progress.result.thumbnailsRegenerated++;
+        continue;
+      }
+
+      const fileResolution = metadata.width && metadata.height
+        ? { width: metadata.width, height: metadata.height }
+        : null;
+      const thumbnailId = await mediaService.createThumbnails(
+        file._id,
+        fileType,
+        metadata.originalName || file.filename,
+        metadata,
+        fileResolution
+      );
+
+      if (thumbnailId) {
+        progress.result.thumbnailsRegenerated++;
+      } else {
+        progress.result.thumbnailsFailed++;
+      }
+    }
+  }
+
+  /**
+   * Delete thumbnails and renditions whose media file is gone, and thumbnails
+   * that were replaced by a newer one for the same file
+   */
+  async _removeOrphanThumbnails(progress) {
+    const db = mongodb.getDb();
+    const bucket = mongodb.getThumbnailBucket();
+    const cutoff = new Date(Date.now() - ORPHAN_GRACE_MS);
+
+    const mediaThumbnails = new Map(); // Media ID -> current thumbnail ID
+    const mediaCursor = db.collection('mediaFiles.files').find({}, { projection: { 'metadata.thumbnailId': 1 } });
+    for await (const file of mediaCursor) {
+      mediaThumbnails.set(file._id.toString(), file.metadata && file.metadata.thumbnailId
+        ? String(file.metadata.thumbnailId)
+        : null);
+    }
+
+    const thumbnails = await db.collection('thumbnails.files')
+      .find({ uploadDate: { $lt: cutoff } }, { projection: { _id: 1, metadata: 1 } })
+      .toArray();
+    this._setPhase(progress, 'orphanThumbnails', thumbnails.length);
+
+    for (const thumbnail of thumbnails) {
+      progress.processed++;
+      const metadata = thumbnail.metadata || {};
+      const originalId = metadata.originalId ? String(metadata.originalId) : null;
+
+      let orphaned = !originalId || !mediaThumbnails.has(originalId);
+      if (!orphaned && metadata.type === 'thumbnail') {
+        orphaned = mediaThumbnails.get(originalId) !== thumbnail._id.toString();
+      }
+      if (!orphaned) {
+        continue;
+      }
+
+      try {
+        if (!progress.dryRun) {
+          await bucket.delete(thumbnail._id);
+        }
+        progress.result.orphanThumbnails++;
+      } catch (err) {
+        console.warn(`Failed to delete orphan thumbnail ${thumbnail._id}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Delete GridFS chunks that belong to no file in the bucket
+   * @param {Object} progress - Run progress
+   * @param {string} bucketName - 'mediaFiles' or 'thumbnails'
+   */
+  async _removeOrphanChunks(progress, bucketName) {
+    const db = mongodb.getDb();
+    const chunks = db.collection(`${bucketName}.chunks`);
+    const fileIds = await this._collectFileIds(db.collection(`${bucketName}.files`));
+    const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+    const chunkFileIds = await chunks
+      .aggregate([{ $group: { _id: '$files_id' } }], { allowDiskUse: true })
+      .toArray();
+    this._setPhase(progress, `orphanChunks:${bucketName}`, chunkFileIds.length);
+
+    for (const { _id: filesId } of chunkFileIds) {
+      progress.processed++;
+      if (fileIds.has(String(filesId))) {
+        continue;
+      }
+
+      // Upload streams create the ID when they open, so it dates the upload
+      if (filesId && typeof filesId.getTimestamp === 'function' && filesId.getTimestamp().getTime() > cutoff) {
+        continue;
+      }
+
+      if (progress.dryRun) {
+        progress.result.orphanChunks += await chunks.countDocuments({ files_id: filesId });
+      } else {
+        const { deletedCount } = await chunks.deleteMany({ files_id: filesId });
+        progress.result.orphanChunks += deletedCount;
+      }
+    }
+  }
+
+  async _collectFileIds(collection) {
+    const ids = new Set();
+    const cursor = collection.find({}, { projection: { _id: 1 } });
+    for await (const doc of cursor) {
+      ids.add(doc._id.toString());
+    }
+    return ids;
+  }
+}
+
+module.exports = new MaintenanceService();
@@ -6,17 +6,56 @@ const mime = require('mime-types');
 const crypto = require('crypto');
 const mongodb = require('../db/mongodb');
 const { ObjectId } = require('mongodb');
-const { Readable } = require('stream');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const sharp = require('sharp'); // Add Sharp for image processing
+const { computeDHash, PERCEPTUAL_HASH_ALGORITHM } = require('../utils/perceptual-hash');
+const { extractKeywords, normalizeTags } = require('../utils/tags');
+const { deriveCaptureTime, resolveTimeZone } = require('../utils/capture-time');
+const { readContainerDates } = require('../utils/date-inference');
+const videoService = require('./video-service');
+const thumbnailService = require('./thumbnail-service');
+const exifService = require('./exif-service');
+const catalogService = require('./catalog-service');
+const albumService = require('./album-service');
 
 // Define media types we support
 const SUPPORTED_IMAGE_TYPES = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp'];
 const SUPPORTED_VIDEO_TYPES = ['.mp4', '.webm', '.ogg', '.mov', '.avi', '.mkv'];
 
+// Algorithm used for duplicate detection, stored next to each hash
+const HASH_ALGORITHM = 'sha256';
+
+// Zone of capture dates recorded without an offset, such as EXIF dates of older cameras
+const DEFAULT_TIMEZONE = resolveTimeZone(process.env.DEFAULT_TIMEZONE);
+
+// Fields of a file imported from MEDIA_PATH, set by the scanner and never by uploaders
+const IMPORT_FIELDS = ['path', 'source', 'fileModified'];
+
+// Fields the upload page used to send that files uploaded before were stored with
+const LEGACY_CLIENT_FIELDS = [
+  'exif', 'filename', 'lastModified', 'lastModifiedDate', 'createDate', 'dateCreated',
+  'originalTimestamp', 'size', 'extension', 'uploadedAt'
+];
+
+// Metadata users set on a media file, kept when its content is replaced
+const KEPT_METADATA_FIELDS = [
+  'tags', 'favorite', 'rating', 'flag', 'archived', 'trashedAt',
+  'createdAt', 'createdAtOffset', 'captureHistory', 'clientHints'
+];
+
+// Capture time edits kept per file; the first one, holding the original date, is never dropped
+const CAPTURE_HISTORY_LIMIT = 50;
+
 class MediaService {
   constructor() {
     this.mediaCount = 0; // Track total count in the database
     this._initialized = false; // Track if the service has been initialized
+    this._hashBackfill = null; // Promise of the running hash backfill, if any
+    this._videoBackfill = null; // Promise of the running video metadata backfill, if any
+    this._renditionBackfill = null; // Promise of the running rendition backfill, if any
+    this._captureTimeBackfill = null; // Promise of the running capture time backfill, if any
+    this._exifBackfill = null; // Promise of the running EXIF backfill, if any
   }
 
   async init() {
@@ -26,6 +65,8 @@ class MediaService {
         await mongodb.connect();
       }
       
+      await this.ensureIndexes();
+      
       // Get initial media count
       const count = await this.getMediaCount();
       this.mediaCount = count;
@@ -39,6 +80,30 @@ class MediaService {
     }
   }
 
+  /**
+   * Create the indexes used by metadata lookups
+   */
+  async ensureIndexes() {
+    const files = mongodb.getDb().collection('mediaFiles.files');
+    await files.createIndex({ 'metadata.path': 1 }, { sparse: true });
+    
+    // One stored file per content hash
+    await files.createIndex({ 'metadata.fileHash': 1 }, {
+      unique: true,
+      partialFilterExpression: { 'metadata.fileHash': { $type: 'string' } }
+    });
+    
+    // Thumbnails and renditions are looked up by the file they belong to
+    await mongodb.getDb().collection('thumbnails.files').createIndex({ 'metadata.originalId': 1 });
+    
+    // Content of MEDIA_PATH files deleted for good, which scans leave alone
+    await this._purgedFiles().createIndex({ fileHash: 1 }, { unique: true });
+  }
+
+  _purgedFiles() {
+    return mongodb.getDb().collection('purgedFiles');
+  }
+
   /**
    * Get MongoDB GridFS bucket
    * @returns {GridFSBucket} - MongoDB GridFS bucket
@@ -96,7 +161,8 @@ class MediaService {
       
       // Create a base query that excludes thumbnail files
       let query = {
-        'metadata.isThumb': { $ne: true }
+        'metadata.isThumb': { $ne: true },
+        'metadata.trashedAt': null // Trashed files are only listed in the trash
       };
       
       // Add type filtering if specified
@@ -140,7 +206,8 @@ class MediaService {
       return null;
     }
 
-    const creationDate = metadata.createdAt || 
+    const creationDate = metadata.captureTime ||
+                        metadata.createdAt || 
                         metadata.dateTimeOriginal || 
                         metadata.dateCreated ||
                         metadata.gpsDateTime ||
@@ -164,6 +231,7 @@ class MediaService {
       modified: file.uploadDate,
       created: creationDate,
       fileHash: metadata.fileHash || null,
+      hashAlgorithm: metadata.hashAlgorithm || null,
       metadata: metadata
     };
   }
@@ -183,6 +251,15 @@ class MediaService {
     return 'unknown';
   }
 
+  /**
+   * Check whether a file has one of the supported image or video extensions
+   * @param {string} filename - File name or path
+   * @returns {boolean} - True if the file can be imported
+   */
+  isSupportedMediaFile(filename) {
+    return this._getMediaType(path.extname(filename).toLowerCase()) !== 'unknown';
+  }
+
   async getAllMedia(type = null, page = 1, limit = 50) {
     try {
       const totalCount = await this.getFilteredMediaCount(type);
@@ -209,7 +286,8 @@ class MediaService {
     try {
       // Create base query that excludes thumbnails
       let query = {
-        'metadata.isThumb': { $ne: true }
+        'metadata.isThumb': { $ne: true },
+        'metadata.trashedAt': null // Trashed files are only listed in the trash
       };
       
       // Add type filtering if specified
@@ -257,10 +335,18 @@ class MediaService {
     }
   }
 
+  /**
+   * Import new files from MEDIA_PATH and refresh the media count
+   * @returns {Promise<Object>} - Scan summary with the new total count
+   */
   async refreshMediaLibrary() {
     try {
-      await this.getMediaCount();
-      return { success: true, count: this.mediaCount };
+      // Required here because the scanner imports through this service
+      const scannerService = require('./scanner-service');
+      const scanResult = await scannerService.scan();
+      
+      this.mediaCount = await this.getMediaCount();
+      return { success: true, count: this.mediaCount, ...scanResult };
     } catch (err) {
       console.error('Error refreshing media library:', err);
       throw err;
@@ -347,14 +433,28 @@ class MediaService {
     }
   }
 
-  async uploadMedia(fileObject, originalFilename, metadata = {}) {
+  /**
+   * Store a media file in GridFS and extract its metadata. Whatever metadata
+   * the uploader sends, such as EXIF read in the browser, is only kept as hints
+   * under metadata.clientHints, as the server reads it from the stored file.
+   * @param {Object|Buffer} fileObject - Multipart file with a readable `file` stream, or a buffer
+   * @param {string} originalFilename - Original file name
+   * @param {Object} metadata - Metadata sent by the uploader
+   * @param {Object} importInfo - path (relative to MEDIA_PATH), source and fileModified of a file
+   *   imported from the media directory; only passed by the scanner
+   * @returns {Promise<Object>} - success and fileId, or duplicate with the existing file. Imports
+   *   get purged for content deleted for good, and the duplicate even when it is in the trash.
+   */
+  async uploadMedia(fileObject, originalFilename, metadata = {}, importInfo = {}) {
+    let uploadStream = null;
+    
     try {
-      // Extract the file buffer
-      let buffer;
+      // Accept a multipart file (or any object with a readable `file` stream) or a buffer
+      let sourceStream;
       if (fileObject.file) {
-        buffer = await this._readStreamToBuffer(fileObject.file);
+        sourceStream = fileObject.file;
       } else if (Buffer.isBuffer(fileObject)) {
-        buffer = fileObject;
+        sourceStream = Readable.from([fileObject]);
       } else {
         throw new Error('Invalid file object');
       }
@@ -364,201 +464,675 @@ class MediaService {
       const fileType = contentType.split('/')[0] === 'image' ? 'image' : 
                       contentType.split('/')[0] === 'video' ? 'video' : 'document';
       
-      // Calculate file hash to check for duplicates
-      const fileHash = this.calculateFileHash(buffer);
-      
-      // Check if a file with this hash already exists
-      const existingFile = await this.getMediaByHash(fileHash);
-      if (existingFile) {
-        return { 
-          success: false, 
-          duplicate: existingFile, 
-          message: 'A duplicate file already exists' 
-        };
-      }
-      
-      // Get buckets
       const mediaBucket = this.getBucket();
-      const thumbnailBucket = this.getThumbnailBucket(); // Get separate thumbnail bucket
-      
-      // Extract resolution information based on file type
-      let fileResolution = null;
-
-      if (fileType === 'image') {
-        try {
-          // Extract image dimensions using sharp
-          const imageMetadata = await sharp(buffer).metadata();
-          fileResolution = {
-            width: imageMetadata.width,
-            height: imageMetadata.height
-          };
-          
-          console.log(`Extracted image resolution: ${fileResolution.width}x${fileResolution.height}`);
-        } catch (err) {
-          console.warn('Could not extract image resolution:', err.message);
-        }
-      } else if (fileType === 'video') {
-        // For videos, try to extract resolution from metadata if provided
-        if (metadata.exif && (metadata.exif.width || metadata.exif.imageWidth) && 
-            (metadata.exif.height || metadata.exif.imageHeight)) {
-          fileResolution = {
-            width: metadata.exif.width || metadata.exif.imageWidth,
-            height: metadata.exif.height || metadata.exif.imageHeight
-          };
-        }
-      }
       
-      // Combine resolution data with metadata
       const combinedMetadata = {
         originalName: originalFilename,
         type: fileType,
         uploadDate: new Date(),
-        ...metadata
+        ...this._pickImportFields(importInfo)
       };
-      
-      // Add resolution to metadata if available
-      if (fileResolution) {
-        combinedMetadata.width = fileResolution.width;
-        combinedMetadata.height = fileResolution.height;
-        combinedMetadata.resolution = `${fileResolution.width}x${fileResolution.height}`;
+      if (metadata && Object.keys(metadata).length > 0) {
+        combinedMetadata.clientHints = metadata;
       }
 
-      // Upload file to GridFS
-      let uploadStream = mediaBucket.openUploadStream(originalFilename, {
+      // Pipe the incoming bytes straight into GridFS, hashing them on the way
+      uploadStream = mediaBucket.openUploadStream(originalFilename, {
         contentType: contentType,
         metadata: combinedMetadata
       });
-
-      const readableStream = new Readable();
-      readableStream.push(buffer);
-      readableStream.push(null);
       
-      await new Promise((resolve, reject) => {
-        readableStream.pipe(uploadStream)
-          .on('finish', resolve)
-          .on('error', reject);
-      });
+      const fileHash = await this._pipeWithHash(sourceStream, uploadStream);
+      const fileId = uploadStream.id;
+      
+      // A file in the media directory that was deleted for good stays out
+      if (importInfo.path && await this.wasPurged(fileHash)) {
+        await mediaBucket.delete(fileId);
+        await catalogService.removeMedia(fileId);
+        return { success: false, purged: true, message: 'The file was deleted for good' };
+      }
       
-      // Generate thumbnail for images
-      let thumbnailId = null;
-      if (fileType === 'image') {
+      // Check if a file with this hash already exists, then claim the hash.
+      // The unique index catches a parallel upload of the same file.
+      let existingFile = await this.getMediaByHash(fileHash);
+      if (!existingFile) {
         try {
-          // Create a thumbnail from the uploaded image
-          const thumbnailBuffer = await sharp(buffer)
-            .resize(300, 300, { fit: 'inside', withoutEnlargement: true })
-            .jpeg({ quality: 80 })
-            .toBuffer();
-          
-          // Store originalId as ObjectId, not string for direct MongoDB querying
-          const thumbnailUploadStream = thumbnailBucket.openUploadStream(`thumbnail_${originalFilename}`, {
-            contentType: 'image/jpeg', // Thumbnails are always JPEG
-            metadata: {
-              originalId: uploadStream.id, // Store as ObjectId reference
-              originalName: originalFilename,
-              type: 'thumbnail',
-              uploadDate: new Date(),
-              originalWidth: fileResolution?.width,
-              originalHeight: fileResolution?.height
-            }
-          });
-          
-          const thumbnailReadableStream = Readable.from(thumbnailBuffer);
-          await new Promise((resolve, reject) => {
-            thumbnailReadableStream.pipe(thumbnailUploadStream)
-              .on('finish', resolve)
-              .on('error', reject);
-          });
-          
-          thumbnailId = thumbnailUploadStream.id.toString();
-          
-          // Update the original file's metadata with thumbnail ID
-          await mediaBucket.rename(uploadStream.id, originalFilename, {
-            metadata: {
-              ...uploadStream.options.metadata,
-              thumbnailId: thumbnailId
-            }
-          });
-          
-        } catch (thumbnailError) {
-          console.error('Thumbnail creation failed:', thumbnailError);
-          // Continue without thumbnail if it fails
+          await this.updateMediaMetadata(fileId, { fileHash, hashAlgorithm: HASH_ALGORITHM });
+        } catch (err) {
+          if (err.code !== 11000) throw err;
+          existingFile = await this.getMediaByHash(fileHash);
+        }
+      }
+      
+      if (existingFile) {
+        await mediaBucket.delete(fileId);
+        await catalogService.removeMedia(fileId);
+        
+        // Adding a file that is in the trash again takes it out of the trash. The
+        // scanner decides for imports, as the entry may have moved to this file.
+        if (existingFile.metadata.trashedAt && !importInfo.path) {
+          await this.restoreMedia(existingFile.id);
+          return {
+            success: true,
+            restored: true,
+            fileId: existingFile.id,
+            thumbnailId: existingFile.metadata.thumbnailId || null,
+            message: 'File restored from the trash'
+          };
         }
+        
+        return { 
+          success: false, 
+          duplicate: existingFile, 
+          message: 'A duplicate file already exists' 
+        };
       }
       
+      // Resolution and thumbnail are read back from the stored file
+      const thumbnailId = await this._processStoredMedia(fileId, fileType, originalFilename, combinedMetadata);
+      
       return {
         success: true,
-        fileId: uploadStream.id.toString(),
+        fileId: fileId.toString(),
         thumbnailId: thumbnailId,
         message: 'File uploaded successfully'
       };
     } catch (error) {
       console.error('Upload error:', error);
+      
+      // Remove whatever part of the file reached GridFS
+      if (uploadStream) {
+        await this.getBucket().delete(uploadStream.id).catch(() => {});
+        await catalogService.removeMedia(uploadStream.id).catch(() => {});
+      }
+      
       return { success: false, message: error.message };
     }
   }
 
   /**
-   * Read a stream into a buffer
-   * @param {Stream} stream - A readable stream
-   * @returns {Promise<Buffer>} - A promise that resolves to a buffer containing the stream data
+   * Replace the content of a stored media file, for a file that was modified
+   * in the media directory. The new content is stored as a new file that
+   * takes over the entry: its albums and the fields users set on it. The old
+   * file is only deleted once nothing points to it, so a failure on the way
+   * leaves the old content in place. Everything read from the file is
+   * extracted again.
+   * @param {string|ObjectId} id - Media ID
+   * @param {Object} fileObject - Object with a readable `file` stream and its mimetype
+   * @param {string} originalFilename - File name
+   * @param {Object} importInfo - path, source and fileModified, as for uploadMedia
+   * @returns {Promise<Object>} - success and the new fileId, or unchanged when the content
+   *   is the same, or duplicate when another file already has the new content
    */
-  async _readStreamToBuffer(stream) {
-    return new Promise((resolve, reject) => {
-      if (!stream) {
-        return reject(new Error('Invalid stream: stream is undefined'));
+  async replaceMediaContent(id, fileObject, originalFilename, importInfo = {}) {
+    const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+    const files = mongodb.getDb().collection('mediaFiles.files');
+    const current = await files.findOne({ _id: objectId });
+    if (!current) {
+      return { success: false, message: 'Media not found' };
+    }
+    const currentMetadata = current.metadata || {};
+    
+    // Store the new content next to the old one first, so a failed read loses nothing
+    const contentType = fileObject.mimetype || current.contentType;
+    const uploadStream = this.getBucket().openUploadStream(current.filename, {
+      contentType,
+      metadata: { isReplacement: true, replacementOf: objectId }
+    });
+    const fileId = uploadStream.id;
+    let adopted = false;
+    
+    try {
+      const fileHash = await this._pipeWithHash(fileObject.file, uploadStream);
+      if (fileHash === currentMetadata.fileHash) {
+        return { success: true, unchanged: true, fileId: objectId.toString() };
       }
       
-      // Handle case where stream is already a buffer
-      if (Buffer.isBuffer(stream)) {
-        return resolve(stream);
+      const existingFile = await this.getMediaByHash(fileHash);
+      if (existingFile) {
+        return { success: false, duplicate: existingFile, message: 'A duplicate file already exists' };
       }
       
-      // Create a variable to store chunks
-      const chunks = [];
+      // The new file becomes the entry
+      const fileType = this._getMediaTypeFromMime(contentType);
+      const metadata = {
+        originalName: currentMetadata.originalName || originalFilename,
+        type: fileType,
+        uploadDate: currentMetadata.uploadDate || current.uploadDate,
+        ...this._pickImportFields(importInfo),
+        fileHash,
+        hashAlgorithm: HASH_ALGORITHM
+      };
+      KEPT_METADATA_FIELDS.forEach(key => {
+        if (currentMetadata[key] !== undefined) metadata[key] = currentMetadata[key];
+      });
+      await files.updateOne({ _id: fileId }, { $set: { metadata } });
+      adopted = true;
+      await catalogService.syncMedia(fileId);
       
-      // For stream objects with the 'on' method
-      if (typeof stream.on === 'function') {
-        stream.on('data', chunk => chunks.push(chunk));
-        stream.on('end', () => resolve(Buffer.concat(chunks)));
-        stream.on('error', reject);
+      // Move everything that points to the old file over to the new one
+      await albumService.replaceMedia(objectId, fileId);
+      const copies = await files
+        .find({ 'metadata.duplicateOf': objectId.toString() }, { projection: { _id: 1 } })
+        .toArray();
+      for (const copy of copies) {
+        await this.updateMediaMetadata(copy._id, { duplicateOf: fileId.toString() });
+      }
+      
+      // Only now the old file can go
+      await this.getBucket().delete(objectId);
+      await catalogService.removeMedia(objectId);
+      await this._deleteDerivedFiles(objectId, currentMetadata);
+      
+      // Thumbnails, EXIF, dimensions and the capture time come from the new content
+      await this._processStoredMedia(fileId, fileType, originalFilename, metadata);
+      return { success: true, fileId: fileId.toString(), replacedId: objectId.toString() };
+    } finally {
+      if (!adopted) {
+        await this.getBucket().delete(fileId).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Pipe a stream into a GridFS upload stream, hashing it on the way
+   * @param {Readable} sourceStream - Content to store
+   * @param {Writable} uploadStream - GridFS upload stream
+   * @returns {Promise<string>} - Hash of the content
+   */
+  async _pipeWithHash(sourceStream, uploadStream) {
+    const hash = crypto.createHash(HASH_ALGORITHM);
+    const hashingStream = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    
+    await pipeline(sourceStream, hashingStream, uploadStream);
+    
+    // Multipart streams stop early instead of failing when the size limit is hit
+    if (sourceStream.truncated) {
+      throw new Error('File exceeds the maximum upload size');
+    }
+    return hash.digest('hex');
+  }
+
+  _pickImportFields(importInfo) {
+    const fields = {};
+    IMPORT_FIELDS.forEach(key => {
+      if (importInfo[key] !== undefined) fields[key] = importInfo[key];
+    });
+    return fields;
+  }
+
+  /**
+   * Extract resolution and create a thumbnail for a file already stored in GridFS
+   * @param {ObjectId} fileId - ID of the stored file
+   * @param {string} fileType - 'image', 'video' or 'document'
+   * @param {string} originalFilename - Original file name
+   * @param {Object} metadata - Metadata the file was stored with
+   * @returns {Promise<string|null>} - Thumbnail ID if one was created
+   */
+  async _processStoredMedia(fileId, fileType, originalFilename, metadata = {}) {
+    // Extract resolution information based on file type
+    let fileResolution = null;
+    let posterFrame; // Undefined until the video was read
+
+    if (fileType === 'image') {
+      try {
+        // Extract image dimensions using sharp
+        const imageMetadata = await this.pipeStoredFile(fileId, sharp()).metadata();
+        fileResolution = {
+          width: imageMetadata.width,
+          height: imageMetadata.height
+        };
         
-        // Handle 'close' events as well
-        stream.on('close', () => {
-          if (chunks.length > 0) {
-            resolve(Buffer.concat(chunks));
+        console.log(`Extracted image resolution: ${fileResolution.width}x${fileResolution.height}`);
+        
+        // Keywords written by other photo tools become tags
+        const keywords = extractKeywords(imageMetadata);
+        if (keywords.length > 0) {
+          await this.updateMediaMetadata(fileId, {
+            tags: normalizeTags([...(metadata.tags || []), ...keywords])
+          });
+        }
+        
+        // EXIF and the camera's own dates, read here rather than trusted from the browser
+        await this.updateMediaMetadata(fileId, await this._readStoredExif(imageMetadata));
+      } catch (err) {
+        console.warn('Could not extract image resolution:', err.message);
+      }
+    } else if (fileType === 'video') {
+      // Probe the stored video for duration, dimensions and codecs, and take its
+      // poster frame for the thumbnails from the same local copy
+      try {
+        const analysis = await videoService.analyze(fileId, metadata);
+        const videoMetadata = analysis.metadata;
+        posterFrame = analysis.posterFrame;
+        if (analysis.probeError) {
+          console.warn('Could not probe video metadata:', analysis.probeError.message);
+        }
+        if (analysis.posterError) {
+          console.error('Poster frame creation failed:', analysis.posterError);
+        }
+        if (videoMetadata) {
+          await this.updateMediaMetadata(fileId, { ...videoMetadata, videoProbedAt: new Date() });
+          if (videoMetadata.width && videoMetadata.height) {
+            fileResolution = { width: videoMetadata.width, height: videoMetadata.height };
           }
+        }
+      } catch (err) {
+        console.warn('Could not read video:', err.message);
+      }
+      
+      // Creation dates of MP4 and QuickTime containers, also read without ffprobe
+      try {
+        await this.updateMediaMetadata(fileId, { containerDates: await this.readStoredContainerDates(fileId) });
+      } catch (err) {
+        console.warn('Could not read video container dates:', err.message);
+      }
+      
+      // Otherwise fall back to the resolution the uploader sent
+      const hintExif = (metadata.clientHints && metadata.clientHints.exif) || {};
+      if (!fileResolution && (hintExif.width || hintExif.imageWidth) && (hintExif.height || hintExif.imageHeight)) {
+        fileResolution = {
+          width: hintExif.width || hintExif.imageWidth,
+          height: hintExif.height || hintExif.imageHeight
+        };
+      }
+    }
+    
+    // Perceptual hash for near-duplicate detection
+    if (fileType === 'image') {
+      try {
+        const perceptualHash = await computeDHash(this.pipeStoredFile(fileId, sharp()));
+        await this.updateMediaMetadata(fileId, {
+          perceptualHash,
+          perceptualHashAlgorithm: PERCEPTUAL_HASH_ALGORITHM
         });
-      } 
-      // If it's not a standard stream, handle other cases
-      else if (stream.buffer) {
-        return resolve(stream.buffer);
-      } else {
-        return reject(new Error('Invalid stream: not a readable stream or buffer'));
+      } catch (err) {
+        console.warn('Could not compute perceptual hash:', err.message);
+      }
+    }
+    
+    // Add resolution to metadata if available
+    if (fileResolution) {
+      await this.updateMediaMetadata(fileId, {
+        width: fileResolution.width,
+        height: fileResolution.height,
+        resolution: `${fileResolution.width}x${fileResolution.height}`
+      });
+    }
+    
+    try {
+      await this.updateCaptureTime(fileId);
+    } catch (err) {
+      console.warn('Could not derive capture time:', err.message);
+    }
+    
+    // Generate thumbnails for images and poster frames for videos
+    return this.createThumbnails(fileId, fileType, originalFilename, metadata, fileResolution, posterFrame);
+  }
+
+  /**
+   * Create the thumbnail and renditions of a stored image or video. Failures
+   * are logged and leave the file without a thumbnail.
+   * @param {ObjectId} fileId - ID of the stored file
+   * @param {string} fileType - 'image', 'video' or 'document'
+   * @param {string} originalFilename - Original file name
+   * @param {Object} metadata - Stored metadata (locates the source of videos)
+   * @param {Object|null} fileResolution - Dimensions of the original, if known
+   * @param {Buffer|null} posterFrame - Video frame that was already extracted, null if there is none;
+   *   extracted here when omitted
+   * @returns {Promise<string|null>} - Thumbnail ID if one was created
+   */
+  async createThumbnails(fileId, fileType, originalFilename, metadata = {}, fileResolution = null, posterFrame = undefined) {
+    let thumbnailId = null;
+    if (fileType === 'image') {
+      try {
+        // Create a thumbnail from the stored image
+        const thumbnailBuffer = await this.pipeStoredFile(fileId, 
+          sharp().resize(300, 300, { fit: 'inside', withoutEnlargement: true }).jpeg({ quality: 80 })
+        ).toBuffer();
+        
+        thumbnailId = await this._storeThumbnail(fileId, thumbnailBuffer, originalFilename, fileResolution);
+      } catch (thumbnailError) {
+        console.error('Thumbnail creation failed:', thumbnailError);
+        // Continue without thumbnail if it fails
+      }
+      
+      try {
+        await this.generateRenditions(fileId, fileType, originalFilename, metadata);
+      } catch (renditionError) {
+        console.error('Thumbnail rendition creation failed:', renditionError);
+      }
+    } else if (fileType === 'video') {
+      try {
+        const frame = posterFrame !== undefined
+          ? posterFrame
+          : await videoService.extractPosterFrame(fileId, metadata);
+        if (frame) {
+          // The frame has the video's real dimensions when the client couldn't tell us
+          if (!fileResolution) {
+            const frameMetadata = await sharp(frame).metadata();
+            fileResolution = { width: frameMetadata.width, height: frameMetadata.height };
+            await this.updateMediaMetadata(fileId, {
+              width: fileResolution.width,
+              height: fileResolution.height,
+              resolution: `${fileResolution.width}x${fileResolution.height}`
+            });
+          }
+          
+          const posterBuffer = await sharp(frame)
+            .resize(300, 300, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+          
+          thumbnailId = await this._storeThumbnail(fileId, posterBuffer, originalFilename, fileResolution);
+          await this.generateRenditions(fileId, fileType, originalFilename, metadata, frame);
+        }
+      } catch (posterError) {
+        console.error('Poster frame creation failed:', posterError);
+        // The client falls back to a frame from the video element
+      }
+    }
+    
+    return thumbnailId;
+  }
+
+  /**
+   * Store a thumbnail in the thumbnails bucket and link it to its media file
+   * @param {ObjectId} fileId - ID of the original file
+   * @param {Buffer} thumbnailBuffer - JPEG thumbnail
+   * @param {string} originalFilename - Original file name
+   * @param {Object|null} fileResolution - Dimensions of the original
+   * @returns {Promise<string>} - Thumbnail ID
+   */
+  async _storeThumbnail(fileId, thumbnailBuffer, originalFilename, fileResolution) {
+    // Store originalId as ObjectId, not string for direct MongoDB querying
+    const thumbnailUploadStream = this.getThumbnailBucket().openUploadStream(`thumbnail_${originalFilename}`, {
+      contentType: 'image/jpeg', // Thumbnails are always JPEG
+      metadata: {
+        originalId: fileId, // Store as ObjectId reference
+        originalName: originalFilename,
+        type: 'thumbnail',
+        uploadDate: new Date(),
+        originalWidth: fileResolution?.width,
+        originalHeight: fileResolution?.height
       }
     });
+    
+    await pipeline(Readable.from([thumbnailBuffer]), thumbnailUploadStream);
+    
+    const thumbnailId = thumbnailUploadStream.id.toString();
+    
+    // Update the original file's metadata with thumbnail ID
+    await this.updateMediaMetadata(fileId, { thumbnailId: thumbnailId });
+    
+    return thumbnailId;
+  }
+
+  /**
+   * Create the responsive thumbnail renditions of a stored image or video
+   * @param {ObjectId} fileId - ID of the stored file
+   * @param {string} fileType - 'image' or 'video'
+   * @param {string} originalFilename - Original file name
+   * @param {Object} metadata - Stored metadata (locates the source of videos)
+   * @param {Buffer} posterFrame - Video frame that was already extracted, if any
+   * @returns {Promise<number[]>} - Widths of the stored renditions
+   */
+  async generateRenditions(fileId, fileType, originalFilename, metadata = {}, posterFrame = null) {
+    let image = null;
+    if (fileType === 'image') {
+      image = this.pipeStoredFile(fileId, sharp());
+    } else if (fileType === 'video') {
+      const frame = posterFrame || await videoService.extractPosterFrame(fileId, metadata);
+      if (frame) {
+        image = sharp(frame);
+      }
+    }
+    
+    if (!image) {
+      return [];
+    }
+    
+    const widths = await thumbnailService.createRenditions(fileId, originalFilename, image);
+    await this.updateMediaMetadata(fileId, { renditionSizes: widths });
+    return widths;
+  }
+
+  /**
+   * Pipe a stored media file into a transform stream such as a sharp instance
+   * @param {ObjectId} fileId - ID of the stored file
+   * @param {Stream} destination - Stream to pipe the file into
+   * @returns {Stream} - The destination stream
+   */
+  pipeStoredFile(fileId, destination) {
+    const source = this.getBucket().openDownloadStream(fileId);
+    // pipe() does not forward errors, so a missing file would leave sharp waiting
+    source.on('error', err => destination.destroy(err));
+    return source.pipe(destination);
+  }
+
+  /**
+   * Read the creation dates an MP4 or QuickTime video records in its container
+   * @param {ObjectId} fileId - ID of the stored video
+   * @returns {Promise<Object>} - Dates found by readContainerDates, empty for other formats
+   */
+  async readStoredContainerDates(fileId) {
+    const [file] = await this.getBucket().find({ _id: fileId }).toArray();
+    if (!file) {
+      return {};
+    }
+    
+    return readContainerDates(async (start, end) => {
+      const chunks = [];
+      for await (const chunk of this.getBucket().openDownloadStream(fileId, { start, end })) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    }, file.length);
+  }
+
+  /**
+   * Read the EXIF metadata of a stored image from what sharp extracted
+   * @param {Object} imageMetadata - Result of sharp's metadata()
+   * @returns {Promise<Object>} - exif and exifExtractedAt fields for the file metadata
+   */
+  async _readStoredExif(imageMetadata) {
+    return {
+      exif: await exifService.parse(imageMetadata.exif),
+      exifExtractedAt: new Date()
+    };
   }
 
+  /**
+   * Move a media file to the trash. It disappears from the library but is
+   * only deleted for good when the trash is purged.
+   * @param {string} id - Media ID
+   * @returns {Promise<Object>} - success, and trashed when the file was kept in the trash
+   */
   async deleteMedia(id) {
     try {
       const objectId = new ObjectId(id);
       
+      const files = await this.getBucket().find({ _id: objectId }).toArray();
+      if (files.length === 0) {
+        return { success: false, error: 'Media not found' };
+      }
+      
+      if (!(files[0].metadata && files[0].metadata.trashedAt)) {
+        await this.updateMediaMetadata(objectId, { trashedAt: new Date() });
+      }
+      return { success: true, trashed: true };
+    } catch (error) {
+      console.error('Error moving media to the trash:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Take a media file out of the trash
+   * @param {string|ObjectId} id - Media ID
+   * @returns {Promise<boolean>} - True if the file was found
+   */
+  restoreMedia(id) {
+    return this.updateMediaMetadata(id, {}, ['trashedAt']);
+  }
+
+  /**
+   * Replace the capture date of a media file, which orders it in the gallery.
+   * The date it had is kept in metadata.captureHistory.
+   * @param {string|ObjectId} id - Media ID
+   * @param {Date} date - New capture date
+   * @param {number} [offset] - UTC offset the date was given in, in minutes; the default zone's when left out
+   * @returns {Promise<boolean>} - True if the file was found
+   */
+  setCaptureDate(id, date, offset) {
+    return this._editCaptureTime(id, () => ({
+      fields: Number.isInteger(offset)
+        ? { createdAt: date.toISOString(), createdAtOffset: offset }
+        : { createdAt: date.toISOString() },
+      unsetFields: Number.isInteger(offset) ? [] : ['createdAtOffset'],
+      edit: { change: 'set', date }
+    }));
+  }
+
+  /**
+   * Move the capture time of a media file, for cameras whose clock was off.
+   * The UTC offset stays, and the time it had is kept in metadata.captureHistory.
+   * @param {string|ObjectId} id - Media ID
+   * @param {number} minutes - Minutes to add, negative to go back
+   * @returns {Promise<boolean>} - True if the file was found
+   */
+  shiftCaptureTime(id, minutes) {
+    return this._editCaptureTime(id, current => ({
+      fields: {
+        createdAt: new Date(current.captureTime.getTime() + minutes * 60 * 1000).toISOString(),
+        createdAtOffset: current.captureOffset
+      },
+      unsetFields: [],
+      edit: { change: 'shift', minutes }
+    }));
+  }
+
+  /**
+   * Drop the capture date set by hand, going back to the dates recorded in
+   * the file's metadata
+   * @param {string|ObjectId} id - Media ID
+   * @returns {Promise<boolean>} - True if the file was found
+   */
+  resetCaptureTime(id) {
+    return this._editCaptureTime(id, () => ({
+      fields: {},
+      unsetFields: ['createdAt', 'createdAtOffset'],
+      edit: { change: 'reset' }
+    }));
+  }
+
+  /**
+   * Apply a capture time edit and record the capture time it replaces
+   * @param {string|ObjectId} id - Media ID
+   * @param {Function} getEdit - Gets the current capture time and returns fields, unsetFields and edit
+   * @returns {Promise<boolean>} - True if the file was found
+   */
+  async _editCaptureTime(id, getEdit) {
+    const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+    const file = await mongodb.getDb().collection('mediaFiles.files').findOne({ _id: objectId });
+    if (!file) {
+      return false;
+    }
+    
+    const current = deriveCaptureTime(file, DEFAULT_TIMEZONE);
+    const { fields, unsetFields, edit } = getEdit(current);
+    
+    const history = [...((file.metadata && file.metadata.captureHistory) || [])];
+    history.push({
+      ...edit,
+      captureTime: current.captureTime,
+      captureOffset: current.captureOffset,
+      captureTimeSource: current.captureTimeSource,
+      editedAt: new Date()
+    });
+    if (history.length > CAPTURE_HISTORY_LIMIT) {
+      history.splice(1, history.length - CAPTURE_HISTORY_LIMIT);
+    }
+    
+    await this.updateMediaMetadata(objectId, { ...fields, captureHistory: history }, unsetFields);
+    await this.updateCaptureTime(objectId);
+    return true;
+  }
+
+  /**
+   * Store when a media file was captured, in UTC with the offset where it was
+   * taken, from the dates recorded in its metadata (see deriveCaptureTime)
+   * @param {string|ObjectId} id - Media ID
+   * @returns {Promise<Object|null>} - captureTime, captureOffset and captureTimeSource, or null if the file doesn't exist
+   */
+  async updateCaptureTime(id) {
+    const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+    const file = await mongodb.getDb().collection('mediaFiles.files').findOne({ _id: objectId });
+    if (!file) {
+      return null;
+    }
+    
+    const captureTime = deriveCaptureTime(file, DEFAULT_TIMEZONE);
+    await this.updateMediaMetadata(objectId, captureTime);
+    return captureTime;
+  }
+
+  /**
+   * Delete the thumbnail and renditions made from a media file. Failures are
+   * only logged, as the media file matters more than its thumbnails.
+   * @param {ObjectId} objectId - Media ID
+   * @param {Object} metadata - Metadata of the media file
+   */
+  async _deleteDerivedFiles(objectId, metadata) {
+    if (metadata.thumbnailId) {
+      try {
+        await this.getThumbnailBucket().delete(new ObjectId(metadata.thumbnailId));
+        console.log(`Deleted thumbnail ${metadata.thumbnailId} for media ${objectId}`);
+      } catch (thumbnailError) {
+        console.warn(`Failed to delete thumbnail ${metadata.thumbnailId}:`, thumbnailError);
+      }
+    }
+    
+    try {
+      await thumbnailService.deleteRenditions(objectId);
+    } catch (renditionError) {
+      console.warn(`Failed to delete thumbnail renditions of ${objectId}:`, renditionError);
+    }
+  }
+
+  /**
+   * Delete a media file, its thumbnails and its album entries for good
+   * @param {string|ObjectId} id - Media or thumbnail ID
+   * @returns {Promise<Object>} - success
+   */
+  async purgeMedia(id) {
+    try {
+      const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+      
       // First, check if this is a regular media file
       const files = await this.getBucket().find({ _id: objectId }).toArray();
       if (files.length > 0) {
-        // Check if there's a thumbnail linked to this file
-        if (files[0].metadata && files[0].metadata.thumbnailId) {
-          try {
-            // Delete the thumbnail from the thumbnail bucket
-            await this.getThumbnailBucket().delete(new ObjectId(files[0].metadata.thumbnailId));
-            console.log(`Deleted thumbnail ${files[0].metadata.thumbnailId} for media ${id}`);
-          } catch (thumbnailError) {
-            console.warn(`Failed to delete thumbnail ${files[0].metadata.thumbnailId}:`, thumbnailError);
-            // Continue even if thumbnail deletion fails
-          }
+        const metadata = files[0].metadata || {};
+        await this._deleteDerivedFiles(objectId, metadata);
+        
+        // The file stays in MEDIA_PATH, and the next scan should not bring it back
+        if (metadata.path && metadata.fileHash) {
+          await this._purgedFiles().updateOne(
+            { fileHash: metadata.fileHash },
+            { $set: { path: metadata.path, purgedAt: new Date() } },
+            { upsert: true }
+          );
         }
         
         // Delete the main file
         await this.getBucket().delete(objectId);
+        await catalogService.removeMedia(objectId);
+        await albumService.removeMedia(objectId);
         return { success: true };
       }
       
@@ -601,9 +1175,47 @@ class MediaService {
     }
   }
 
+  /**
+   * Set fields inside the metadata of a stored media file
+   * @param {string|ObjectId} id - Media ID
+   * @param {Object} fields - Metadata fields to set
+   * @param {string[]} unsetFields - Metadata fields to remove
+   * @returns {Promise<boolean>} - True if the file was found
+   */
+  async updateMediaMetadata(id, fields = {}, unsetFields = []) {
+    const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+    const update = {};
+    
+    if (Object.keys(fields).length > 0) {
+      update.$set = {};
+      Object.entries(fields).forEach(([key, value]) => {
+        update.$set[`metadata.${key}`] = value;
+      });
+    }
+    
+    if (unsetFields.length > 0) {
+      update.$unset = {};
+      unsetFields.forEach(key => {
+        update.$unset[`metadata.${key}`] = '';
+      });
+    }
+    
+    if (!update.$set && !update.$unset) {
+      return false;
+    }
+    
+    const result = await mongodb.getDb().collection('mediaFiles.files').updateOne({ _id: objectId }, update);
+    
+    // Keep the gallery catalog in step with GridFS
+    if (result.matchedCount > 0) {
+      await catalogService.syncMedia(objectId);
+    }
+    return result.matchedCount > 0;
+  }
+
   /**
    * Find media by file hash
-   * @param {string} hash - MD5 hash of the file
+   * @param {string} hash - SHA-256 hash of the file
    * @returns {Promise<Object>} - Media object or null if not found
    */
   async getMediaByHash(hash) {
@@ -624,12 +1236,286 @@ class MediaService {
   }
 
   /**
-   * Calculate MD5 hash of a file buffer
+   * Check whether a file from MEDIA_PATH with this content was deleted for good
+   * @param {string} hash - SHA-256 hash of the file
+   * @returns {Promise<boolean>} - True if it was purged from the library
+   */
+  async wasPurged(hash) {
+    const purged = await this._purgedFiles().findOne({ fileHash: hash }, { projection: { _id: 1 } });
+    return purged !== null;
+  }
+
+  /**
+   * Calculate SHA-256 hash of a file buffer
    * @param {Buffer} buffer - File buffer
-   * @returns {string} - MD5 hash
+   * @returns {string} - SHA-256 hash
    */
   calculateFileHash(buffer) {
-    return crypto.createHash('md5').update(buffer).digest('hex');
+    return crypto.createHash(HASH_ALGORITHM).update(buffer).digest('hex');
+  }
+
+  /**
+   * Calculate SHA-256 hash of a stream without buffering it
+   * @param {Stream} stream - A readable stream
+   * @returns {Promise<string>} - SHA-256 hash
+   */
+  async calculateStreamHash(stream) {
+    const hash = crypto.createHash(HASH_ALGORITHM);
+    for await (const chunk of stream) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Store SHA-256 hashes for files uploaded before hashes were persisted, or
+   * hashed with an older algorithm. Files whose content already exists are
+   * marked with duplicateOf instead, since the hash index is unique.
+   * @returns {Promise<Object>} - Counts of hashed, duplicate and failed files
+   */
+  async backfillFileHashes() {
+    if (this._hashBackfill) {
+      return this._hashBackfill;
+    }
+    
+    this._hashBackfill = this._runHashBackfill().finally(() => {
+      this._hashBackfill = null;
+    });
+    return this._hashBackfill;
+  }
+
+  async _runHashBackfill() {
+    const result = { hashed: 0, duplicates: 0, failed: 0 };
+    const files = mongodb.getDb().collection('mediaFiles.files');
+    
+    const cursor = files.find({
+      'metadata.hashAlgorithm': { $ne: HASH_ALGORITHM },
+      'metadata.duplicateOf': { $exists: false }
+    }, { projection: { _id: 1 } });
+    
+    for await (const file of cursor) {
+      try {
+        const fileHash = await this.calculateStreamHash(this.getBucket().openDownloadStream(file._id));
+        
+        const existingFile = await this.getMediaByHash(fileHash);
+        if (existingFile && existingFile.id !== file._id.toString()) {
+          await this.updateMediaMetadata(file._id, { duplicateOf: existingFile.id }, ['fileHash', 'hashAlgorithm']);
+          result.duplicates++;
+          continue;
+        }
+        
+        await this.updateMediaMetadata(file._id, { fileHash, hashAlgorithm: HASH_ALGORITHM });
+        result.hashed++;
+      } catch (err) {
+        console.error(`Failed to hash file ${file._id}:`, err);
+        result.failed++;
+      }
+    }
+    
+    console.log(`Hash backfill finished: ${result.hashed} hashed, ${result.duplicates} duplicates, ${result.failed} failed`);
+    return result;
+  }
+
+  /**
+   * Extract EXIF metadata on the server for images stored when it came from
+   * the uploader's browser. What the browser sent is kept in clientHints.
+   * @returns {Promise<Object>} - Counts of extracted and failed images
+   */
+  async backfillExif() {
+    if (this._exifBackfill) {
+      return this._exifBackfill;
+    }
+    
+    this._exifBackfill = this._runExifBackfill().finally(() => {
+      this._exifBackfill = null;
+    });
+    return this._exifBackfill;
+  }
+
+  async _runExifBackfill() {
+    const result = { extracted: 0, failed: 0 };
+    
+    const cursor = mongodb.getDb().collection('mediaFiles.files').find({
+      contentType: { $regex: '^image/' },
+      'metadata.isThumb': { $ne: true },
+      'metadata.exifExtractedAt': { $exists: false }
+    }, { projection: { _id: 1, metadata: 1 } });
+    
+    for await (const file of cursor) {
+      const metadata = file.metadata || {};
+      try {
+        const imageMetadata = await this.pipeStoredFile(file._id, sharp()).metadata();
+        const fields = await this._readStoredExif(imageMetadata);
+        
+        // Move what the browser sent into the hints, as for new uploads
+        const hints = {};
+        LEGACY_CLIENT_FIELDS.forEach(key => {
+          if (metadata[key] !== undefined) hints[key] = metadata[key];
+        });
+        if (Object.keys(hints).length > 0) {
+          fields.clientHints = { ...hints, ...(metadata.clientHints || {}) };
+        }
+        // exif is replaced rather than removed
+        await this.updateMediaMetadata(file._id, fields, Object.keys(hints).filter(key => key !== 'exif'));
+        result.extracted++;
+      } catch (err) {
+        console.error(`Failed to extract EXIF of ${file._id}:`, err.message);
+        result.failed++;
+      }
+    }
+    
+    console.log(`EXIF backfill finished: ${result.extracted} extracted, ${result.failed} failed`);
+    return result;
+  }
+
+  /**
+   * Probe videos stored before their metadata was extracted on upload
+   * @returns {Promise<Object>} - Counts of probed and failed videos
+   */
+  async backfillVideoMetadata() {
+    if (this._videoBackfill) {
+      return this._videoBackfill;
+    }
+    
+    this._videoBackfill = this._runVideoBackfill().finally(() => {
+      this._videoBackfill = null;
+    });
+    return this._videoBackfill;
+  }
+
+  async _runVideoBackfill() {
+    const result = { probed: 0, failed: 0 };
+    
+    if (!(await videoService.isFfprobeAvailable())) {
+      return result;
+    }
+    
+    const cursor = mongodb.getDb().collection('mediaFiles.files').find({
+      contentType: { $regex: '^video/' },
+      'metadata.videoProbedAt': { $exists: false }
+    }, { projection: { _id: 1, metadata: 1 } });
+    
+    for await (const file of cursor) {
+      try {
+        const videoMetadata = await videoService.probe(file._id, file.metadata || {});
+        const fields = { ...videoMetadata, videoProbedAt: new Date() };
+        if (videoMetadata.width && videoMetadata.height) {
+          fields.resolution = `${videoMetadata.width}x${videoMetadata.height}`;
+        }
+        await this.updateMediaMetadata(file._id, fields);
+        result.probed++;
+      } catch (err) {
+        console.error(`Failed to probe video ${file._id}:`, err.message);
+        result.failed++;
+      }
+    }
+    
+    console.log(`Video metadata backfill finished: ${result.probed} probed, ${result.failed} failed`);
+    return result;
+  }
+
+  /**
+   * Create thumbnail renditions for media stored before they were generated
+   * @returns {Promise<Object>} - Counts of processed and failed files
+   */
+  async backfillRenditions() {
+    if (this._renditionBackfill) {
+      return this._renditionBackfill;
+    }
+    
+    this._renditionBackfill = this._runRenditionBackfill().finally(() => {
+      this._renditionBackfill = null;
+    });
+    return this._renditionBackfill;
+  }
+
+  async _runRenditionBackfill() {
+    const result = { generated: 0, failed: 0 };
+    
+    const cursor = mongodb.getDb().collection('mediaFiles.files').find({
+      contentType: { $regex: '^(image|video)/' },
+      'metadata.renditionSizes': { $exists: false }
+    }, { projection: { _id: 1, filename: 1, contentType: 1, metadata: 1 } });
+    
+    for await (const file of cursor) {
+      const metadata = file.metadata || {};
+      try {
+        const widths = await this.generateRenditions(
+          file._id,
+          this._getMediaTypeFromMime(file.contentType),
+          metadata.originalName || file.filename,
+          metadata
+        );
+        if (widths.length > 0) {
+          result.generated++;
+        }
+      } catch (err) {
+        console.error(`Failed to create thumbnail renditions for ${file._id}:`, err.message);
+        result.failed++;
+      }
+    }
+    
+    console.log(`Rendition backfill finished: ${result.generated} generated, ${result.failed} failed`);
+    return result;
+  }
+
+  /**
+   * Derive capture times for media stored before they were kept in UTC with
+   * their offset, or before file names and video containers were read for
+   * dates. Images get their EXIF dates and videos their container dates read
+   * from the stored file first.
+   * @param {Object} options - all re-derives every file, such as after DEFAULT_TIMEZONE changed
+   * @returns {Promise<Object>} - Counts of updated and failed files
+   */
+  async backfillCaptureTimes({ all = false } = {}) {
+    if (this._captureTimeBackfill) {
+      return this._captureTimeBackfill;
+    }
+    
+    this._captureTimeBackfill = this._runCaptureTimeBackfill(all).finally(() => {
+      this._captureTimeBackfill = null;
+    });
+    return this._captureTimeBackfill;
+  }
+
+  async _runCaptureTimeBackfill(all) {
+    const result = { updated: 0, failed: 0 };
+    
+    const query = { 'metadata.isThumb': { $ne: true } };
+    if (!all) {
+      query.$or = [
+        { 'metadata.captureTime': { $exists: false } },
+        { 'metadata.captureTimeConfidence': { $exists: false } }
+      ];
+    }
+    const cursor = mongodb.getDb().collection('mediaFiles.files')
+      .find(query, { projection: { _id: 1, contentType: 1, metadata: 1 } });
+    
+    for await (const file of cursor) {
+      const metadata = file.metadata || {};
+      try {
+        const type = this._getMediaTypeFromMime(file.contentType);
+        // Images get their EXIF dates from the EXIF backfill, which runs first
+        if (type === 'video' && !metadata.creationTime) {
+          // Videos probed before their creation time was kept
+          const videoMetadata = await videoService.probe(file._id, metadata).catch(() => null);
+          if (videoMetadata && videoMetadata.creationTime) {
+            await this.updateMediaMetadata(file._id, videoMetadata);
+          }
+        }
+        if (type === 'video' && !metadata.containerDates) {
+          await this.updateMediaMetadata(file._id, { containerDates: await this.readStoredContainerDates(file._id) });
+        }
+        await this.updateCaptureTime(file._id);
+        result.updated++;
+      } catch (err) {
+        console.error(`Failed to derive the capture time of ${file._id}:`, err.message);
+        result.failed++;
+      }
+    }
+    
+    console.log(`Capture time backfill finished: ${result.updated} updated, ${result.failed} failed`);
+    return result;
   }
 
   /**
@@ -774,9 +1660,11 @@ class MediaService {
       // Convert string IDs to ObjectIds for MongoDB query
       const objectIds = mediaIds.map(id => new ObjectId(id));
       
-      // Directly query for all thumbnails with these originalIds at once
+      // Directly query for all thumbnails with these originalIds at once;
+      // renditions share the bucket and the originalId
       const cursor = thumbnailBucket.find({
-        "metadata.originalId": { $in: objectIds }
+        "metadata.originalId": { $in: objectIds },
+        "metadata.type": 'thumbnail'
       });
       
       const thumbnails = await cursor.toArray();
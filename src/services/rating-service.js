@@ -0,0 +1,88 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const mediaService = require('./media-service');
+
+const MAX_RATING = 5;
+
+const FLAGS = ['pick', 'reject'];
+
+/**
+ * Favorites, star ratings and pick/reject flags mark the keepers. They are
+ * kept in the metadata of each media file (favorite, rating and flag) and
+ * copied to the catalog, where the gallery filters on them.
+ */
+class RatingService {
+  /**
+   * Change the favorite, rating and/or flag of a media file
+   * @param {string} id - Media ID
+   * @param {Object} changes - favorite (boolean), rating (0 to 5, 0 clears it)
+   *   and flag ('pick', 'reject' or null to clear it)
+   * @returns {Promise<Object|null>} - The ratings of the file, or null if it doesn't exist
+   */
+  async updateRatings(id, changes = {}) {
+    if (!ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const fields = {};
+    const unsetFields = [];
+
+    if (changes.favorite !== undefined) {
+      if (typeof changes.favorite !== 'boolean') {
+        throw this._invalid('favorite must be true or false');
+      }
+      if (changes.favorite) fields.favorite = true;
+      else unsetFields.push('favorite');
+    }
+
+    if (changes.rating !== undefined) {
+      if (!Number.isInteger(changes.rating) || changes.rating < 0 || changes.rating > MAX_RATING) {
+        throw this._invalid(`rating must be a whole number from 0 to ${MAX_RATING}`);
+      }
+      if (changes.rating > 0) fields.rating = changes.rating;
+      else unsetFields.push('rating');
+    }
+
+    if (changes.flag !== undefined) {
+      if (changes.flag !== null && !FLAGS.includes(changes.flag)) {
+        throw this._invalid(`flag must be ${FLAGS.join(', ')} or null`);
+      }
+      if (changes.flag) fields.flag = changes.flag;
+      else unsetFields.push('flag');
+    }
+
+    if (Object.keys(fields).length === 0 && unsetFields.length === 0) {
+      throw this._invalid('Nothing to change: send favorite, rating or flag');
+    }
+
+    const found = await mediaService.updateMediaMetadata(id, fields, unsetFields);
+    if (!found) {
+      return null;
+    }
+
+    const media = await mediaService.getMediaById(id);
+    return this.getRatings(media.metadata);
+  }
+
+  /**
+   * Read the ratings from the metadata of a media file
+   * @param {Object} metadata - File metadata
+   * @returns {Object} - favorite, rating (0 when unrated) and flag (null when unflagged)
+   */
+  getRatings(metadata = {}) {
+    return {
+      favorite: metadata.favorite === true,
+      rating: metadata.rating || 0,
+      flag: metadata.flag || null
+    };
+  }
+
+  _invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,248 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const mime = require('mime-types');
+const recursiveReaddir = require('recursive-readdir');
+const mongodb = require('../db/mongodb');
+const mediaService = require('./media-service');
+
+class ScannerService {
+  constructor() {
+    this.mediaRoot = path.resolve(process.env.MEDIA_PATH || './media');
+    this.currentScan = null; // Promise of the scan in progress, if any
+    this.lastResult = null; // Summary of the last finished scan
+  }
+
+  /**
+   * Walk MEDIA_PATH and import every supported file that is not in the library yet.
+   * Concurrent callers share the scan that is already running.
+   * @returns {Promise<Object>} - Counts of added, skipped and failed files
+   */
+  async scan() {
+    if (this.currentScan) {
+      return this.currentScan;
+    }
+
+    this.currentScan = this._runScan().finally(() => {
+      this.currentScan = null;
+    });
+
+    return this.currentScan;
+  }
+
+  /**
+   * Get the state of the scanner for status reporting
+   * @returns {Object} - Scanner status
+   */
+  getStatus() {
+    return {
+      mediaRoot: this.mediaRoot,
+      scanning: this.currentScan !== null,
+      lastResult: this.lastResult
+    };
+  }
+
+  async _runScan() {
+    const startedAt = new Date();
+    const result = {
+      added: 0,
+      moved: 0,
+      restored: 0,
+      skipped: 0,
+      failed: 0,
+      errors: []
+    };
+
+    let files;
+    try {
+      files = await recursiveReaddir(this.mediaRoot, [
+        // Ignore hidden files and directories such as .DS_Store or .thumbnails
+        (file) => path.basename(file).startsWith('.')
+      ]);
+    } catch (err) {
+      console.error(`Error reading media directory ${this.mediaRoot}:`, err);
+      throw err;
+    }
+
+    console.log(`Scanning ${files.length} files under ${this.mediaRoot}`);
+
+    // Import sequentially so a large folder does not flood MongoDB or memory
+    for (const file of files) {
+      if (!mediaService.isSupportedMediaFile(file)) {
+        continue;
+      }
+
+      try {
+        const status = await this.importFile(file);
+        result[status]++;
+      } catch (err) {
+        console.error(`Failed to import ${file}:`, err);
+        result.failed++;
+        result.errors.push({ path: this.toRelativePath(file), message: err.message });
+      }
+    }
+
+    this.lastResult = {
+      ...result,
+      startedAt,
+      finishedAt: new Date()
+    };
+
+    console.log(`Scan finished: ${result.added} added, ${result.moved} moved, ${result.restored} restored, ${result.skipped} skipped, ${result.failed} failed`);
+    return this.lastResult;
+  }
+
+  /**
+   * Import a single file from the media directory. A file with the content of
+   * an entry whose file is gone was moved there, and the entry follows it.
+   * @param {string} absolutePath - Absolute path of the file
+   * @returns {Promise<string>} - 'added', 'moved', 'restored' (from the trash) or 'skipped'
+   */
+  async importFile(absolutePath) {
+    const relativePath = this.toRelativePath(absolutePath);
+
+    // Files that were imported before are tracked by their path
+    const existing = await mediaService.getMediaByPath(relativePath);
+    if (existing) {
+      return 'skipped';
+    }
+
+    const stats = await fs.promises.stat(absolutePath);
+    if (await this._isKnownDuplicate(relativePath, stats)) {
+      return 'skipped';
+    }
+
+    const fileObject = {
+      file: fs.createReadStream(absolutePath),
+      mimetype: mime.lookup(absolutePath) || 'application/octet-stream'
+    };
+
+    // The file is hashed while it is stored, and taken out again if its content is known.
+    // Without EXIF the file date (fileModified) is a better guess than the import date
+    const uploadResult = await mediaService.uploadMedia(fileObject, path.basename(absolutePath), {}, {
+      path: relativePath,
+      source: 'scan',
+      fileModified: stats.mtime
+    });
+
+    if (uploadResult.success) {
+      return 'added';
+    }
+    if (uploadResult.purged) {
+      return 'skipped';
+    }
+
+    if (uploadResult.duplicate) {
+      const sameContent = uploadResult.duplicate;
+
+      // The removal and the addition of a move can arrive far apart, or while the server was down
+      if (await this._isGone(sameContent)) {
+        await mediaService.updateMediaMetadata(sameContent.id, { path: relativePath }, ['missing', 'missingSince']);
+        console.log(`Moved ${sameContent.metadata.path} to ${relativePath}`);
+        return 'moved';
+      }
+
+      // The same content is already in the library under another name
+      await this._rememberDuplicate(relativePath, stats, sameContent.metadata.fileHash);
+      // A copy of a file in the trash that was added since brings it back
+      if (sameContent.metadata.trashedAt) {
+        await mediaService.restoreMedia(sameContent.id);
+        console.log(`Restored ${sameContent.name} from the trash, a copy was added as ${relativePath}`);
+        return 'restored';
+      }
+      return 'skipped';
+    }
+
+    throw new Error(uploadResult.message || 'Import failed');
+  }
+
+  /**
+   * Check whether a file was found to duplicate a library entry before and
+   * hasn't changed since, so it is skipped without reading it again
+   * @param {string} relativePath - Path relative to MEDIA_PATH
+   * @param {fs.Stats} stats - Current stats of the file
+   * @returns {Promise<boolean>} - True if it still duplicates an entry that is in place
+   */
+  async _isKnownDuplicate(relativePath, stats) {
+    const known = await this._duplicates().findOne({ _id: relativePath });
+    if (!known || known.size !== stats.size || known.mtimeMs !== stats.mtimeMs) {
+      return false;
+    }
+
+    // If the entry is gone the file may be where it moved to
+    const original = await mediaService.getMediaByHash(known.fileHash);
+    return original !== null && !(await this._isGone(original));
+  }
+
+  async _rememberDuplicate(relativePath, stats, fileHash) {
+    await this._duplicates().replaceOne(
+      { _id: relativePath },
+      { size: stats.size, mtimeMs: stats.mtimeMs, fileHash },
+      { upsert: true }
+    );
+  }
+
+  // Files in MEDIA_PATH whose content is in the library under another entry
+  _duplicates() {
+    return mongodb.getDb().collection('scanDuplicates');
+  }
+
+  /**
+   * Replace the content of a library entry with the file it was imported
+   * from, after the file was modified
+   * @param {string} absolutePath - Absolute path of the file
+   * @param {string} mediaId - ID of the entry imported from it
+   * @returns {Promise<string>} - 'replaced', or 'skipped' if the content is unchanged or
+   *   already in the library under another entry
+   */
+  async replaceFile(absolutePath, mediaId) {
+    const stats = await fs.promises.stat(absolutePath);
+    const fileObject = {
+      file: fs.createReadStream(absolutePath),
+      mimetype: mime.lookup(absolutePath) || 'application/octet-stream'
+    };
+
+    const result = await mediaService.replaceMediaContent(mediaId, fileObject, path.basename(absolutePath), {
+      path: this.toRelativePath(absolutePath),
+      source: 'scan',
+      fileModified: stats.mtime
+    });
+
+    if (result.success) {
+      return result.unchanged ? 'skipped' : 'replaced';
+    }
+    if (result.duplicate) {
+      return 'skipped';
+    }
+
+    throw new Error(result.message || 'Replace failed');
+  }
+
+  /**
+   * Check whether the file a library entry was imported from has left the media directory
+   * @param {Object} media - Media item
+   * @returns {Promise<boolean>} - True if it is marked missing or its file no longer exists
+   */
+  async _isGone(media) {
+    const metadata = media.metadata || {};
+    if (!metadata.path) {
+      return false;
+    }
+    if (metadata.missing === true) {
+      return true;
+    }
+    return fs.promises.access(path.join(this.mediaRoot, metadata.path)).then(() => false, () => true);
+  }
+
+  /**
+   * Convert an absolute path to the path stored in metadata.path
+   * @param {string} absolutePath - Absolute file path
+   * @returns {string} - Path relative to MEDIA_PATH using forward slashes
+   */
+  toRelativePath(absolutePath) {
+    return path.relative(this.mediaRoot, absolutePath).split(path.sep).join('/');
+  }
+}
+
+module.exports = new ScannerService();
@@ -0,0 +1,100 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db/mongodb');
+const mediaService = require('./media-service');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+
+const DEFAULT_SUGGESTION_LIMIT = 10;
+
+/**
+ * Tags are free-form labels kept in metadata.tags of each media file and
+ * copied to the catalog, where they are indexed for counting and filtering.
+ */
+class TagService {
+  _catalog() {
+    return mongodb.getDb().collection('media');
+  }
+
+  /**
+   * Count how many media files carry each tag
+   * @param {Object} options - prefix to only count tags starting with it, and an optional limit
+   * @returns {Promise<Object[]>} - Tags with their count, most used first
+   */
+  async getTagCounts({ prefix = '', limit = 0 } = {}) {
+    const pipeline = [];
+    const normalizedPrefix = normalizeTag(prefix);
+
+    if (normalizedPrefix) {
+      // Match the documents first so the tags index is used, then the tags themselves
+      const startsWith = { $regex: `^${normalizedPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+      pipeline.push({ $match: { tags: startsWith, trashedAt: null } }, { $unwind: '$tags' }, { $match: { tags: startsWith } });
+    } else {
+      pipeline.push({ $match: { trashedAt: null } }, { $unwind: '$tags' });
+    }
+
+    pipeline.push(
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    );
+    if (limit > 0) {
+      pipeline.push({ $limit: limit });
+    }
+
+    const buckets = await this._catalog().aggregate(pipeline).toArray();
+    return buckets.map(({ _id, count }) => ({ name: _id, count }));
+  }
+
+  /**
+   * Tags starting with what the user typed, for autocomplete
+   * @param {string} prefix - Typed text
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<Object[]>} - Tags with their count, most used first
+   */
+  suggestTags(prefix, limit = DEFAULT_SUGGESTION_LIMIT) {
+    return this.getTagCounts({ prefix, limit });
+  }
+
+  /**
+   * Add and remove tags on several media files at once
+   * @param {string[]} ids - Media IDs
+   * @param {Object} changes - add and remove, arrays of tags
+   * @returns {Promise<Object>} - Number of files updated and the normalized tags
+   */
+  async updateTags(ids, { add = [], remove = [] } = {}) {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => ObjectId.isValid(id))) {
+      throw this._invalid('ids must be a non-empty array of media IDs');
+    }
+
+    const added = normalizeTags(add);
+    const removed = new Set(normalizeTags(remove));
+    if (added.length === 0 && removed.size === 0) {
+      throw this._invalid('Nothing to add or remove');
+    }
+
+    const files = await mongodb.getDb().collection('mediaFiles.files')
+      .find({ _id: { $in: ids.map(id => new ObjectId(id)) } }, { projection: { 'metadata.tags': 1 } })
+      .toArray();
+
+    let updated = 0;
+    for (const file of files) {
+      const current = normalizeTags((file.metadata && file.metadata.tags) || []);
+      const tags = normalizeTags([...current, ...added]).filter(tag => !removed.has(tag));
+
+      if (tags.length !== current.length || tags.some((tag, index) => tag !== current[index])) {
+        await mediaService.updateMediaMetadata(file._id, { tags });
+        updated++;
+      }
+    }
+
+    return { matched: files.length, updated, added, removed: [...removed] };
+  }
+
+  _invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new TagService();
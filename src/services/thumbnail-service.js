@@ -0,0 +1,164 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db/mongodb');
+
+// Widths of the responsive thumbnails, the browser picks one through srcset
+const RENDITION_WIDTHS = [200, 400, 800, 1600];
+
+// Formats in order of preference when the browser accepts them
+const RENDITION_FORMATS = ['avif', 'webp', 'jpeg'];
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+};
+
+const ENCODER_OPTIONS = {
+  avif: { quality: 50, effort: 2 }, // Higher effort is too slow for a whole library
+  webp: { quality: 80 },
+  jpeg: { quality: 80, mozjpeg: true }
+};
+
+class ThumbnailService {
+  /**
+   * Store every width and format of a picture in the thumbnails bucket,
+   * replacing renditions created earlier for the same media file
+   * @param {ObjectId} fileId - ID of the original media file
+   * @param {string} originalFilename - Original file name
+   * @param {Object} image - sharp instance with the picture as input
+   * @returns {Promise<number[]>} - Widths of the stored renditions
+   */
+  async createRenditions(fileId, originalFilename, image) {
+    // Decode the original once, at the largest size any rendition needs
+    const largest = RENDITION_WIDTHS[RENDITION_WIDTHS.length - 1];
+    const { data, info } = await image
+      .rotate() // Apply the EXIF orientation
+      .resize({ width: largest, withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // Skip widths the original can't fill; tiny pictures get a single rendition
+    let widths = RENDITION_WIDTHS.filter(width => width <= info.width);
+    if (widths.length === 0) {
+      widths = [info.width];
+    }
+
+    await this.deleteRenditions(fileId);
+
+    const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+
+    for (const width of widths) {
+      for (const format of RENDITION_FORMATS) {
+        let rendition = sharp(data, raw).resize({ width, withoutEnlargement: true });
+        if (format === 'jpeg') {
+          rendition = rendition.flatten({ background: '#ffffff' }); // JPEG has no transparency
+        }
+
+        const { data: buffer, info: output } = await rendition
+          .toFormat(format, ENCODER_OPTIONS[format])
+          .toBuffer({ resolveWithObject: true });
+
+        const uploadStream = mongodb.getThumbnailBucket().openUploadStream(`rendition_${width}_${originalFilename}`, {
+          contentType: CONTENT_TYPES[format],
+          metadata: {
+            originalId: fileId,
+            originalName: originalFilename,
+            type: 'rendition',
+            width: output.width,
+            height: output.height,
+            size: width,
+            format,
+            uploadDate: new Date()
+          }
+        });
+
+        await pipeline(Readable.from([buffer]), uploadStream);
+      }
+    }
+
+    return widths;
+  }
+
+  /**
+   * Find the rendition best suited for a requested width and format
+   * @param {string|ObjectId} mediaId - ID of the original media file
+   * @param {number} width - Requested width in pixels
+   * @param {string} format - 'avif', 'webp' or 'jpeg'
+   * @returns {Promise<Object|null>} - GridFS file document of the rendition
+   */
+  async findRendition(mediaId, width, format) {
+    const renditions = await mongodb.getDb().collection('thumbnails.files')
+      .find({
+        'metadata.originalId': typeof mediaId === 'string' ? new ObjectId(mediaId) : mediaId,
+        'metadata.type': 'rendition',
+        'metadata.format': format
+      })
+      .sort({ 'metadata.size': 1 })
+      .toArray();
+
+    if (renditions.length === 0) {
+      return null;
+    }
+
+    // The smallest one that is wide enough, or the widest there is
+    return renditions.find(file => file.metadata.size >= width) || renditions[renditions.length - 1];
+  }
+
+  /**
+   * Find the single thumbnail stored for every media file
+   * @param {string|ObjectId} mediaId - ID of the original media file
+   * @returns {Promise<Object|null>} - GridFS file document of the thumbnail
+   */
+  async findThumbnail(mediaId) {
+    // A replaced thumbnail stays until the maintenance job removes it
+    return mongodb.getDb().collection('thumbnails.files').findOne(
+      {
+        'metadata.originalId': typeof mediaId === 'string' ? new ObjectId(mediaId) : mediaId,
+        'metadata.type': 'thumbnail'
+      },
+      { sort: { uploadDate: -1 } }
+    );
+  }
+
+  /**
+   * Pick the output format from an explicit request or the Accept header
+   * @param {string} requestedFormat - Format from the query string, if any
+   * @param {string} acceptHeader - Accept header of the request
+   * @returns {string|null} - Format, or null if the requested one is unknown
+   */
+  negotiateFormat(requestedFormat, acceptHeader = '') {
+    if (requestedFormat) {
+      const format = requestedFormat === 'jpg' ? 'jpeg' : requestedFormat;
+      return RENDITION_FORMATS.includes(format) ? format : null;
+    }
+
+    if (acceptHeader.includes('image/avif')) return 'avif';
+    if (acceptHeader.includes('image/webp')) return 'webp';
+    return 'jpeg';
+  }
+
+  /**
+   * Remove all renditions of a media file
+   * @param {string|ObjectId} mediaId - ID of the original media file
+   * @returns {Promise<number>} - Number of renditions removed
+   */
+  async deleteRenditions(mediaId) {
+    const bucket = mongodb.getThumbnailBucket();
+    const renditions = await bucket.find({
+      'metadata.originalId': typeof mediaId === 'string' ? new ObjectId(mediaId) : mediaId,
+      'metadata.type': 'rendition'
+    }).toArray();
+
+    for (const rendition of renditions) {
+      await bucket.delete(rendition._id);
+    }
+    return renditions.length;
+  }
+}
+
+module.exports = new ThumbnailService();
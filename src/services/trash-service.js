@@ -0,0 +1,181 @@
+'use strict';
+
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db/mongodb');
+const mediaService = require('./media-service');
+const catalogService = require('./catalog-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trashed media is deleted for good after this many days
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often the trash is checked for expired media
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Deleting media only moves it to the trash: metadata.trashedAt is set and
+ * the file is hidden from the library, albums and tags. Trashed media can be
+ * restored until it is purged, by hand or once the retention period is over.
+ */
+class TrashService {
+  constructor() {
+    this.retentionDays = RETENTION_DAYS;
+    this.timer = null;
+  }
+
+  _catalog() {
+    return mongodb.getDb().collection('media');
+  }
+
+  /**
+   * Purge expired media now and then every hour
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const purge = () => this.purgeExpired().catch(err => {
+      console.error('Failed to purge the trash:', err);
+    });
+
+    purge();
+    this.timer = setInterval(purge, PURGE_INTERVAL_MS);
+    // The schedule alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * List the trash, most recently deleted first
+   * @returns {Promise<Object>} - Media items with the date they are purged, and the retention period
+   */
+  async listTrash() {
+    const entries = await this._catalog()
+      .find({ trashedAt: { $type: 'date' } })
+      .sort({ trashedAt: -1 })
+      .toArray();
+
+    return {
+      items: entries.map(entry => ({
+        ...catalogService.toMediaItem(entry),
+        trashedAt: entry.trashedAt,
+        purgeAt: new Date(entry.trashedAt.getTime() + this.retentionDays * DAY_MS)
+      })),
+      total: entries.length,
+      retentionDays: this.retentionDays
+    };
+  }
+
+  /**
+   * Move media to the trash
+   * @param {string[]} ids - Media IDs
+   * @returns {Promise<Object>} - Number of files moved to the trash
+   */
+  async trashMedia(ids) {
+    const objectIds = this._toObjectIds(ids);
+    let trashed = 0;
+
+    for (const id of objectIds) {
+      const result = await mediaService.deleteMedia(id.toString());
+      if (result.trashed) {
+        trashed++;
+      }
+    }
+
+    return { trashed };
+  }
+
+  /**
+   * Put trashed media back in the library
+   * @param {string[]} ids - Media IDs
+   * @returns {Promise<Object>} - Number of files restored
+   */
+  async restoreMedia(ids) {
+    const entries = await this._findTrashed(this._toObjectIds(ids));
+    let restored = 0;
+
+    for (const entry of entries) {
+      if (await mediaService.restoreMedia(entry._id)) {
+        restored++;
+      }
+    }
+
+    return { restored };
+  }
+
+  /**
+   * Delete trashed media for good. Media that is not in the trash is left alone.
+   * @param {string[]} ids - Media IDs
+   * @returns {Promise<Object>} - Number of files deleted
+   */
+  async purgeMedia(ids) {
+    return this._purge(await this._findTrashed(this._toObjectIds(ids)));
+  }
+
+  /**
+   * Delete everything in the trash for good
+   * @returns {Promise<Object>} - Number of files deleted
+   */
+  async emptyTrash() {
+    return this._purge(await this._catalog()
+      .find({ trashedAt: { $type: 'date' } }, { projection: { _id: 1 } })
+      .toArray());
+  }
+
+  /**
+   * Delete media that has been in the trash longer than the retention period
+   * @returns {Promise<Object>} - Number of files deleted
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+    const expired = await this._catalog()
+      .find({ trashedAt: { $lte: cutoff } }, { projection: { _id: 1 } })
+      .toArray();
+
+    const result = await this._purge(expired);
+    if (result.purged > 0) {
+      console.log(`Purged ${result.purged} media files from the trash after ${this.retentionDays} days`);
+    }
+    return result;
+  }
+
+  async _purge(entries) {
+    let purged = 0;
+
+    for (const entry of entries) {
+      const result = await mediaService.purgeMedia(entry._id);
+      if (result.success) {
+        purged++;
+      }
+    }
+
+    return { purged };
+  }
+
+  _findTrashed(objectIds) {
+    return this._catalog()
+      .find({ _id: { $in: objectIds }, trashedAt: { $type: 'date' } }, { projection: { _id: 1 } })
+      .toArray();
+  }
+
+  _toObjectIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => ObjectId.isValid(id))) {
+      throw this._invalid('ids must be a non-empty array of media IDs');
+    }
+    return ids.map(id => new ObjectId(id));
+  }
+
+  _invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,293 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db/mongodb');
+const mediaService = require('./media-service');
+
+// 8MB chunks keep each staged document well below the 16MB BSON limit
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Interrupted sessions are kept this long after their last chunk
+const SESSION_TTL_SECONDS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 72) * 60 * 60;
+
+// Chunks are moved along with their session at most this often, and kept this much longer
+const CHUNK_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+// A finalizing session is marked as alive this often while the file is imported
+const FINALIZE_HEARTBEAT_MS = 60 * 1000;
+
+// A session finalizing without a heartbeat for this long was cut off, by a restart for example
+const STALE_FINALIZING_MS = 5 * FINALIZE_HEARTBEAT_MS;
+
+class UploadSessionService {
+  constructor() {
+    this.chunkSize = CHUNK_SIZE;
+  }
+
+  async init() {
+    // MongoDB removes abandoned sessions and their chunks on its own. Chunks
+    // follow the updatedAt of their session, so they expire together.
+    await this._sessions().createIndex({ updatedAt: 1 }, { expireAfterSeconds: SESSION_TTL_SECONDS });
+    await this._chunks().dropIndex('createdAt_1').catch(() => {}); // Chunks used to expire on their own
+    await this._chunks().createIndex({ updatedAt: 1 }, {
+      expireAfterSeconds: SESSION_TTL_SECONDS + CHUNK_TOUCH_INTERVAL_MS / 1000
+    });
+    await this._chunks().createIndex({ sessionId: 1, index: 1 }, { unique: true });
+
+    // Chunks whose session expired before them
+    const sessionIds = await this._sessions().distinct('_id');
+    const { deletedCount } = await this._chunks().deleteMany({ sessionId: { $nin: sessionIds } });
+    if (deletedCount > 0) {
+      console.log(`Removed ${deletedCount} upload chunks of expired sessions`);
+    }
+  }
+
+  _sessions() {
+    return mongodb.getDb().collection('uploadSessions');
+  }
+
+  _chunks() {
+    return mongodb.getDb().collection('uploadChunks');
+  }
+
+  /**
+   * Start a new resumable upload
+   * @param {Object} options - filename, size, mimeType and client metadata
+   * @returns {Promise<Object>} - Session state
+   */
+  async createSession({ filename, size, mimeType, metadata = {} }) {
+    if (!filename || !Number.isInteger(size) || size <= 0) {
+      throw new Error('filename and a positive integer size are required');
+    }
+
+    if (!mediaService.isSupportedMediaFile(filename)) {
+      throw new Error(`File type not supported: ${filename}`);
+    }
+
+    const now = new Date();
+    const session = {
+      filename,
+      size,
+      mimeType: mimeType || null,
+      metadata,
+      chunkSize: this.chunkSize,
+      totalChunks: Math.ceil(size / this.chunkSize),
+      receivedChunks: 0,
+      receivedBytes: 0,
+      status: 'uploading',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await this._sessions().insertOne(session);
+    return this._formatSession({ _id: result.insertedId, ...session });
+  }
+
+  /**
+   * Get the state of an upload session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Session state or null if it doesn't exist
+   */
+  async getSession(sessionId) {
+    const session = await this._findSession(sessionId);
+    return session ? this._formatSession(session) : null;
+  }
+
+  /**
+   * Store one chunk of an upload. Chunks must arrive in order; re-sending a
+   * chunk that was already stored is allowed and replaces it.
+   * @param {string} sessionId - Session ID
+   * @param {number} index - Zero based chunk number
+   * @param {Buffer} data - Chunk contents
+   * @returns {Promise<Object>} - Updated session state
+   */
+  async putChunk(sessionId, index, data) {
+    const session = await this._findSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (session.status !== 'uploading') {
+      throw this._conflict(`Upload session is ${session.status}`, session);
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw new Error(`Chunk index must be between 0 and ${session.totalChunks - 1}`);
+    }
+
+    if (index > session.receivedChunks) {
+      throw this._conflict(`Expected chunk ${session.receivedChunks}`, session);
+    }
+
+    const expectedSize = Math.min(session.chunkSize, session.size - index * session.chunkSize);
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+      throw new Error(`Chunk ${index} must be ${expectedSize} bytes`);
+    }
+
+    const now = new Date();
+    await this._chunks().updateOne(
+      { sessionId: session._id, index },
+      { $set: { data, size: data.length, updatedAt: now } },
+      { upsert: true }
+    );
+
+    // Only advance the offset for the next expected chunk, so retries are harmless
+    await this._sessions().updateOne(
+      { _id: session._id, receivedChunks: index },
+      { $inc: { receivedChunks: 1, receivedBytes: data.length } }
+    );
+    await this._touch(session._id, now);
+
+    return this.getSession(sessionId);
+  }
+
+  /**
+   * Assemble the staged chunks and import the file through the regular upload pipeline
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Result of mediaService.uploadMedia
+   */
+  async completeSession(sessionId) {
+    const session = await this._findSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (session.receivedChunks !== session.totalChunks) {
+      throw this._conflict(`Upload incomplete: ${session.receivedBytes} of ${session.size} bytes received`, session);
+    }
+
+    // Claim the session so a double submit doesn't import the file twice
+    const claimed = await this._sessions().updateOne(
+      { _id: session._id, status: 'uploading' },
+      { $set: { status: 'finalizing' } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw this._conflict('Upload session is already being finalized', session);
+    }
+    await this._touch(session._id);
+
+    // Importing includes thumbnails and video processing, which can take long after the last chunk is read
+    const heartbeat = setInterval(() => {
+      this._touch(session._id).catch(err => console.error('Failed to renew upload session:', err));
+    }, FINALIZE_HEARTBEAT_MS);
+
+    let result = null;
+    try {
+      result = await mediaService.uploadMedia({
+        file: this._createChunkStream(session),
+        mimetype: session.mimeType
+      }, session.filename, session.metadata);
+    } finally {
+      clearInterval(heartbeat);
+
+      if (result && (result.success || result.duplicate)) {
+        await this._deleteSession(session._id);
+      } else {
+        // Leave the chunks in place so the client can try to finalize again
+        await this._sessions().updateOne({ _id: session._id }, { $set: { status: 'uploading' } });
+        await this._touch(session._id);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Abort an upload and discard its chunks
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - True if the session existed
+   */
+  async abortSession(sessionId) {
+    const session = await this._findSession(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    await this._deleteSession(session._id);
+    return true;
+  }
+
+  /**
+   * Read staged chunks back in order, one document at a time
+   * @param {Object} session - Session document
+   * @returns {Readable} - Stream of the assembled file
+   */
+  _createChunkStream(session) {
+    const chunks = this._chunks();
+
+    async function* readChunks() {
+      for (let index = 0; index < session.totalChunks; index++) {
+        const chunk = await chunks.findOne({ sessionId: session._id, index });
+        if (!chunk) {
+          throw new Error(`Chunk ${index} is missing`);
+        }
+        yield chunk.data.buffer;
+      }
+    }
+
+    return Readable.from(readChunks());
+  }
+
+  /**
+   * Mark a session and its chunks as active, which restarts their expiry
+   * @param {ObjectId} objectId - Session ID
+   * @param {Date} now - Time of the activity
+   */
+  async _touch(objectId, now = new Date()) {
+    await this._sessions().updateOne({ _id: objectId }, { $set: { updatedAt: now } });
+    await this._chunks().updateMany(
+      { sessionId: objectId, updatedAt: { $not: { $gte: new Date(now.getTime() - CHUNK_TOUCH_INTERVAL_MS) } } },
+      { $set: { updatedAt: now } }
+    );
+  }
+
+  async _findSession(sessionId) {
+    if (!ObjectId.isValid(sessionId)) {
+      return null;
+    }
+    const session = await this._sessions().findOne({ _id: new ObjectId(sessionId) });
+
+    // Let the client resume a session whose finalize was cut off
+    if (session && session.status === 'finalizing' &&
+        Date.now() - session.updatedAt.getTime() > STALE_FINALIZING_MS) {
+      const reset = await this._sessions().updateOne(
+        { _id: session._id, status: 'finalizing', updatedAt: session.updatedAt },
+        { $set: { status: 'uploading' } }
+      );
+      if (reset.modifiedCount > 0) {
+        await this._touch(session._id);
+        return this._sessions().findOne({ _id: session._id });
+      }
+    }
+    return session;
+  }
+
+  async _deleteSession(objectId) {
+    await this._chunks().deleteMany({ sessionId: objectId });
+    await this._sessions().deleteOne({ _id: objectId });
+  }
+
+  _formatSession(session) {
+    return {
+      sessionId: session._id.toString(),
+      filename: session.filename,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      receivedBytes: session.receivedBytes,
+      nextChunk: session.receivedChunks,
+      status: session.status,
+      expiresAt: new Date(session.updatedAt.getTime() + SESSION_TTL_SECONDS * 1000)
+    };
+  }
+
+  _conflict(message, session) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    error.session = this._formatSession(session);
+    return error;
+  }
+}
+
+module.exports = new UploadSessionService();
@@ -0,0 +1,314 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const mongodb = require('../db/mongodb');
+
+// Path of the ffmpeg binary, looked up on PATH by default
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// A probe or frame extraction that takes longer is stuck, on a corrupt file for example
+const PROCESS_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+
+// Seconds into the video for the poster frame, skipping black intro frames
+const POSTER_OFFSET_SECONDS = 1;
+
+class VideoService {
+  constructor() {
+    this._ffmpegAvailable = null; // Cached result of the ffmpeg check
+    this._ffprobeAvailable = null; // Cached result of the ffprobe check
+  }
+
+  /**
+   * Check once whether the ffmpeg binary can be run
+   * @returns {Promise<boolean>} - True if ffmpeg is available
+   */
+  async isFfmpegAvailable() {
+    if (this._ffmpegAvailable === null) {
+      try {
+        await this._run(FFMPEG_PATH, ['-version']);
+        this._ffmpegAvailable = true;
+      } catch (err) {
+        console.warn(`ffmpeg not available (${err.message}), videos will not get poster frames`);
+        this._ffmpegAvailable = false;
+      }
+    }
+    return this._ffmpegAvailable;
+  }
+
+  /**
+   * Check once whether the ffprobe binary can be run
+   * @returns {Promise<boolean>} - True if ffprobe is available
+   */
+  async isFfprobeAvailable() {
+    if (this._ffprobeAvailable === null) {
+      try {
+        await this._run(FFPROBE_PATH, ['-version']);
+        this._ffprobeAvailable = true;
+      } catch (err) {
+        console.warn(`ffprobe not available (${err.message}), video metadata will not be extracted`);
+        this._ffprobeAvailable = false;
+      }
+    }
+    return this._ffprobeAvailable;
+  }
+
+  /**
+   * Read duration, dimensions, codecs and rotation of a stored video
+   * @param {ObjectId} fileId - ID of the video in the media bucket
+   * @param {Object} metadata - Stored metadata of the video (used for its source path)
+   * @returns {Promise<Object|null>} - Video metadata fields, or null without ffprobe
+   */
+  async probe(fileId, metadata = {}) {
+    if (!(await this.isFfprobeAvailable())) {
+      return null;
+    }
+
+    return this.withLocalFile(fileId, metadata, inputPath => this._probeFile(inputPath));
+  }
+
+  /**
+   * Probe a stored video and extract its poster frame from one local copy, as
+   * uploads have to be copied out of GridFS for ffmpeg and ffprobe
+   * @param {ObjectId} fileId - ID of the video in the media bucket
+   * @param {Object} metadata - Stored metadata of the video (used for its source path)
+   * @returns {Promise<Object>} - metadata as probe returns it and posterFrame as extractPosterFrame
+   *   returns it, with probeError or posterError if one of them failed
+   */
+  async analyze(fileId, metadata = {}) {
+    const [canProbe, canExtract] = await Promise.all([this.isFfprobeAvailable(), this.isFfmpegAvailable()]);
+    const result = { metadata: null, posterFrame: null };
+    if (!canProbe && !canExtract) {
+      return result;
+    }
+
+    await this.withLocalFile(fileId, metadata, async (inputPath) => {
+      if (canProbe) {
+        result.metadata = await this._probeFile(inputPath).catch(err => {
+          result.probeError = err;
+          return null;
+        });
+      }
+      if (canExtract) {
+        result.posterFrame = await this._extractPosterFrame(inputPath).catch(err => {
+          result.posterError = err;
+          return null;
+        });
+      }
+    });
+    return result;
+  }
+
+  async _probeFile(inputPath) {
+    const { stdout } = await this._run(FFPROBE_PATH, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      inputPath
+    ]);
+
+    return this._parseProbe(JSON.parse(stdout.toString()));
+  }
+
+  /**
+   * Map ffprobe's JSON output to the fields stored in the file metadata
+   * @param {Object} probe - Parsed ffprobe output
+   * @returns {Object} - Video metadata fields
+   */
+  _parseProbe(probe) {
+    const streams = probe.streams || [];
+    const format = probe.format || {};
+    const video = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const result = {};
+
+    const duration = parseFloat(format.duration || (video && video.duration));
+    if (Number.isFinite(duration)) {
+      result.duration = Math.round(duration * 1000) / 1000;
+    }
+
+    const bitrate = parseInt(format.bit_rate, 10);
+    if (Number.isFinite(bitrate)) {
+      result.bitrate = bitrate;
+    }
+
+    if (video) {
+      result.videoCodec = video.codec_name;
+      result.rotation = this._getRotation(video);
+
+      // Store the dimensions the video is displayed at, as players apply the rotation
+      if (video.width && video.height) {
+        const sideways = result.rotation % 180 === 90;
+        result.width = sideways ? video.height : video.width;
+        result.height = sideways ? video.width : video.height;
+      }
+
+      const frameRate = this._parseFrameRate(video.avg_frame_rate) || this._parseFrameRate(video.r_frame_rate);
+      if (frameRate) {
+        result.frameRate = frameRate;
+      }
+    }
+
+    if (audio) {
+      result.audioCodec = audio.codec_name;
+    }
+
+    Object.assign(result, this._getCreationTime(format.tags || {}));
+
+    return result;
+  }
+
+  _getCreationTime(tags) {
+    // creation_time is in UTC. Cameras without a clock leave it at zero, which
+    // ffprobe reports as 1970 or 1904.
+    const creationTime = new Date(tags.creation_time);
+    if (!tags.creation_time || Number.isNaN(creationTime.getTime()) || creationTime.getUTCFullYear() <= 1970) {
+      return {};
+    }
+
+    // Apple devices also record the local time, whose offset says where it was taken
+    const result = { creationTime: creationTime.toISOString() };
+    const offset = String(tags['com.apple.quicktime.creationdate'] || '').match(/([+-])(\d{2}):?(\d{2})$/);
+    if (offset) {
+      const minutes = Number(offset[2]) * 60 + Number(offset[3]);
+      result.creationOffset = offset[1] === '-' ? -minutes : minutes;
+    }
+    return result;
+  }
+
+  _getRotation(stream) {
+    // Older ffmpeg reports a rotate tag, newer versions a display matrix
+    let rotation = parseInt(stream.tags && stream.tags.rotate, 10);
+    if (!Number.isFinite(rotation)) {
+      const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+      rotation = displayMatrix ? -parseInt(displayMatrix.rotation, 10) : 0;
+    }
+    // Normalise to 0, 90, 180 or 270 degrees clockwise
+    return ((rotation % 360) + 360) % 360;
+  }
+
+  _parseFrameRate(value) {
+    // ffprobe reports frame rates as fractions such as 30000/1001
+    const [numerator, denominator] = String(value || '').split('/').map(Number);
+    if (!numerator || !denominator) {
+      return null;
+    }
+    return Math.round((numerator / denominator) * 100) / 100;
+  }
+
+  /**
+   * Extract a representative frame of a stored video as a JPEG
+   * @param {ObjectId} fileId - ID of the video in the media bucket
+   * @param {Object} metadata - Stored metadata of the video (used for its source path)
+   * @returns {Promise<Buffer|null>} - Full resolution JPEG frame, or null without ffmpeg
+   */
+  async extractPosterFrame(fileId, metadata = {}) {
+    if (!(await this.isFfmpegAvailable())) {
+      return null;
+    }
+
+    return this.withLocalFile(fileId, metadata, inputPath => this._extractPosterFrame(inputPath));
+  }
+
+  async _extractPosterFrame(inputPath) {
+    // Very short clips have no frame at the offset, so fall back to the start
+    let frame = await this._extractFrame(inputPath, POSTER_OFFSET_SECONDS).catch(() => null);
+    if (!frame || frame.length === 0) {
+      frame = await this._extractFrame(inputPath, 0);
+    }
+    return frame && frame.length > 0 ? frame : null;
+  }
+
+  async _extractFrame(inputPath, offsetSeconds) {
+    // The thumbnail filter picks the most representative of the next frames
+    const { stdout } = await this._run(FFMPEG_PATH, [
+      '-v', 'error',
+      '-ss', String(offsetSeconds),
+      '-i', inputPath,
+      '-vf', 'thumbnail',
+      '-frames:v', '1',
+      '-f', 'image2',
+      '-vcodec', 'mjpeg',
+      'pipe:1'
+    ]);
+    return stdout;
+  }
+
+  /**
+   * Give ffmpeg a seekable file for a stored video. Files imported from
+   * MEDIA_PATH are read in place; uploads are copied to a temporary file.
+   * @param {ObjectId} fileId - ID of the video in the media bucket
+   * @param {Object} metadata - Stored metadata of the video
+   * @param {Function} fn - Called with the local path
+   * @returns {Promise<*>} - Result of fn
+   */
+  async withLocalFile(fileId, metadata, fn) {
+    if (metadata.path && !metadata.missing) {
+      const mediaRoot = path.resolve(process.env.MEDIA_PATH || './media');
+      const sourcePath = path.resolve(mediaRoot, metadata.path);
+      // Never read outside the media directory, whatever the stored path says
+      const insideRoot = sourcePath.startsWith(mediaRoot + path.sep);
+      if (insideRoot && fs.existsSync(sourcePath)) {
+        return fn(sourcePath);
+      }
+    }
+
+    const tempPath = path.join(os.tmpdir(), `media-${fileId}-${crypto.randomBytes(4).toString('hex')}`);
+    try {
+      await pipeline(mongodb.getBucket().openDownloadStream(fileId), fs.createWriteStream(tempPath));
+      return await fn(tempPath);
+    } finally {
+      await fs.promises.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Run a binary and collect its output
+   * @param {string} command - Binary to run
+   * @param {string[]} args - Arguments
+   * @returns {Promise<{stdout: Buffer, stderr: string}>} - Output of the process, rejected
+   *   if it fails or runs longer than PROCESS_TIMEOUT_MS
+   */
+  _run(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const stdout = [];
+      let stderr = '';
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(child.pid, 'SIGKILL');
+        } catch (err) {
+          // It exited in the meantime
+        }
+      }, PROCESS_TIMEOUT_MS);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', err => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (timedOut) {
+          reject(new Error(`${path.basename(command)} timed out after ${PROCESS_TIMEOUT_MS / 1000}s`));
+        } else if (code === 0) {
+          resolve({ stdout: Buffer.concat(stdout), stderr });
+        } else {
+          reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = new VideoService();
@@ -0,0 +1,234 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const chokidar = require('chokidar');
+const mediaService = require('./media-service');
+const scannerService = require('./scanner-service');
+
+// Quiet period before a batch of filesystem events is processed
+const DEBOUNCE_MS = parseInt(process.env.WATCH_DEBOUNCE_MS, 10) || 2000;
+
+class WatcherService {
+  constructor() {
+    this.watcher = null;
+    this.pendingEvents = new Map(); // Relative path -> last event type
+    this.debounceTimer = null;
+    this.processing = Promise.resolve(); // Batches are processed one at a time
+  }
+
+  /**
+   * Start watching MEDIA_PATH for new, changed, moved and deleted files
+   * @returns {boolean} - True if the watcher was started
+   */
+  start() {
+    if (this.watcher) {
+      return true;
+    }
+
+    if (process.env.WATCH_MEDIA === 'false') {
+      console.log('Media directory watcher disabled by WATCH_MEDIA');
+      return false;
+    }
+
+    const mediaRoot = scannerService.mediaRoot;
+    if (!fs.existsSync(mediaRoot)) {
+      console.warn(`Media directory ${mediaRoot} does not exist, watcher not started`);
+      return false;
+    }
+
+    this.watcher = chokidar.watch(mediaRoot, {
+      ignored: /(^|[\/\\])\../, // Hidden files and directories
+      ignoreInitial: true, // Existing files are handled by the scanner
+      awaitWriteFinish: {
+        // Wait for copies into the shared folder to finish before importing
+        stabilityThreshold: 2000,
+        pollInterval: 200
+      }
+    });
+
+    this.watcher
+      .on('add', file => this._queueEvent('add', file))
+      .on('change', file => this._queueEvent('change', file))
+      .on('unlink', file => this._queueEvent('unlink', file))
+      .on('error', err => console.error('Media watcher error:', err));
+
+    console.log(`Watching ${mediaRoot} for changes`);
+    return true;
+  }
+
+  /**
+   * Stop watching and drop pending events
+   */
+  async stop() {
+    clearTimeout(this.debounceTimer);
+    this.pendingEvents.clear();
+
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  _queueEvent(type, absolutePath) {
+    if (!mediaService.isSupportedMediaFile(absolutePath)) {
+      return;
+    }
+
+    const relativePath = scannerService.toRelativePath(absolutePath);
+    const previous = this.pendingEvents.get(relativePath);
+
+    // A file that was added and changed in the same batch is still just new
+    if (previous === 'add' && type === 'change') {
+      type = 'add';
+    }
+    this.pendingEvents.set(relativePath, type);
+
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this._flush(), DEBOUNCE_MS);
+  }
+
+  _flush() {
+    const events = this.pendingEvents;
+    this.pendingEvents = new Map();
+
+    this.processing = this.processing
+      .then(() => this._processBatch(events))
+      .catch(err => console.error('Error processing media directory changes:', err));
+  }
+
+  /**
+   * Apply one debounced batch of events to the library
+   * @param {Map<string, string>} events - Relative path -> event type
+   */
+  async _processBatch(events) {
+    // Don't race a manual scan that may be importing the same files
+    if (scannerService.currentScan) {
+      await scannerService.currentScan.catch(() => {});
+    }
+
+    const added = [];
+    const changed = [];
+    const removed = [];
+
+    for (const [relativePath, type] of events) {
+      if (type === 'add') added.push(relativePath);
+      else if (type === 'change') changed.push(relativePath);
+      else if (type === 'unlink') removed.push(relativePath);
+    }
+
+    // Library entries whose files disappeared in this batch
+    const removedMedia = [];
+    for (const relativePath of removed) {
+      const media = await mediaService.getMediaByPath(relativePath);
+      if (media) {
+        removedMedia.push(media);
+      }
+    }
+
+    for (const relativePath of added) {
+      await this._handleAdded(relativePath, removedMedia);
+    }
+
+    for (const relativePath of changed) {
+      await this._handleChanged(relativePath);
+    }
+
+    // Whatever was not matched to a move is gone from disk
+    for (const media of removedMedia) {
+      await mediaService.updateMediaMetadata(media.id, {
+        missing: true,
+        missingSince: new Date()
+      });
+      console.log(`Marked ${media.metadata.path} as missing`);
+    }
+  }
+
+  async _handleAdded(relativePath, removedMedia) {
+    const absolutePath = path.join(scannerService.mediaRoot, relativePath);
+
+    try {
+      // A file that was marked missing has come back
+      const existing = await mediaService.getMediaByPath(relativePath);
+      if (existing) {
+        if (existing.metadata.missing) {
+          await mediaService.updateMediaMetadata(existing.id, {}, ['missing', 'missingSince']);
+          console.log(`${relativePath} is back on disk`);
+        }
+        return;
+      }
+
+      // A rename or move shows up as a removal plus an addition
+      const moved = await this._findMovedMedia(absolutePath, removedMedia);
+      if (moved) {
+        removedMedia.splice(removedMedia.indexOf(moved), 1);
+        await mediaService.updateMediaMetadata(moved.id, { path: relativePath }, ['missing', 'missingSince']);
+        console.log(`Moved ${moved.metadata.path} to ${relativePath}`);
+        return;
+      }
+
+      // Moves whose removal came in an earlier batch are matched by content
+      const status = await scannerService.importFile(absolutePath);
+      if (status === 'added') {
+        console.log(`Imported ${relativePath}`);
+      }
+    } catch (err) {
+      console.error(`Failed to import ${relativePath}:`, err);
+    }
+  }
+
+  async _handleChanged(relativePath) {
+    const absolutePath = path.join(scannerService.mediaRoot, relativePath);
+
+    try {
+      const existing = await mediaService.getMediaByPath(relativePath);
+      if (!existing) {
+        await scannerService.importFile(absolutePath);
+        return;
+      }
+
+      // The new content takes over the entry, so albums, tags, ratings and date edits stay with it
+      const status = await scannerService.replaceFile(absolutePath, existing.id);
+      if (status === 'replaced') {
+        console.log(`Re-imported modified file ${relativePath}`);
+      }
+    } catch (err) {
+      console.error(`Failed to re-import ${relativePath}:`, err);
+    }
+  }
+
+  /**
+   * Find the removed library entry that an added file was moved from
+   * @param {string} absolutePath - Absolute path of the added file
+   * @param {Object[]} removedMedia - Entries removed in the same batch
+   * @returns {Promise<Object|null>} - The matching media item
+   */
+  async _findMovedMedia(absolutePath, removedMedia) {
+    if (removedMedia.length === 0) {
+      return null;
+    }
+
+    const stats = await fs.promises.stat(absolutePath);
+    const candidates = removedMedia.filter(media => media.size === stats.size);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // The content hash settles it for entries that have one
+    if (candidates.some(media => media.fileHash)) {
+      const fileHash = await mediaService.calculateStreamHash(fs.createReadStream(absolutePath));
+      return candidates.find(media => media.fileHash === fileHash) || null;
+    }
+
+    // Prefer a file that kept its name (moved to another folder)
+    const sameName = candidates.find(media => media.name === path.basename(absolutePath));
+    if (sameName) {
+      return sameName;
+    }
+
+    // Otherwise only accept an unambiguous size match (renamed in place)
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+}
+
+module.exports = new WatcherService();
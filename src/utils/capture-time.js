@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Capture time helpers: turn the dates an image's EXIF data was written with
+ * into a UTC instant plus the UTC offset of the place the picture was taken
+ */
+
+const { inferDateFromFilename } = require('./date-inference');
+
+const MINUTE_MS = 60 * 1000;
+
+// Offsets in use are whole quarter hours from UTC-12:00 to UTC+14:00
+const OFFSET_STEP_MINUTES = 15;
+const MIN_OFFSET_MINUTES = -12 * 60;
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+/**
+ * Work out when a media file was captured and the UTC offset where it was,
+ * trying in turn: a date set by hand, with the offset it was given in, the
+ * EXIF date with its offset tag, the EXIF date with the offset between it and
+ * the GPS clock, the EXIF date in the default zone, the GPS time, the video
+ * creation time, the dates in the video container, the date in the file name,
+ * dates sent by the uploader's browser or the file system, and finally the
+ * upload date
+ *
+ * @param {Object} file - Document from mediaFiles.files, with metadata.exif read by exifService
+ *   and metadata.containerDates read by readContainerDates
+ * @param {string} defaultZone - IANA time zone for dates recorded without an offset
+ * @returns {Object} - captureTime (Date), captureOffset (minutes east of UTC), captureTimeSource and
+ *   captureTimeConfidence: high when the instant and offset were recorded, medium when the offset
+ *   or the time of day is a guess, low when only the day or a file date is known
+ */
+function deriveCaptureTime(file, defaultZone) {
+  const metadata = file.metadata || {};
+  // Only EXIF the server read has the dates as the camera recorded them
+  const storedExif = metadata.exifExtractedAt ? metadata.exif || {} : {};
+  const containerDates = metadata.containerDates || {};
+  const result = (date, offset, source, confidence) => ({
+    captureTime: date,
+    captureOffset: offset,
+    captureTimeSource: source,
+    captureTimeConfidence: confidence
+  });
+  const inDefaultZone = (date, source, confidence) => result(date, getZoneOffset(defaultZone, date), source, confidence);
+  const inOffset = (date, offset, source, confidence) => (Number.isInteger(offset)
+    ? result(date, offset, source, 'high')
+    : inDefaultZone(date, source, confidence));
+
+  const manualDate = parseDate(metadata.createdAt);
+  if (manualDate) {
+    return inOffset(manualDate, metadata.createdAtOffset, 'manual', 'high');
+  }
+
+  const gpsTime = parseDate(storedExif.gpsDateTime);
+  // The parser appends the offset tag of each date to it when there is one
+  const wallTimes = [
+    [storedExif.dateTimeOriginal, storedExif.offsetTimeOriginal],
+    [storedExif.dateTimeDigitized],
+    [storedExif.dateModified]
+  ];
+  const wallTime = wallTimes.find(([value]) => parseWallTime(value) !== null);
+
+  if (wallTime) {
+    const wallMs = parseWallTime(wallTime[0]);
+
+    const recorded = parseZonedTime(wallTime[0]);
+    const offset = recorded ? recorded.offset : parseOffset(wallTime[1]);
+    if (offset !== null) {
+      return result(new Date(wallMs - offset * MINUTE_MS), offset, 'exif-offset', 'high');
+    }
+
+    // The GPS clock runs in UTC, so its distance to the camera clock is the offset
+    const gpsOffset = gpsTime ? roundOffset((wallMs - gpsTime.getTime()) / MINUTE_MS) : null;
+    if (gpsOffset !== null) {
+      return result(new Date(wallMs - gpsOffset * MINUTE_MS), gpsOffset, 'gps', 'high');
+    }
+
+    const zoned = zonedTimeToUtc(wallMs, defaultZone);
+    return result(zoned.date, zoned.offset, 'default-zone', 'medium');
+  }
+
+  if (gpsTime) {
+    return inDefaultZone(gpsTime, 'gps', 'high');
+  }
+
+  const creationTime = parseDate(metadata.creationTime);
+  if (creationTime) {
+    return inOffset(creationTime, metadata.creationOffset, 'video', 'medium');
+  }
+
+  // Local times with their offset, then the movie header's UTC time
+  const containerTime = [containerDates.quickTimeCreationDate, containerDates.userDataDate]
+    .map(parseZonedTime)
+    .find(Boolean);
+  if (containerTime) {
+    return result(containerTime.date, containerTime.offset, 'container', 'high');
+  }
+  const movieTime = parseDate(containerDates.mvhdCreationTime);
+  if (movieTime) {
+    return inDefaultZone(movieTime, 'container', 'medium');
+  }
+
+  const nameDate = inferDateFromFilename(metadata.originalName || file.filename);
+  if (nameDate) {
+    const confidence = nameDate.hasTime ? 'medium' : 'low';
+    if (nameDate.utc) {
+      return inDefaultZone(new Date(nameDate.wallTime), 'filename', confidence);
+    }
+    const zoned = zonedTimeToUtc(nameDate.wallTime, defaultZone);
+    return result(zoned.date, zoned.offset, 'filename', confidence);
+  }
+
+  // Browser and file system dates lost the zone they were read in. Files
+  // uploaded before uploaders' values became hints have them at the top level.
+  const exif = metadata.exif || {};
+  const hints = metadata.clientHints || {};
+  const hintExif = hints.exif || {};
+  const fallbackDate = [
+    exif.dateTimeOriginal,
+    exif.dateCreated,
+    hintExif.dateTimeOriginal,
+    hintExif.dateCreated,
+    hints.createDate,
+    hints.dateCreated,
+    metadata.fileModified,
+    metadata.createDate,
+    metadata.dateCreated
+  ]
+    .map(parseDate)
+    .find(Boolean);
+  if (fallbackDate) {
+    return inDefaultZone(fallbackDate, 'file', 'low');
+  }
+
+  return inDefaultZone(file.uploadDate, 'upload', 'low');
+}
+
+/**
+ * Check a time zone name, falling back to the zone the server runs in
+ *
+ * @param {string} timeZone - IANA time zone name such as "Europe/Berlin"
+ * @returns {string} - The time zone if it is known, otherwise the server's
+ */
+function resolveTimeZone(timeZone) {
+  const serverZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  if (!timeZone) {
+    return serverZone;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (err) {
+    console.warn(`Unknown time zone ${timeZone}, using ${serverZone}`);
+    return serverZone;
+  }
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ *
+ * @param {string} timeZone - IANA time zone name
+ * @param {Date} date - Instant
+ * @returns {number} - Offset in minutes east of UTC
+ */
+function getZoneOffset(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(p => p.type === type).value);
+
+  const wallMs = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return Math.round((wallMs - (date.getTime() - date.getUTCMilliseconds())) / MINUTE_MS);
+}
+
+/**
+ * Convert a wall clock time in a time zone to UTC
+ *
+ * @param {number} wallMs - Wall clock time as milliseconds, read as if it were UTC
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - date in UTC and the offset that applied
+ */
+function zonedTimeToUtc(wallMs, timeZone) {
+  let offset = getZoneOffset(timeZone, new Date(wallMs));
+  // The first guess is off by the DST change when one falls between the two
+  const corrected = getZoneOffset(timeZone, new Date(wallMs - offset * MINUTE_MS));
+  if (corrected !== offset) {
+    offset = corrected;
+  }
+  return { date: new Date(wallMs - offset * MINUTE_MS), offset };
+}
+
+/**
+ * Parse an EXIF "YYYY:MM:DD HH:MM:SS" date, or an ISO date without a zone
+ *
+ * @param {string} value - Date as recorded by the camera
+ * @returns {number|null} - Wall clock time as milliseconds, read as if it were UTC
+ */
+function parseWallTime(value) {
+  const match = typeof value === 'string' &&
+    value.match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  if (year === 0 || month === 0 || day === 0) {
+    return null; // Cameras write zeros when their clock was never set
+  }
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Parse a local time followed by its UTC offset, such as "2023-01-01T12:34:56+0100"
+ *
+ * @param {string} value - Date as recorded in a video container
+ * @returns {Object|null} - date in UTC and the offset, or null without a time and offset
+ */
+function parseZonedTime(value) {
+  const wallMs = parseWallTime(value);
+  const offset = wallMs !== null ? parseOffset((value.match(/(Z|[+-]\d{2}:?\d{2})$/) || [])[1]) : null;
+  return offset !== null ? { date: new Date(wallMs - offset * MINUTE_MS), offset } : null;
+}
+
+function parseOffset(value) {
+  if (value === 'Z') {
+    return 0;
+  }
+  const match = typeof value === 'string' && value.trim().match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return roundOffset(match[1] === '-' ? -minutes : minutes);
+}
+
+function roundOffset(minutes) {
+  const rounded = Math.round(minutes / OFFSET_STEP_MINUTES) * OFFSET_STEP_MINUTES;
+  return rounded >= MIN_OFFSET_MINUTES && rounded <= MAX_OFFSET_MINUTES ? rounded : null;
+}
+
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  deriveCaptureTime,
+  resolveTimeZone,
+  getZoneOffset,
+  zonedTimeToUtc
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * Date inference for files without EXIF dates: the creation dates MP4 and
+ * QuickTime videos record in their container, and the dates phones, chat apps
+ * and screenshot tools write into file names
+ */
+
+// MP4 and QuickTime times count seconds from 1904-01-01 in UTC
+const MP4_EPOCH_OFFSET_SECONDS = 2082844800;
+
+// The movie box is read whole, but never more than this
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+const MAX_TOP_LEVEL_BOXES = 64;
+
+// Top-level boxes an MP4 or QuickTime file starts with
+const CONTAINER_START_BOXES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+const QUICKTIME_CREATION_DATE_KEY = 'com.apple.quicktime.creationdate';
+const DAY_BOX = '©day';
+
+// Dates outside this range in a file name are more likely counters or IDs
+const MIN_FILENAME_YEAR = 1990;
+
+/**
+ * File name patterns, most specific first. Each match gives year, month and
+ * day, and hours, minutes and seconds when the name has a time.
+ */
+const FILENAME_PATTERNS = [
+  // Pixel phones write the time in UTC: PXL_20230101_123456789
+  { name: 'pixel', utc: true, regex: /^PXL_(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/i },
+  // WhatsApp only keeps the day: IMG-20230101-WA0001, VID-20230101-WA0001
+  { name: 'whatsapp', regex: /^(?:IMG|VID|AUD|PTT|STK|DOC)-(\d{4})(\d{2})(\d{2})-WA\d+/i },
+  // Screenshot_20230101-123456, Screenshot_2023-01-01-12-34-56, Screenshot 2023-01-01 at 12.34.56
+  {
+    name: 'screenshot',
+    regex: /^Screen ?shot[_ -](\d{4})-?(\d{2})-?(\d{2})(?:[_ -]|\s+at\s+)(\d{1,2})[.:-]?(\d{2})[.:-]?(\d{2})(?:\s?([AP]M))?/i
+  },
+  // Signal: signal-2023-01-01-123456
+  { name: 'signal', regex: /^signal-(\d{4})-(\d{2})-(\d{2})-(\d{2})(\d{2})(\d{2})/i },
+  // Android cameras: IMG_20230101_123456, VID_20230101_123456, 20230101_123456
+  {
+    name: 'camera',
+    regex: /^(?:(?:IMG|VID|MVIMG|PANO|BURST\d*|DSC|MOV)[_-])?(\d{4})(\d{2})(\d{2})[_-](\d{2})(\d{2})(\d{2})/i
+  },
+  // Camera uploads of desktop sync tools: 2023-01-01 12.34.56
+  { name: 'timestamp', regex: /^(\d{4})-(\d{2})-(\d{2})[ _](\d{2})[.:-](\d{2})[.:-](\d{2})/ },
+  // Any other name with a separated date: holiday_2023-01-01.jpg
+  { name: 'date', regex: /(?:^|\D)(\d{4})[-_.](\d{2})[-_.](\d{2})(?:\D|$)/ }
+];
+
+/**
+ * Read the creation dates recorded in an MP4 or QuickTime container: the
+ * movie header (mvhd) time, the QuickTime creation date Apple devices write
+ * with the local offset, and the ©day user data entry
+ *
+ * @param {Function} readRange - (start, end) => Promise<Buffer> of the bytes from start up to end
+ * @param {number} size - File size in bytes
+ * @returns {Promise<Object>} - mvhdCreationTime as an ISO string in UTC, and quickTimeCreationDate
+ *   and userDataDate as recorded, such as "2023-01-01T12:34:56+0100"; empty for other formats
+ */
+async function readContainerDates(readRange, size) {
+  const dates = {};
+  let offset = 0;
+
+  for (let i = 0; i < MAX_TOP_LEVEL_BOXES && offset + 8 <= size; i++) {
+    const header = await readRange(offset, Math.min(offset + 16, size));
+    const box = readBoxHeader(header, 0, size - offset);
+    if (!box || (i === 0 && !CONTAINER_START_BOXES.includes(box.type))) {
+      break;
+    }
+
+    if (box.type === 'moov') {
+      if (box.size > MAX_MOOV_BYTES) {
+        break;
+      }
+      const moov = await readRange(offset, offset + box.size);
+      readMovieDates(moov, box.headerSize, moov.length, dates);
+      break;
+    }
+    offset += box.size;
+  }
+
+  return dates;
+}
+
+function readMovieDates(buffer, start, end, dates) {
+  forEachBox(buffer, start, end, box => {
+    const content = box.offset + box.headerSize;
+    switch (box.type) {
+      case 'mvhd': {
+        const version = buffer[content];
+        const seconds = version === 1
+          ? Number(buffer.readBigUInt64BE(content + 4))
+          : buffer.readUInt32BE(content + 4);
+        // Cameras without a clock leave it at zero
+        const date = new Date((seconds - MP4_EPOCH_OFFSET_SECONDS) * 1000);
+        if (seconds > 0 && date.getUTCFullYear() > 1970) {
+          dates.mvhdCreationTime = date.toISOString();
+        }
+        break;
+      }
+
+      case 'udta':
+        forEachBox(buffer, content, box.offset + box.size, child => {
+          const childContent = child.offset + child.headerSize;
+          if (child.type === DAY_BOX) {
+            // QuickTime user data text: length, language, then the text
+            const length = buffer.readUInt16BE(childContent);
+            const value = buffer.toString('utf8', childContent + 4, childContent + 4 + length).trim();
+            if (value) dates.userDataDate = value;
+          } else if (child.type === 'meta') {
+            readMetadataDates(buffer, child, dates);
+          }
+        });
+        break;
+
+      case 'meta':
+        readMetadataDates(buffer, box, dates);
+        break;
+    }
+  });
+}
+
+/**
+ * Read the dates of a metadata box, in QuickTime form (keys and a list of
+ * values by key index) or iTunes form (a list of values by box type)
+ */
+function readMetadataDates(buffer, meta, dates) {
+  let start = meta.offset + meta.headerSize;
+  const end = meta.offset + meta.size;
+  // The ISO form of the box has version and flags before its children
+  if (buffer.toString('latin1', start + 4, start + 8) !== 'hdlr') {
+    start += 4;
+  }
+
+  const keys = [];
+  let list = null;
+  forEachBox(buffer, start, end, box => {
+    const content = box.offset + box.headerSize;
+    if (box.type === 'keys') {
+      forEachBox(buffer, content + 8, box.offset + box.size, key => {
+        keys.push(buffer.toString('utf8', key.offset + 8, key.offset + key.size));
+      });
+    } else if (box.type === 'ilst') {
+      list = box;
+    }
+  });
+  if (!list) {
+    return;
+  }
+
+  forEachBox(buffer, list.offset + list.headerSize, list.offset + list.size, item => {
+    const key = item.type === DAY_BOX ? DAY_BOX : keys[item.index - 1];
+    if (key !== QUICKTIME_CREATION_DATE_KEY && key !== DAY_BOX) {
+      return;
+    }
+
+    forEachBox(buffer, item.offset + item.headerSize, item.offset + item.size, data => {
+      if (data.type !== 'data') return;
+      // Type indicator and locale come before the value
+      const value = buffer.toString('utf8', data.offset + 16, data.offset + data.size).trim();
+      if (!value) return;
+      if (key === QUICKTIME_CREATION_DATE_KEY) {
+        dates.quickTimeCreationDate = value;
+      } else if (!dates.userDataDate) {
+        dates.userDataDate = value;
+      }
+    });
+  });
+}
+
+function forEachBox(buffer, start, end, callback) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const box = readBoxHeader(buffer, offset, end - offset);
+    if (!box) {
+      return;
+    }
+    callback({ ...box, offset });
+    offset += box.size;
+  }
+}
+
+/**
+ * Read the size and type of the box at an offset
+ * @returns {Object|null} - type, index (the type read as a number), size and headerSize, or null if it is corrupt
+ */
+function readBoxHeader(buffer, offset, remaining) {
+  if (offset + 8 > buffer.length) {
+    return null;
+  }
+
+  let size = buffer.readUInt32BE(offset);
+  let headerSize = 8;
+  if (size === 1) {
+    if (offset + 16 > buffer.length) return null;
+    size = Number(buffer.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = remaining; // The box runs to the end of the file
+  }
+
+  if (size < headerSize || size > remaining) {
+    return null;
+  }
+  return {
+    type: buffer.toString('latin1', offset + 4, offset + 8),
+    index: buffer.readUInt32BE(offset + 4),
+    size,
+    headerSize
+  };
+}
+
+/**
+ * Read the capture date a file name was given by a phone, chat app or
+ * screenshot tool
+ *
+ * @param {string} filename - File name, with or without its extension
+ * @returns {Object|null} - wallTime (milliseconds, read as if it were UTC), hasTime, utc when the
+ *   name is in UTC rather than local time, and the name of the pattern; null without a date
+ */
+function inferDateFromFilename(filename) {
+  if (!filename) {
+    return null;
+  }
+  const name = String(filename).split(/[\\/]/).pop();
+
+  for (const pattern of FILENAME_PATTERNS) {
+    const match = name.match(pattern.regex);
+    if (!match) continue;
+
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const hasTime = match[4] !== undefined;
+    let hours = hasTime ? Number(match[4]) : 0;
+    const minutes = hasTime ? Number(match[5]) : 0;
+    const seconds = hasTime ? Number(match[6]) : 0;
+    const meridiem = match[7] && match[7].toUpperCase();
+    if (meridiem) {
+      hours = (hours % 12) + (meridiem === 'PM' ? 12 : 0);
+    }
+
+    const wallTime = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const date = new Date(wallTime);
+    const valid = year >= MIN_FILENAME_YEAR &&
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day &&
+      hours < 24 && minutes < 60 && seconds < 60 &&
+      wallTime <= Date.now() + 24 * 60 * 60 * 1000;
+    if (valid) {
+      return { wallTime, hasTime, utc: pattern.utc === true, pattern: pattern.name };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  readContainerDates,
+  inferDateFromFilename
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Perceptual hashing helpers for near-duplicate image detection
+ */
+
+// Name stored next to each perceptual hash in file metadata
+const PERCEPTUAL_HASH_ALGORITHM = 'dhash';
+
+/**
+ * Compute a 64-bit difference hash (dHash) of an image. The image is shrunk to
+ * 9x8 greyscale pixels and each bit records whether a pixel is brighter than its
+ * right neighbour, so re-encoding and resizing barely change the hash.
+ *
+ * @param {Object} image - A sharp instance with its input attached
+ * @returns {Promise<string>} - 16 character hex hash
+ */
+async function computeDHash(image) {
+  const { data, info } = await image
+    .rotate() // Apply EXIF orientation so rotated copies hash the same
+    .removeAlpha()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const channels = info.channels;
+  let hash = 0n;
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = data[(row * 9 + col) * channels];
+      const right = data[(row * 9 + col + 1) * channels];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count the bits that differ between two hex hashes
+ * @param {string|BigInt} a - First hash
+ * @param {string|BigInt} b - Second hash
+ * @returns {number} - Hamming distance
+ */
+function hammingDistance(a, b) {
+  let diff = toBigInt(a) ^ toBigInt(b);
+  let count = 0;
+
+  while (diff > 0n) {
+    diff &= diff - 1n; // Clear the lowest set bit
+    count++;
+  }
+
+  return count;
+}
+
+function toBigInt(hash) {
+  return typeof hash === 'bigint' ? hash : BigInt(`0x${hash}`);
+}
+
+/**
+ * Burkhard-Keller tree for finding hashes within a Hamming distance without
+ * comparing every pair
+ */
+class BKTree {
+  constructor() {
+    this.root = null;
+  }
+
+  /**
+   * @param {string} hash - Hex hash
+   * @param {*} value - Value returned by search()
+   */
+  add(hash, value) {
+    const node = { hash: toBigInt(hash), value, children: new Map() };
+
+    if (!this.root) {
+      this.root = node;
+      return;
+    }
+
+    let current = this.root;
+    for (;;) {
+      const distance = hammingDistance(current.hash, node.hash);
+      const child = current.children.get(distance);
+      if (!child) {
+        current.children.set(distance, node);
+        return;
+      }
+      current = child;
+    }
+  }
+
+  /**
+   * @param {string} hash - Hex hash to search for
+   * @param {number} maxDistance - Largest Hamming distance to accept
+   * @returns {Array<{value: *, distance: number}>} - Matches including the hash itself
+   */
+  search(hash, maxDistance) {
+    const target = toBigInt(hash);
+    const matches = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = hammingDistance(node.hash, target);
+
+      if (distance <= maxDistance) {
+        matches.push({ value: node.value, distance });
+      }
+
+      // Triangle inequality: only children in this band can contain matches
+      for (const [childDistance, child] of node.children) {
+        if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return matches;
+  }
+}
+
+module.exports = {
+  PERCEPTUAL_HASH_ALGORITHM,
+  computeDHash,
+  hammingDistance,
+  BKTree
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Tag helpers: normalization and import of keywords embedded in image files
+ */
+
+const MAX_TAG_LENGTH = 50;
+
+// IPTC-IIM dataset 2:25 holds one keyword
+const IPTC_TAG_MARKER = 0x1c;
+const IPTC_RECORD_APPLICATION = 2;
+const IPTC_DATASET_KEYWORDS = 25;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Bring a tag into its stored form: trimmed, single spaced and lower case
+ *
+ * @param {*} tag - Tag as entered or imported
+ * @returns {string|null} - Normalized tag, or null if it is empty or too long
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const normalized = tag.trim().replace(/\s+/g, ' ').toLowerCase();
+  return normalized && normalized.length <= MAX_TAG_LENGTH ? normalized : null;
+}
+
+/**
+ * Normalize a list of tags, dropping invalid ones and duplicates
+ *
+ * @param {Array} tags - Tags as entered or imported
+ * @returns {string[]} - Normalized tags in their original order
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Read the keywords of an image from its XMP (dc:subject) and IPTC (2:25) data
+ *
+ * @param {Object} imageMetadata - Result of sharp's metadata(), with the xmp and iptc buffers
+ * @returns {string[]} - Normalized keywords
+ */
+function extractKeywords({ xmp, iptc } = {}) {
+  const keywords = [];
+  if (xmp) {
+    keywords.push(...readXmpSubjects(xmp.toString('utf8')));
+  }
+  if (iptc) {
+    keywords.push(...readIptcKeywords(iptc));
+  }
+  return normalizeTags(keywords);
+}
+
+function readXmpSubjects(xml) {
+  const subject = xml.match(/<dc:subject\b[^>]*>([\s\S]*?)<\/dc:subject>/);
+  if (!subject) {
+    return [];
+  }
+
+  const items = subject[1].matchAll(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g);
+  return Array.from(items, ([, value]) =>
+    value.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]));
+}
+
+function readIptcKeywords(buffer) {
+  // The IIM datasets may be wrapped in a Photoshop resource block, so scan for their markers
+  const keywords = [];
+  for (let offset = 0; offset + 5 <= buffer.length; offset++) {
+    if (buffer[offset] !== IPTC_TAG_MARKER ||
+        buffer[offset + 1] !== IPTC_RECORD_APPLICATION ||
+        buffer[offset + 2] !== IPTC_DATASET_KEYWORDS) {
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 3);
+    if (length & 0x8000) {
+      continue; // Extended length, never used for keywords
+    }
+
+    const start = offset + 5;
+    keywords.push(buffer.toString('utf8', start, Math.min(start + length, buffer.length)));
+    offset = start + length - 1;
+  }
+  return keywords;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  extractKeywords
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const mongodb = require('../src/db/mongodb');
+const albumService = require('../src/services/album-service');
+
+// Just enough of the albums and media collections for reorderItems
+function useCollections({ album, media }) {
+  const collections = {
+    albums: {
+      findOne: async () => album,
+      updateOne: async (filter, update) => {
+        const matches = filter.items.length === album.items.length &&
+          filter.items.every((id, index) => id.equals(album.items[index]));
+        if (matches) {
+          Object.assign(album, update.$set);
+        }
+        return { matchedCount: matches ? 1 : 0 };
+      }
+    },
+    media: {
+      find: filter => ({
+        toArray: async () => media.filter(entry =>
+          filter._id.$in.some(id => id.equals(entry._id)) && !entry.trashedAt)
+      })
+    }
+  };
+  mongodb.getDb = () => ({ collection: name => collections[name] });
+}
+
+test('reordering an album keeps trashed items where they were', async () => {
+  const [a, b, trashed, c] = [1, 2, 3, 4].map(() => new ObjectId());
+  const album = { _id: new ObjectId(), name: 'Trip', items: [a, b, trashed, c], coverId: null };
+  useCollections({
+    album,
+    media: [{ _id: a }, { _id: b }, { _id: trashed, trashedAt: new Date() }, { _id: c }]
+  });
+
+  // The album page only shows a, b and c
+  await albumService.reorderItems(album._id.toString(), [c, a, b].map(String));
+
+  assert.deepEqual(album.items.map(String), [c, a, trashed, b].map(String));
+});
+
+test('reordering an album still rejects orders that miss a shown item', async () => {
+  const [a, b, trashed] = [1, 2, 3].map(() => new ObjectId());
+  const album = { _id: new ObjectId(), name: 'Trip', items: [a, trashed, b], coverId: null };
+  useCollections({
+    album,
+    media: [{ _id: a }, { _id: b }, { _id: trashed, trashedAt: new Date() }]
+  });
+
+  await assert.rejects(
+    albumService.reorderItems(album._id.toString(), [b].map(String)),
+    error => error.statusCode === 400
+  );
+  assert.deepEqual(album.items.map(String), [a, trashed, b].map(String));
+});